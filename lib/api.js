@@ -0,0 +1,637 @@
+/*
+ * REST API
+ * ========
+ *
+ * Read-only HTTP endpoints over the seeded NOC data. Mounted on the Express
+ * app in lib/server.js and started with `node index.js serve`.
+ *
+ * Endpoints:
+ * - GET /unit-groups            Paginated list (?page, ?pageSize, ?search, ?noc prefix, ?lang,
+ *                               ?teer, ?category, and requirement filters ?education,
+ *                               ?regulated, ?redSeal)
+ * - GET /unit-groups/:noc       One unit group with its sections and requirements (?lang)
+ * - GET /unit-groups/:noc/profile   Everything about the occupation in one document:
+ *                               sections by type, requirements, latest outlook per
+ *                               region, outlook history and programs (?province, ?lang);
+ *                               cached (see lib/profiles.js)
+ * - GET /unit-groups/:noc/programs  Programs matched to the unit group (?institution)
+ * - GET /unit-groups/:noc/institutions  Institutions with programs leading to the
+ *                               unit group, compared (?lang)
+ * - GET /unit-groups/:noc/related   Unit groups linked by Exclusion(s)/Inclusion(s) references (?lang)
+ * - GET /unit-groups/:noc/outlook-history  Rating per release and region (?region, ?lang)
+ * - GET /unit-groups/:noc/best-regions  Regions with the best outlook score
+ *                               (?province, default BC or "all", ?release, ?lang, ?limit)
+ * - GET /outlooks               Paginated list (?noc, ?region, ?lang, ?province, ?release)
+ * - GET /outlook-scores         Average outlook score per NOC, best first
+ *                               (?province, default BC or "all", ?release, ?lang, ?noc)
+ * - GET /outlook-rollup         Average outlook score per TEER or broad category
+ *                               (?by=teer|category, ?province, ?release, ?lang)
+ * - GET /outlook-releases       All loaded outlook releases
+ * - GET /noc-groups             The broad occupational categories
+ * - GET /noc-groups/:code       One NOC hierarchy group with its path and children (?lang)
+ * - GET /regions                All economic regions (?search name or alias, ?province)
+ * - GET /regions/:code          One economic region with its boundary
+ * - GET /institutions           Institutions whose program catalogues are loaded
+ * - GET /institutions/:code     One institution with its program areas
+ * - GET /program-areas          All program areas with program counts (?institution)
+ * - GET /programs/:nid          One program with its program area and matches
+ *                               (?institution, default VIU, ?lang)
+ * - GET /search?q=              Unit groups and programs matching every word of q (?limit)
+ * - GET /export/:dataset        Download unit-groups, outlooks, programs or all as a
+ *                               file (?format=csv|xlsx|json, ?lang, and for outlooks
+ *                               ?province, ?region, ?release)
+ *
+ * `?lang=FR` returns occupation titles and sections in French, falling back
+ * to English where no translation was seeded.
+ *
+ * Retired unit groups and programs (see lib/retire.js) are left out of every
+ * response; a retired one looked up by its code is a 404. `?includeRetired=true`
+ * brings them back on /unit-groups, /unit-groups/:noc, /unit-groups/:noc/programs
+ * and /programs/:nid, where each record's `retiredAt` says when it was retired.
+ *
+ * Responses are JSON (except exports). Errors use `{ error: { status, message } }`.
+ */
+
+const express = require('express') // Web framework for Node.js
+const { pipeline } = require('stream/promises') // Connects streams, waiting for the slower side
+const { settings } = require('./config')
+const queries = require('./queries')
+const { LANGUAGES } = require('./validation')
+const { EDUCATION_LEVELS } = require('./requirements')
+const { DEFAULT_SEARCH_LIMIT, search } = require('./search')
+const { CONTENT_TYPES, checkExport, exportStream } = require('./export')
+const { BROAD_CATEGORIES, TEER_CATEGORIES } = require('./hierarchy')
+const {
+  DEFAULT_INSTITUTION,
+  INSTITUTION_CODE_PATTERN,
+} = require('./institutions')
+const {
+  DEFAULT_REGION_LIMIT,
+  averageOutlookScores,
+  bestRegionsForNoc,
+  rollUpOutlooks,
+} = require('./scores')
+const { getOccupationProfile } = require('./profiles')
+
+// `?by` of /outlook-rollup → the rollUpOutlooks() level
+const ROLLUP_BY = {
+  teer: 'teer',
+  category: 'broadCategory',
+}
+
+/**
+ * HTTP Error
+ * ==========
+ * An error that carries the HTTP status code to respond with.
+ * Thrown from route handlers and turned into JSON by errorHandler().
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message)
+    this.name = 'HttpError'
+    this.status = status
+  }
+}
+
+/**
+ * Async Route Wrapper
+ * ===================
+ * Express 4 doesn't catch rejected promises from async handlers, so this
+ * forwards them to next() where errorHandler() can respond properly.
+ *
+ * @param {Function} handler - async (req, res) => {...}
+ * @returns {Function} Express middleware
+ */
+function asyncRoute(handler) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next)
+  }
+}
+
+/**
+ * Single-Valued Query Check
+ * =========================
+ * Express parses a repeated parameter (`?lang=EN&lang=FR`) into an array and
+ * a bracketed one (`?noc[gt]=1`) into an object. No route takes either, so
+ * they are rejected up front rather than reaching a query.
+ *
+ * - Express middleware; passes a 400 HttpError naming the parameter to next()
+ */
+function singleValuedQuery(req, res, next) {
+  for (const [name, value] of Object.entries(req.query)) {
+    if (typeof value !== 'string') {
+      return next(new HttpError(400, `${name} must be a single value`))
+    }
+  }
+  next()
+}
+
+/**
+ * Integer Query Parameter Parser
+ * ==============================
+ * Reads an optional positive integer from the query string or route params.
+ *
+ * @param {string|undefined} value - Raw parameter value
+ * @param {string} name - Parameter name, used in the error message
+ * @returns {number|undefined} Parsed value, or undefined if not provided
+ * @throws {HttpError} 400 if the value is not a positive integer
+ */
+function parsePositiveInt(value, name) {
+  if (value === undefined || value === '') return undefined
+  const number = Number(value)
+  if (!Number.isInteger(number) || number < 1) {
+    throw new HttpError(400, `${name} must be a positive integer`)
+  }
+  return number
+}
+
+/**
+ * Language Query Parameter Parser
+ * ===============================
+ * @param {string|undefined} value - Raw `lang` parameter
+ * @returns {string|undefined} Upper-case language code, or undefined if not provided
+ * @throws {HttpError} 400 if the language isn't one of LANGUAGES
+ */
+function parseLang(value) {
+  if (value === undefined || value === '') return undefined
+  const lang = String(value).toUpperCase()
+  if (!LANGUAGES.includes(lang)) {
+    throw new HttpError(400, `lang must be one of ${LANGUAGES.join(', ')}`)
+  }
+  return lang
+}
+
+/**
+ * Boolean Query Parameter Parser
+ * ==============================
+ * @param {string|undefined} value - Raw parameter value
+ * @param {string} name - Parameter name, used in the error message
+ * @returns {boolean|undefined} The value, or undefined if not provided
+ * @throws {HttpError} 400 if the value isn't "true" or "false"
+ */
+function parseBoolean(value, name) {
+  if (value === undefined || value === '') return undefined
+  if (value === 'true') return true
+  if (value === 'false') return false
+  throw new HttpError(400, `${name} must be true or false`)
+}
+
+/**
+ * Category Query Parameter Parser
+ * ===============================
+ * @param {string|undefined} value - Raw `teer` or `category` parameter
+ * @param {string} name - Parameter name, used in the error message
+ * @param {Object} categories - TEER_CATEGORIES or BROAD_CATEGORIES
+ * @returns {number|undefined} The category number, or undefined if not provided
+ * @throws {HttpError} 400 if the value isn't one of the categories
+ */
+function parseCategory(value, name, categories) {
+  if (value === undefined || value === '') return undefined
+  if (!Object.keys(categories).includes(value)) {
+    throw new HttpError(
+      400,
+      `${name} must be one of ${Object.keys(categories).join(', ')}`
+    )
+  }
+  return Number(value)
+}
+
+/**
+ * Institution Query Parameter Parser
+ * ==================================
+ * @param {string|undefined} value - Raw `institution` parameter or route param
+ * @returns {string|undefined} Upper-case institution code, or undefined if not provided
+ * @throws {HttpError} 400 if the value can't be an institution code
+ */
+function parseInstitution(value) {
+  if (value === undefined || value === '') return undefined
+  const code = String(value).toUpperCase()
+  if (!INSTITUTION_CODE_PATTERN.test(code)) {
+    throw new HttpError(
+      400,
+      'institution must be an institution code such as VIU'
+    )
+  }
+  return code
+}
+
+/**
+ * Education Level Query Parameter Parser
+ * ======================================
+ * @param {string|undefined} value - Raw `education` parameter
+ * @returns {string|undefined} Upper-case education level, or undefined if not provided
+ * @throws {HttpError} 400 if the level isn't one of EDUCATION_LEVELS
+ */
+function parseEducation(value) {
+  if (value === undefined || value === '') return undefined
+  const level = String(value).toUpperCase()
+  if (!EDUCATION_LEVELS.includes(level)) {
+    throw new HttpError(
+      400,
+      `education must be one of ${EDUCATION_LEVELS.join(', ')}`
+    )
+  }
+  return level
+}
+
+/**
+ * Paginated Response Builder
+ * ==========================
+ * Wraps a `{ data, total }` query result with pagination metadata.
+ *
+ * @param {{ data: Object[], total: number }} result - Query result
+ * @param {number} [page=1] - The page that was requested
+ * @param {number} [pageSize] - The page size that was requested
+ * @returns {Object} `{ data, pagination: { page, pageSize, total, totalPages } }`
+ */
+function paginated(
+  { data, total },
+  page = 1,
+  pageSize = queries.DEFAULT_PAGE_SIZE
+) {
+  const size = Math.min(pageSize, queries.MAX_PAGE_SIZE)
+  return {
+    data,
+    pagination: {
+      page,
+      pageSize: size,
+      total,
+      totalPages: Math.ceil(total / size),
+    },
+  }
+}
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+const router = express.Router()
+
+router.use(singleValuedQuery)
+
+router.get(
+  '/unit-groups',
+  asyncRoute(async (req, res) => {
+    const page = parsePositiveInt(req.query.page, 'page')
+    const pageSize = parsePositiveInt(req.query.pageSize, 'pageSize')
+    const result = await queries.listUnitGroups({
+      search: req.query.search,
+      nocPrefix: req.query.noc,
+      teer: parseCategory(req.query.teer, 'teer', TEER_CATEGORIES),
+      broadCategory: parseCategory(
+        req.query.category,
+        'category',
+        BROAD_CATEGORIES
+      ),
+      education: parseEducation(req.query.education),
+      regulated: parseBoolean(req.query.regulated, 'regulated'),
+      redSeal: parseBoolean(req.query.redSeal, 'redSeal'),
+      lang: parseLang(req.query.lang),
+      includeRetired: parseBoolean(req.query.includeRetired, 'includeRetired'),
+      page,
+      pageSize,
+    })
+    res.json(paginated(result, page, pageSize))
+  })
+)
+
+router.get(
+  '/unit-groups/:noc',
+  asyncRoute(async (req, res) => {
+    const unitGroup = await queries.getUnitGroup(req.params.noc, {
+      lang: parseLang(req.query.lang),
+      includeRetired: parseBoolean(req.query.includeRetired, 'includeRetired'),
+    })
+    if (!unitGroup) {
+      throw new HttpError(404, `Unit group ${req.params.noc} not found`)
+    }
+    res.json({ data: unitGroup })
+  })
+)
+
+router.get(
+  '/unit-groups/:noc/profile',
+  asyncRoute(async (req, res) => {
+    const profile = await getOccupationProfile(req.params.noc, {
+      province: req.query.province,
+      lang: parseLang(req.query.lang),
+    })
+    if (!profile) {
+      throw new HttpError(404, `Unit group ${req.params.noc} not found`)
+    }
+    // Clients may keep it as long as the server does
+    const { cacheTtl } = settings.profiles
+    res.set(
+      'Cache-Control',
+      cacheTtl ? `public, max-age=${Math.floor(cacheTtl)}` : 'no-cache'
+    )
+    res.json({ data: profile })
+  })
+)
+
+router.get(
+  '/unit-groups/:noc/programs',
+  asyncRoute(async (req, res) => {
+    res.json({
+      data: await queries.listProgramsForUnitGroup(req.params.noc, {
+        institution: parseInstitution(req.query.institution),
+        includeRetired: parseBoolean(
+          req.query.includeRetired,
+          'includeRetired'
+        ),
+      }),
+    })
+  })
+)
+
+router.get(
+  '/unit-groups/:noc/institutions',
+  asyncRoute(async (req, res) => {
+    const compared = await queries.listInstitutionsForUnitGroup(
+      req.params.noc,
+      { lang: parseLang(req.query.lang) }
+    )
+    if (!compared) {
+      throw new HttpError(404, `Unit group ${req.params.noc} not found`)
+    }
+    res.json({ data: compared })
+  })
+)
+
+router.get(
+  '/unit-groups/:noc/related',
+  asyncRoute(async (req, res) => {
+    const related = await queries.listRelatedOccupations(req.params.noc, {
+      lang: parseLang(req.query.lang),
+    })
+    if (!related) {
+      throw new HttpError(404, `Unit group ${req.params.noc} not found`)
+    }
+    res.json({ data: related })
+  })
+)
+
+router.get(
+  '/unit-groups/:noc/outlook-history',
+  asyncRoute(async (req, res) => {
+    const history = await queries.getOutlookHistory(req.params.noc, {
+      region: req.query.region,
+      lang: parseLang(req.query.lang),
+    })
+    if (!history) {
+      throw new HttpError(404, `Unit group ${req.params.noc} not found`)
+    }
+    res.json({ data: history })
+  })
+)
+
+router.get(
+  '/unit-groups/:noc/best-regions',
+  asyncRoute(async (req, res) => {
+    const limit = parsePositiveInt(req.query.limit, 'limit')
+    const best = await bestRegionsForNoc(req.params.noc, {
+      province: req.query.province,
+      release: req.query.release,
+      lang: parseLang(req.query.lang),
+      limit: Math.min(limit || DEFAULT_REGION_LIMIT, queries.MAX_PAGE_SIZE),
+    })
+    if (!best) {
+      throw new HttpError(404, `Unit group ${req.params.noc} not found`)
+    }
+    res.json({ data: best })
+  })
+)
+
+router.get(
+  '/outlooks',
+  asyncRoute(async (req, res) => {
+    const page = parsePositiveInt(req.query.page, 'page')
+    const pageSize = parsePositiveInt(req.query.pageSize, 'pageSize')
+    const result = await queries.listOutlooks({
+      noc: req.query.noc,
+      region: req.query.region,
+      lang: parseLang(req.query.lang),
+      province: req.query.province,
+      release: req.query.release,
+      page,
+      pageSize,
+    })
+    res.json(paginated(result, page, pageSize))
+  })
+)
+
+router.get(
+  '/outlook-releases',
+  asyncRoute(async (req, res) => {
+    res.json({ data: await queries.listOutlookReleases() })
+  })
+)
+
+router.get(
+  '/outlook-scores',
+  asyncRoute(async (req, res) => {
+    res.json({
+      data: await averageOutlookScores({
+        province: req.query.province,
+        release: req.query.release,
+        lang: parseLang(req.query.lang),
+        noc: req.query.noc,
+      }),
+    })
+  })
+)
+
+router.get(
+  '/outlook-rollup',
+  asyncRoute(async (req, res) => {
+    const by = ROLLUP_BY[req.query.by || 'teer']
+    if (!by) {
+      throw new HttpError(
+        400,
+        `by must be one of ${Object.keys(ROLLUP_BY).join(', ')}`
+      )
+    }
+    res.json({
+      data: await rollUpOutlooks({
+        by,
+        province: req.query.province,
+        release: req.query.release,
+        lang: parseLang(req.query.lang),
+      }),
+    })
+  })
+)
+
+router.get(
+  '/noc-groups',
+  asyncRoute(async (req, res) => {
+    res.json({ data: await queries.listNocGroups() })
+  })
+)
+
+router.get(
+  '/noc-groups/:code',
+  asyncRoute(async (req, res) => {
+    const group = await queries.getNocGroup(req.params.code, {
+      lang: parseLang(req.query.lang),
+    })
+    if (!group) {
+      throw new HttpError(404, `NOC group ${req.params.code} not found`)
+    }
+    res.json({ data: group })
+  })
+)
+
+router.get(
+  '/regions',
+  asyncRoute(async (req, res) => {
+    res.json({
+      data: await queries.listRegions({
+        search: req.query.search,
+        province: req.query.province,
+      }),
+    })
+  })
+)
+
+router.get(
+  '/regions/:code',
+  asyncRoute(async (req, res) => {
+    const region = await queries.getRegion(req.params.code)
+    if (!region) {
+      throw new HttpError(404, `Economic region ${req.params.code} not found`)
+    }
+    res.json({ data: region })
+  })
+)
+
+router.get(
+  '/institutions',
+  asyncRoute(async (req, res) => {
+    res.json({ data: await queries.listInstitutions() })
+  })
+)
+
+router.get(
+  '/institutions/:code',
+  asyncRoute(async (req, res) => {
+    const code = parseInstitution(req.params.code)
+    const institution = await queries.getInstitution(code)
+    if (!institution) throw new HttpError(404, `Institution ${code} not found`)
+    res.json({ data: institution })
+  })
+)
+
+router.get(
+  '/program-areas',
+  asyncRoute(async (req, res) => {
+    res.json({
+      data: await queries.listProgramAreas({
+        institution: parseInstitution(req.query.institution),
+      }),
+    })
+  })
+)
+
+router.get(
+  '/programs/:nid',
+  asyncRoute(async (req, res) => {
+    const nid = parsePositiveInt(req.params.nid, 'nid')
+    const institution = parseInstitution(req.query.institution)
+    const program = await queries.getProgram(nid, {
+      institution,
+      lang: parseLang(req.query.lang),
+      includeRetired: parseBoolean(req.query.includeRetired, 'includeRetired'),
+    })
+    if (!program) {
+      throw new HttpError(
+        404,
+        `Program ${nid} not found at ${institution || DEFAULT_INSTITUTION}`
+      )
+    }
+    res.json({ data: program })
+  })
+)
+
+router.get(
+  '/search',
+  asyncRoute(async (req, res) => {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : ''
+    if (!query) throw new HttpError(400, 'q is required')
+    const limit = parsePositiveInt(req.query.limit, 'limit')
+    res.json({
+      data: await search(query, {
+        limit: Math.min(limit || DEFAULT_SEARCH_LIMIT, queries.MAX_PAGE_SIZE),
+      }),
+    })
+  })
+)
+
+router.get(
+  '/export/:dataset',
+  asyncRoute(async (req, res) => {
+    const { dataset } = req.params
+    const format = String(req.query.format || 'csv').toLowerCase()
+    const problem = checkExport(dataset, format)
+    if (problem) throw new HttpError(400, problem)
+
+    const { stream } = exportStream(dataset, format, {
+      lang: parseLang(req.query.lang),
+      province: req.query.province,
+      region: req.query.region,
+      release: req.query.release,
+    })
+    res.type(CONTENT_TYPES[format])
+    res.attachment(`${dataset}.${format}`) // Save as a file in the browser
+    await pipeline(stream, res)
+  })
+)
+
+// ============================================================================
+// FALLBACK HANDLERS
+// ============================================================================
+
+/**
+ * Not Found Handler
+ * =================
+ * Responds with a JSON 404 for any route the router doesn't define.
+ */
+function notFoundHandler(req, res, next) {
+  next(new HttpError(404, `No route for ${req.method} ${req.path}`))
+}
+
+/**
+ * Error Handler
+ * =============
+ * Turns any error passed to next() into a JSON response.
+ * HttpErrors keep their status; anything else is logged and reported as 500
+ * without leaking internal details to the client.
+ *
+ * - Express recognises error handlers by their four arguments
+ */
+function errorHandler(error, req, res, next) {
+  // A download that fails half-way can't be turned into JSON any more;
+  // Express's default handler closes the connection instead
+  if (res.headersSent) return next(error)
+
+  const status = error instanceof HttpError ? error.status : 500
+  if (status === 500) {
+    console.error(`Error handling ${req.method} ${req.originalUrl}:`, error)
+  }
+  res.status(status).json({
+    error: {
+      status,
+      message: status === 500 ? 'Internal server error' : error.message,
+    },
+  })
+}
+
+module.exports = {
+  HttpError,
+  asyncRoute,
+  parsePositiveInt,
+  paginated,
+  router,
+  notFoundHandler,
+  errorHandler,
+}
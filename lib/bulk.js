@@ -0,0 +1,149 @@
+/*
+ * Bulk Loader
+ * ===========
+ *
+ * saveRecord() writes one row per query, which is what --sync and --dry-run
+ * need: each row is compared with the one in the database. A plain seed only
+ * ever creates rows, so with `--bulk` it can insert them many at a time:
+ *
+ * 1. The records are split into chunks of settings.bulk.size; each chunk is
+ *    one batch of the import run (lib/runs.js), and up to
+ *    settings.bulk.concurrency batches are committed side by side
+ * 2. A chunk is inserted with a single createManyAndReturn({ skipDuplicates }),
+ *    i.e. one INSERT ... ON CONFLICT DO NOTHING. Rows that hit a unique
+ *    constraint are skipped and counted (and logged) as duplicates, like
+ *    safeCreate() does; the rows that were inserted are journaled
+ * 3. If the insert fails for any other reason (a foreign key, a bad value),
+ *    the chunk is retried row by row with saveRecord(), so every failing row
+ *    is still reported on its own in the error log
+ *
+ * saveRecords() is the entry point for seeders: it picks the bulk path or
+ * the row-by-row path, so a seeder is written once for both.
+ */
+
+const { settings } = require('./config')
+const { client, withSavepoint } = require('./db')
+const { counters, log, logDuplicate, logProgress } = require('./logging')
+const { saveRecord, primaryKey } = require('./sync')
+const { runBatches, runChunks, recordChange } = require('./runs')
+
+/**
+ * Bulk Mode Check
+ * ===============
+ * @returns {boolean} True if records are inserted in bulk: --bulk on a plain
+ *   seed (sync and dry runs compare rows one at a time)
+ */
+function isBulk() {
+  return settings.bulk.enabled && !settings.sync && !settings.dryRun
+}
+
+/**
+ * Row Fingerprint
+ * ===============
+ * @param {Object} row - A record, or a row returned by the database
+ * @param {string[]} fields - The fields of the incoming records
+ * @returns {string} The row's values of those fields, as one comparable string
+ */
+function fingerprint(row, fields) {
+  return JSON.stringify(fields.map((field) => row[field] ?? null))
+}
+
+/**
+ * Chunk Inserter
+ * ==============
+ * Inserts one chunk of new rows with a single query.
+ *
+ * @param {string} modelName - Prisma model name in camelCase
+ * @param {Object[]} rows - Full records to create
+ * @param {Object} options
+ * @param {Function} options.where - (row) => natural key, for the retry
+ * @param {Function} options.label - (row) => identifier label for logging
+ *
+ * - Rows left out by skipDuplicates are found by comparing the returned rows
+ *   with the chunk, so each one can be written to the duplicate log
+ * - Runs in a savepoint: a failed insert leaves the batch usable for the
+ *   row-by-row retry
+ */
+async function insertChunk(modelName, rows, { where, label }) {
+  const model = client()[modelName]
+  const key = primaryKey(modelName)
+
+  let created
+  try {
+    created = await withSavepoint(() =>
+      model.createManyAndReturn({ data: rows, skipDuplicates: true })
+    )
+  } catch (error) {
+    const message = `Bulk insert of ${rows.length} ${modelName} row(s) failed (${error.message.split('\n').pop()}); retrying them one by one`
+    console.log(`\n${message}`)
+    log('warn', 'bulk-retry', message, { model: modelName })
+    for (const row of rows) {
+      await saveRecord(modelName, where(row), row, label(row))
+    }
+    return
+  }
+
+  for (const row of created)
+    recordChange(modelName, 'create', { [key]: row[key] })
+  counters.created += created.length
+
+  if (created.length < rows.length) {
+    const fields = Object.keys(rows[0])
+    const inserted = new Set(created.map((row) => fingerprint(row, fields)))
+    const skipped = rows.filter(
+      (row) => !inserted.has(fingerprint(row, fields))
+    )
+    counters.duplicates += rows.length - created.length
+    for (const row of skipped) {
+      logDuplicate(
+        label(row),
+        { meta: { target: 'unique constraint (skipped by bulk insert)' } },
+        row,
+        modelName
+      )
+    }
+  }
+  logProgress()
+}
+
+/**
+ * Records Saver
+ * =============
+ * Saves many records of one model: in bulk with --bulk (see the top of this
+ * file), otherwise one saveRecord() at a time in import batches.
+ *
+ * @param {string} modelName - Prisma model name in camelCase
+ * @param {Object[]} records - Full records to save
+ * @param {Object} options
+ * @param {Function} options.where - (record) => natural key for saveRecord()
+ * @param {Function} options.label - (record) => identifier label for logging
+ * @param {boolean} [options.update=true] - False to only create missing rows
+ * @returns {Promise<any[]>} Primary keys of the synced rows (sync and dry
+ *   runs, for --prune); empty in bulk mode
+ */
+async function saveRecords(modelName, records, { where, label, update }) {
+  if (isBulk()) {
+    await runChunks(
+      records,
+      settings.bulk.size,
+      (chunk) => insertChunk(modelName, chunk, { where, label }),
+      settings.bulk.concurrency
+    )
+    return []
+  }
+
+  const keys = []
+  await runBatches(records, async (record) => {
+    keys.push(
+      await saveRecord(modelName, where(record), record, label(record), {
+        update,
+      })
+    )
+  })
+  return keys
+}
+
+module.exports = {
+  isBulk,
+  saveRecords,
+}
@@ -0,0 +1,240 @@
+/*
+ * Database Cleanup
+ * ================
+ *
+ * Finds and fixes bad data left behind by earlier imports, using the rules
+ * in lib/rules.js. Run it with `node index.js clean`, or name the rules to
+ * run: `node index.js clean short-noc-outlooks orphaned-sections`.
+ *
+ * For every rule:
+ * 1. One set-based query finds the keys of the affected rows
+ * 2. The rule's action is applied to all of them at once, in chunks:
+ *    delete, repair, or nothing at all for report-only rules
+ * 3. The count and a few sample keys go into the cleanup report
+ *
+ * The full list of affected keys per rule is written as JSON to
+ * settings.logs.cleanup. With --dry-run nothing is deleted or repaired.
+ */
+
+const fs = require('fs') // File system operations (built-in Node.js module)
+const { settings } = require('./config')
+const { prisma, runInTransaction } = require('./db')
+const { logError, logDeleteProgress } = require('./logging')
+const { recordPlanned, printPlan } = require('./plan')
+const { CLEANUP_RULES } = require('./rules')
+
+// Keys fixed per transaction - keeps us well below Postgres' parameter limit
+const CLEANUP_CHUNK_SIZE = 1000
+
+// Sample keys shown per rule in the console report
+const REPORT_SAMPLE_LIMIT = 5
+
+/**
+ * Rule Selector
+ * =============
+ * @param {string[]} [names] - Rule names to run; all rules when empty
+ * @returns {Object[]} The rules, in CLEANUP_RULES order
+ * @throws {Error} If a name doesn't match any rule
+ */
+function selectRules(names = []) {
+  const unknown = names.filter(
+    (name) => !CLEANUP_RULES.some((rule) => rule.name === name)
+  )
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown cleanup rule(s): ${unknown.join(', ')}. ` +
+        `Available: ${CLEANUP_RULES.map((rule) => rule.name).join(', ')}`
+    )
+  }
+  if (names.length === 0) return CLEANUP_RULES
+  return CLEANUP_RULES.filter((rule) => names.includes(rule.name))
+}
+
+/**
+ * Affected Row Finder
+ * ===================
+ * @param {Object} rule - One of CLEANUP_RULES
+ * @returns {Promise<any[]>} Primary keys of the rows the rule applies to
+ */
+async function detectRows(rule) {
+  const key = rule.key || 'id'
+  if (rule.detect) {
+    const rows = await prisma.$queryRawUnsafe(rule.detect)
+    return rows.map((row) => row.key)
+  }
+  const rows = await prisma[rule.model].findMany({
+    where: rule.where,
+    select: { [key]: true },
+  })
+  return rows.map((row) => row[key])
+}
+
+/**
+ * Rule Fixer
+ * ==========
+ * Applies a delete or repair rule to the affected rows, one chunk per
+ * transaction.
+ *
+ * @param {Object} rule - One of CLEANUP_RULES
+ * @param {any[]} keys - Output of detectRows()
+ * @returns {Promise<number>} Number of rows deleted or repaired
+ *
+ * - A chunk's dependents and rows are removed together, or not at all
+ */
+async function applyRule(rule, keys) {
+  const key = rule.key || 'id'
+  let fixed = 0
+
+  for (let i = 0; i < keys.length; i += CLEANUP_CHUNK_SIZE) {
+    const chunk = keys.slice(i, i + CLEANUP_CHUNK_SIZE)
+    fixed += await runInTransaction(
+      async (tx) => {
+        if (rule.action === 'repair') {
+          return Number(await rule.repair(tx, chunk))
+        }
+
+        for (const dependent of rule.dependents || []) {
+          await tx[dependent.model].deleteMany({
+            where: { [dependent.field]: { in: chunk } },
+          })
+        }
+        const { count } = await tx[rule.model].deleteMany({
+          where: { [key]: { in: chunk } },
+        })
+        return count
+      },
+      { timeout: settings.transactionTimeout, maxWait: 10000 }
+    )
+    if (rule.action === 'delete') logDeleteProgress(fixed, keys.length)
+  }
+  if (rule.action === 'delete' && keys.length > 0) process.stdout.write('\n')
+  return fixed
+}
+
+/**
+ * Single Rule Runner
+ * ==================
+ * @param {Object} rule - One of CLEANUP_RULES
+ * @returns {Promise<Object>} Report entry:
+ *   `{ rule, description, model, action, affected, fixed, keys, error }`
+ *
+ * - Errors are logged and reported, and the remaining rules still run
+ */
+async function runRule(rule) {
+  const entry = {
+    rule: rule.name,
+    description: rule.description,
+    model: rule.model,
+    action: rule.action,
+    affected: 0,
+    fixed: 0,
+    keys: [],
+    error: null,
+  }
+
+  try {
+    entry.keys = await detectRows(rule)
+    entry.affected = entry.keys.length
+    if (entry.affected === 0 || rule.action === 'report') return entry
+
+    if (settings.dryRun) {
+      const planned = rule.action === 'repair' ? 'update' : 'delete'
+      for (const key of entry.keys) {
+        recordPlanned(rule.model, planned, `${rule.name}: ${key}`)
+      }
+      return entry
+    }
+    entry.fixed = await applyRule(rule, entry.keys)
+  } catch (error) {
+    entry.error = error.message
+    logError(`Error in cleanup rule ${rule.name}: ${error.message}`, {
+      model: rule.model,
+      record: rule.name,
+      error,
+    })
+  }
+  return entry
+}
+
+/**
+ * Cleanup Report
+ * ==============
+ * Prints one line per rule with a few sample keys, and writes the full
+ * report (every affected key) as JSON.
+ *
+ * @param {Object[]} entries - Output of runRule() for each rule
+ * @param {string|null} [reportPath=settings.logs.cleanup] - Where to write the
+ *   JSON report (null to skip)
+ */
+function reportCleanup(entries, reportPath = settings.logs.cleanup) {
+  console.log('\nCleanup report:')
+  for (const entry of entries) {
+    let result = `${entry.affected} found`
+    if (entry.error) {
+      result = `FAILED: ${entry.error}`
+    } else if (entry.action !== 'report' && !settings.dryRun) {
+      const done = entry.action === 'delete' ? 'deleted' : 'repaired'
+      result += `, ${entry.fixed} ${done}`
+    }
+    console.log(
+      `  ${entry.rule.padEnd(26)} ${entry.action.padEnd(7)} ${result}`
+    )
+
+    if (entry.affected > 0) {
+      const sample = entry.keys.slice(0, REPORT_SAMPLE_LIMIT).join(', ')
+      const more = entry.affected - REPORT_SAMPLE_LIMIT
+      console.log(
+        `    ${entry.model}: ${sample}${more > 0 ? ` ... and ${more} more` : ''}`
+      )
+    }
+  }
+
+  if (reportPath) {
+    const report = {
+      generatedAt: new Date().toISOString(),
+      dryRun: settings.dryRun,
+      rules: entries,
+    }
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2))
+    console.log(`Cleanup report written to ${reportPath}`)
+  }
+}
+
+/**
+ * Database Cleanup Function
+ * ========================
+ * Runs the cleanup rules and reports what each one found and fixed.
+ *
+ * Why cleanup is needed:
+ * - Data import processes can sometimes create malformed records
+ * - Short NOC codes, orphaned rows and untidy names indicate incomplete or invalid data
+ * - Cleanup maintains data quality and consistency
+ *
+ * @param {string[]} [ruleNames] - Rules to run (default: every rule)
+ * @returns {Promise<Object[]>} One report entry per rule (see runRule())
+ * @throws {Error} If a rule name is unknown
+ *
+ * - A failing rule is logged (see the error log) without stopping the others
+ * - With --dry-run the rows are found and reported but not changed
+ * - The database connection is left open; the caller decides when to disconnect
+ */
+async function cleanDatabase(ruleNames = []) {
+  const rules = selectRules(ruleNames)
+  console.log(`Starting database cleanup (${rules.length} rule(s))...`)
+
+  const entries = []
+  for (const rule of rules) {
+    console.log(`\n${rule.name}: ${rule.description}`)
+    entries.push(await runRule(rule))
+  }
+
+  reportCleanup(entries)
+  if (settings.dryRun) printPlan()
+  console.log('\nCleanup complete!')
+  return entries
+}
+
+module.exports = {
+  CLEANUP_RULES,
+  cleanDatabase,
+}
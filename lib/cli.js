@@ -0,0 +1,873 @@
+/*
+ * Command-Line Interface
+ * ======================
+ *
+ * Parses the command line and dispatches to the matching command:
+ *
+ *   node index.js seed <unit-groups|regions|outlooks|concordance|programs|all|...> [options]
+ *   node index.js clean [rule...] [options]
+ *   node index.js status [options]
+ *   node index.js match [options]
+ *   node index.js serve [options]
+ *   node index.js runs [list|resume <id>|rollback <id>] [options]
+ *   node index.js outlook-history <noc> [region] [options]
+ *   node index.js search <query> [options]
+ *   node index.js reindex [options]
+ *   node index.js export <unit-groups|outlooks|programs|all> [options]
+ *
+ * Replaces the old SEED_* / CLEAN / LOG_* constants that had to be edited in
+ * source before every run. Each command returns an exit code (see EXIT_CODES)
+ * so scripts and cron jobs can tell what happened.
+ */
+
+const fs = require('fs') // File system operations (built-in Node.js module)
+const path = require('path') // Path manipulation utilities (built-in Node.js module)
+const { parseArgs } = require('util') // Built-in argument parser (Node.js 18.3+)
+const { pipeline } = require('stream/promises') // Connects streams, waiting for the slower side
+const { settings, configure } = require('./config')
+const { prisma } = require('./db')
+const { LOG_LEVELS, counters, openLogs, closeLogs } = require('./logging')
+const { seedDatabase, rebuildDerived } = require('./pipeline')
+const {
+  DATASETS,
+  getDataset,
+  seedTargets,
+  loadDatasetConfig,
+} = require('./datasets')
+const { sourceFile } = require('./sources')
+const { CLEANUP_RULES, cleanDatabase } = require('./clean')
+const { matchPrograms } = require('./matching')
+const { startServer } = require('./server')
+const { fileChecksum, listRuns, getRun, rollbackRun } = require('./runs')
+const { getOutlookHistory } = require('./queries')
+const { search, rebuildSearchIndex } = require('./search')
+const { rebuildRequirements } = require('./requirements')
+const { LANGUAGES } = require('./validation')
+const { EXPORT_FORMATS, checkExport, exportStream } = require('./export')
+
+// ============================================================================
+// EXIT CODES
+// ============================================================================
+// Process exit codes returned by every command
+
+const EXIT_CODES = {
+  OK: 0, // Command finished without problems
+  FAILURE: 1, // Unexpected error (database unreachable, crash, ...)
+  USAGE: 2, // Bad command or option on the command line
+  INPUT_MISSING: 3, // A requested input file does not exist
+  RECORD_ERRORS: 4, // Command finished but some records failed (see error log)
+  INVALID_INPUT: 5, // --validate-only found records that would be rejected
+}
+
+/**
+ * Usage Error
+ * ===========
+ * Thrown when the command line itself is wrong (unknown command, bad option
+ * value). Results in the usage text being printed and EXIT_CODES.USAGE.
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'UsageError'
+  }
+}
+
+// ============================================================================
+// OPTION DEFINITIONS
+// ============================================================================
+// Options shared by every command (see util.parseArgs for the format)
+
+const OPTIONS = {
+  'unit-groups-file': { type: 'string' }, // Override data/unit_groups.json
+  'noc-groups-file': { type: 'string' }, // Override data/noc_groups.json
+  'programs-file': { type: 'string' }, // Override data/viu_programs.json
+  'regions-file': { type: 'string' }, // Override data/economic_regions.json
+  'outlooks-file': { type: 'string' }, // Override the outlook workbook
+  'concordance-file': { type: 'string' }, // Override the NOC 2016 → 2021 concordance
+  'datasets-file': { type: 'string' }, // Extra dataset adapters (datasets.json)
+  release: { type: 'string' }, // Label of the outlook release being seeded
+  sheet: { type: 'string', multiple: true }, // Workbook sheet(s) to read
+  lang: { type: 'string' }, // Language of the unit groups file (EN/FR)
+  'batch-size': { type: 'string' }, // Records processed in parallel
+  bulk: { type: 'boolean' }, // Insert rows in bulk (plain seeds only)
+  'bulk-size': { type: 'string' }, // Rows per bulk insert
+  concurrency: { type: 'string' }, // Bulk batches committed at the same time
+  sync: { type: 'boolean' }, // Update changed rows while seeding
+  prune: { type: 'boolean' }, // With --sync: remove rows missing from the files
+  retire: { type: 'boolean' }, // With --sync: retire rows missing from the files
+  'validate-only': { type: 'boolean' }, // Check input files without seeding
+  'validation-report': { type: 'string' }, // Where the validation report is written
+  'cleanup-report': { type: 'string' }, // Where the cleanup report is written
+  'retirement-report': { type: 'string' }, // Where the retirement report is written
+  'dry-run': { type: 'boolean' }, // Report planned changes without writing
+  'log-file': { type: 'string' }, // Where the JSON-lines log is appended
+  'no-log-file': { type: 'boolean' }, // Disable the log file entirely
+  'log-level': { type: 'string' }, // Lowest level written to the log file
+  // Options of the old errors.txt / duplicates.txt logs, still accepted
+  'error-log': { type: 'string' }, // Same as --log-file
+  'no-error-log': { type: 'boolean' }, // Same as --no-log-file
+  'duplicate-log': { type: 'string' }, // --log-file with --log-level debug
+  limit: { type: 'string' }, // Matches kept per program for `match`
+  'min-score': { type: 'string' }, // Minimum keyword score for `match`
+  port: { type: 'string' }, // Preferred HTTP port for `serve`
+  'profile-cache-ttl': { type: 'string' }, // Seconds `serve` caches occupation profiles
+  format: { type: 'string' }, // Output format for `export`
+  output: { type: 'string' }, // Output file for `export`
+  province: { type: 'string' }, // `export outlooks`: only this province
+  region: { type: 'string' }, // `export outlooks`: only this economic region
+  help: { type: 'boolean', short: 'h' },
+}
+
+// Subcommands accepted by `runs`
+const RUNS_ACTIONS = ['list', 'resume', 'rollback']
+
+const USAGE = `Usage: node index.js <command> [options]
+
+Commands:
+  seed <target>          Import data; target is one of:
+                         ${Object.keys(seedTargets()).join(', ')},
+                         or one declared in datasets.json
+  clean [rule...]        Find and fix bad data; runs every rule unless
+                         rules are named (see Cleanup Rules in README.md)
+  status                 Show record counts and input file availability
+  match                  Rank the occupations each program leads to
+  serve                  Start the HTTP server
+  runs [list]            Show recent import runs
+  runs resume <id>       Continue a failed import run after its last batch
+  runs rollback <id>     Undo everything an import run wrote
+  outlook-history <noc> [region]
+                         Show how a NOC's outlook rating changed between
+                         releases, per economic region
+  search <query>         Find occupations and programs by keyword
+  reindex                Rebuild the search index and the parsed employment
+                         requirements
+  export <dataset>       Write data to a CSV, XLSX or JSON file; dataset is
+                         one of: unit-groups, outlooks, programs, all
+  help                   Show this message
+
+Options:
+  --unit-groups-file <path>  Unit groups JSON (default: data/unit_groups.json)
+  --noc-groups-file <path>   NOC group titles JSON, optional
+                             (default: data/noc_groups.json)
+  --programs-file <path>     Programs JSON (default: data/viu_programs.json)
+  --regions-file <path>      Economic region reference JSON
+                             (default: data/economic_regions.json)
+  --outlooks-file <path>     Outlook workbook, XLSX or CSV
+                             (default: data/2024-2026-3-year-outlooks.xlsx)
+  --concordance-file <path>  NOC 2016 → 2021 concordance CSV/XLSX
+                             (default: data/noc_2016_2021_concordance.csv)
+  --datasets-file <path>     Extra datasets to seed, e.g. another
+                             institution's programs (default: datasets.json)
+  --sheet <name>             seed: workbook sheet to read; repeat for several
+                             sheets, or "*" for all (default: the first)
+  --release <label>          seed outlooks: release the workbook belongs to,
+                             e.g. 2025-2027 (default: from the file name);
+                             export: only outlooks of this release
+  --lang <EN|FR>             seed unit-groups: language of the unit groups
+                             file; outlook-history, export: language of the
+                             titles and ratings (default: EN)
+  --batch-size <n>           Records processed in parallel (default: 20)
+  --bulk                     seed: insert many rows per query (not with
+                             --sync or --dry-run)
+  --bulk-size <n>            seed --bulk: rows per insert and batch
+                             (default: 1000)
+  --concurrency <n>          seed --bulk: batches committed at the same time
+                             (default: 1)
+  --sync                     seed: update changed records instead of skipping
+                             existing ones, and report results per model
+  --prune                    seed --sync: also delete records that are no
+                             longer in the input files
+  --retire                   seed --sync: flag unit groups and programs that
+                             are no longer in the input files as retired
+                             (instead of deleting them), and reinstate
+                             retired ones that are back
+  --validate-only            seed: check the input files and stop, without
+                             touching the database
+  --validation-report <path> Write the validation report here
+                             (default: validation-report.json)
+  --cleanup-report <path>    Write the cleanup report here
+                             (default: cleanup-report.json)
+  --retirement-report <path> Write the retirement report here
+                             (default: retirement-report.json)
+  --dry-run                  seed, clean: show what would be created, updated
+                             or deleted without writing to the database
+  --log-file <path>          Append the JSON-lines log here: errors, runs and
+                             (at debug level) duplicates
+                             (default: import-log.jsonl)
+  --no-log-file              Do not write a log file
+  --log-level <level>        Lowest level logged: debug, info, warn or error
+                             (default: info)
+  --limit <n>                Matches kept per program for match (default: 10)
+  --min-score <n>            Minimum keyword score for match (default: 3)
+  --port <n>                 Preferred port for serve (default: $PORT or 3000)
+  --profile-cache-ttl <n>    Seconds serve caches each occupation profile,
+                             0 for no caching (default: 300)
+  --format <csv|xlsx|json>   Format for export (default: from --output's
+                             extension, else csv)
+  --output <path>            File written by export (default: <dataset>.<format>)
+  --province <code>          export: only outlooks for this province, e.g. BC
+  --region <code>            export: only outlooks for this economic region
+  -h, --help                 Show this message
+
+Exit codes:
+  0 success, 1 failure, 2 usage error, 3 input file missing,
+  4 finished with record errors, 5 validation found invalid records`
+
+/**
+ * Positive Integer Option Parser
+ * ==============================
+ * Converts a numeric option value and rejects anything that isn't a
+ * positive whole number.
+ *
+ * @param {string|undefined} value - Raw option value from the command line
+ * @param {string} name - Option name, used in the error message
+ * @returns {number|undefined} The parsed number, or undefined if not provided
+ * @throws {UsageError} If the value is not a positive integer
+ */
+function parsePositiveInt(value, name) {
+  if (value === undefined) return undefined
+  const number = Number(value)
+  if (!Number.isInteger(number) || number < 1) {
+    throw new UsageError(`--${name} must be a positive integer, got "${value}"`)
+  }
+  return number
+}
+
+/**
+ * Non-Negative Number Option Parser
+ * =================================
+ * Like parsePositiveInt() but accepts zero and decimals (used for scores).
+ *
+ * @param {string|undefined} value - Raw option value from the command line
+ * @param {string} name - Option name, used in the error message
+ * @returns {number|undefined} The parsed number, or undefined if not provided
+ * @throws {UsageError} If the value is not a number >= 0
+ */
+function parseNonNegativeNumber(value, name) {
+  if (value === undefined) return undefined
+  const number = Number(value)
+  if (value.trim() === '' || !Number.isFinite(number) || number < 0) {
+    throw new UsageError(`--${name} must be a number >= 0, got "${value}"`)
+  }
+  return number
+}
+
+/**
+ * Language Option Parser
+ * ======================
+ * @param {string|undefined} value - Raw --lang value
+ * @returns {string|undefined} Upper-case language code, or undefined if not provided
+ * @throws {UsageError} If the language isn't one of LANGUAGES
+ */
+function parseLang(value) {
+  if (value === undefined) return undefined
+  const lang = value.toUpperCase()
+  if (!LANGUAGES.includes(lang)) {
+    throw new UsageError(
+      `--lang must be one of ${LANGUAGES.join(', ')}, got "${value}"`
+    )
+  }
+  return lang
+}
+
+/**
+ * Log Level Parser
+ * ================
+ * @param {string|undefined} value - Raw --log-level value
+ * @returns {string|undefined} The level in lower case, or undefined if not given
+ * @throws {UsageError} If the level isn't one of LOG_LEVELS
+ */
+function parseLogLevel(value) {
+  if (value === undefined) return undefined
+  const level = value.toLowerCase()
+  if (!LOG_LEVELS.includes(level)) {
+    throw new UsageError(
+      `--log-level must be one of ${LOG_LEVELS.join(', ')}, got "${value}"`
+    )
+  }
+  return level
+}
+
+/**
+ * Command Line Parser
+ * ===================
+ * Turns the raw argument list into a command name, its positional arguments
+ * and a settings override object for configure().
+ *
+ * @param {string[]} argv - Arguments after `node index.js`
+ * @returns {{ command: string, args: string[], overrides: Object, help: boolean }}
+ * @throws {UsageError} On unknown options or invalid values
+ */
+function parseCommandLine(argv) {
+  let parsed
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: OPTIONS,
+      allowPositionals: true,
+    })
+  } catch (error) {
+    // parseArgs throws TypeErrors for unknown options and missing values
+    throw new UsageError(error.message)
+  }
+
+  const { values, positionals } = parsed
+  const [command = 'help', ...args] = positionals
+  const resolve = (file) => (file ? path.resolve(file) : undefined)
+
+  // The old names of the log options (--error-log, --no-error-log and
+  // --duplicate-log, which also asked for duplicates) still work
+  const logFile =
+    values['log-file'] || values['error-log'] || values['duplicate-log']
+  const noLogFile = values['no-log-file'] || values['no-error-log']
+  if (noLogFile && logFile) {
+    throw new UsageError('--log-file cannot be combined with --no-log-file')
+  }
+
+  // Pruning without syncing would delete rows the run never compared
+  if (values.prune && !values.sync) {
+    throw new UsageError('--prune requires --sync')
+  }
+  if (values.retire && !values.sync) {
+    throw new UsageError('--retire requires --sync')
+  }
+
+  // Bulk inserts skip the per-row comparison that sync and dry runs rely on
+  if (values.bulk && (values.sync || values['dry-run'])) {
+    throw new UsageError('--bulk cannot be combined with --sync or --dry-run')
+  }
+  if ((values['bulk-size'] || values.concurrency) && !values.bulk) {
+    throw new UsageError('--bulk-size and --concurrency require --bulk')
+  }
+
+  const overrides = {
+    batchSize: parsePositiveInt(values['batch-size'], 'batch-size'),
+    bulk: {
+      enabled: values.bulk,
+      size: parsePositiveInt(values['bulk-size'], 'bulk-size'),
+      concurrency: parsePositiveInt(values.concurrency, 'concurrency'),
+    },
+    port: parsePositiveInt(values.port, 'port'),
+    profiles: {
+      cacheTtl: parseNonNegativeNumber(
+        values['profile-cache-ttl'],
+        'profile-cache-ttl'
+      ),
+    },
+    sync: values.sync,
+    prune: values.prune,
+    retire: values.retire,
+    validateOnly: values['validate-only'],
+    dryRun: values['dry-run'],
+    outlookRelease: values.release,
+    lang: parseLang(values.lang),
+    logLevel: parseLogLevel(
+      values['log-level'] || (values['duplicate-log'] ? 'debug' : undefined)
+    ),
+    files: {
+      unitGroups: resolve(values['unit-groups-file']),
+      nocGroups: resolve(values['noc-groups-file']),
+      programs: resolve(values['programs-file']),
+      regions: resolve(values['regions-file']),
+      outlooks: resolve(values['outlooks-file']),
+      concordance: resolve(values['concordance-file']),
+    },
+    datasetsFile: resolve(values['datasets-file']),
+    sheets: values.sheet,
+    logs: {
+      file: noLogFile ? null : resolve(logFile),
+      validation: resolve(values['validation-report']),
+      cleanup: resolve(values['cleanup-report']),
+      retirement: resolve(values['retirement-report']),
+    },
+    matching: {
+      limit: parsePositiveInt(values.limit, 'limit'),
+      minScore: parseNonNegativeNumber(values['min-score'], 'min-score'),
+    },
+    export: {
+      format: values.format && values.format.toLowerCase(),
+      output: resolve(values.output),
+      province: values.province,
+      region: values.region,
+    },
+  }
+
+  return { command, args, overrides, help: Boolean(values.help) }
+}
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+// Each command returns an exit code; the shared lifecycle (log files and the
+// database connection) is handled by runCommand() below.
+
+/**
+ * Seed Command
+ * ============
+ * `seed <unit-groups|regions|outlooks|concordance|programs|all>` - imports the
+ * chosen dataset(s). Targets declared in datasets.json work the same way.
+ *
+ * @param {string[]} args - Positional arguments after `seed`
+ * @returns {Promise<number>} Exit code
+ */
+async function seedCommand([target, ...extra]) {
+  const targets = seedTargets()
+  if (!target || !targets[target] || extra.length > 0) {
+    throw new UsageError(
+      `seed expects exactly one target: ${Object.keys(targets).join(', ')}`
+    )
+  }
+
+  console.log(
+    settings.validateOnly
+      ? `🔍 Validating ${target} input...`
+      : `🌱 Seeding ${target}...`
+  )
+  // Turn the target's dataset list into seedDatabase()'s on/off flags
+  const summary = await seedDatabase(
+    Object.fromEntries(targets[target].map((name) => [name, true]))
+  )
+
+  return seedExitCode(summary)
+}
+
+/**
+ * Seed Exit Code
+ * ==============
+ * @param {Object} summary - Result of seedDatabase()
+ * @returns {number} Exit code for a finished seed (or resumed import run)
+ */
+function seedExitCode(summary) {
+  if (summary.missingFiles.length > 0) return EXIT_CODES.INPUT_MISSING
+  if (settings.validateOnly) {
+    return summary.valid ? EXIT_CODES.OK : EXIT_CODES.INVALID_INPUT
+  }
+  if (summary.errors > 0) return EXIT_CODES.RECORD_ERRORS
+  return EXIT_CODES.OK
+}
+
+/**
+ * Clean Command
+ * =============
+ * `clean [rule...]` - runs the cleanup rules (all of them, or the named ones).
+ *
+ * @param {string[]} args - Names of the rules to run
+ * @returns {Promise<number>} Exit code
+ */
+async function cleanCommand(args) {
+  const unknown = args.filter(
+    (name) => !CLEANUP_RULES.some((rule) => rule.name === name)
+  )
+  if (unknown.length > 0) {
+    throw new UsageError(`Unknown cleanup rule(s): ${unknown.join(', ')}`)
+  }
+
+  console.log('🧹 Starting database cleanup...')
+  await cleanDatabase(args)
+  return counters.errors > 0 ? EXIT_CODES.RECORD_ERRORS : EXIT_CODES.OK
+}
+
+/**
+ * Status Command
+ * ==============
+ * `status` - prints how many rows each table holds and whether the input
+ * files are present. Useful as a quick health check before seeding.
+ *
+ * @returns {Promise<number>} Exit code
+ */
+async function statusCommand(args) {
+  if (args.length > 0) throw new UsageError('status takes no arguments')
+
+  // Input files - checked first so this part works even without a database
+  console.log('Input files:')
+  for (const dataset of DATASETS) {
+    const file = sourceFile(dataset)
+    const state = fs.existsSync(file)
+      ? 'found  '
+      : dataset.optional
+        ? 'absent '
+        : 'MISSING'
+    console.log(`  ${state} ${dataset.name.padEnd(12)} ${file}`)
+  }
+
+  // Row counts for every model, queried in parallel
+  const models = [
+    'unitGroup',
+    'sectionsEntity',
+    'unitGroupTranslation',
+    'unitGroupRequirement',
+    'unitGroupRelation',
+    'nocGroup',
+    'economicRegion',
+    'outlook',
+    'institution',
+    'programArea',
+    'program',
+    'nocConcordance',
+    'programNocReview',
+    'programNocMatch',
+    'outlookRelease',
+    'searchTerm',
+    'importRun',
+  ]
+  const counts = await Promise.all(models.map((model) => prisma[model].count()))
+
+  console.log('\nDatabase records:')
+  models.forEach((model, index) => {
+    console.log(`  ${model.padEnd(20)} ${counts[index]}`)
+  })
+
+  return EXIT_CODES.OK
+}
+
+/**
+ * Match Command
+ * =============
+ * `match` - scores every program against every unit group and stores the
+ * ranked program → occupation links.
+ *
+ * @returns {Promise<number>} Exit code
+ */
+async function matchCommand(args) {
+  if (args.length > 0) throw new UsageError('match takes no arguments')
+  if (settings.dryRun) throw new UsageError('match does not support --dry-run')
+
+  console.log('🔗 Matching programs to occupations...')
+  await matchPrograms()
+  return counters.errors > 0 ? EXIT_CODES.RECORD_ERRORS : EXIT_CODES.OK
+}
+
+/**
+ * Serve Command
+ * =============
+ * `serve` - starts the HTTP server. Returns null because the process keeps
+ * running until it is stopped with a signal.
+ *
+ * @returns {Promise<null>}
+ */
+async function serveCommand(args) {
+  if (args.length > 0) throw new UsageError('serve takes no arguments')
+  await startServer()
+  return null
+}
+
+/**
+ * Runs Command
+ * ============
+ * `runs [list]` - lists recent import runs
+ * `runs resume <id>` - continues a failed run after its last committed batch
+ * `runs rollback <id>` - undoes everything a run wrote
+ *
+ * @param {string[]} args - Subcommand and run id
+ * @returns {Promise<number>} Exit code
+ */
+async function runsCommand([action = 'list', id, ...extra]) {
+  if (!RUNS_ACTIONS.includes(action) || extra.length > 0) {
+    throw new UsageError(`runs expects one of: ${RUNS_ACTIONS.join(', ')}`)
+  }
+
+  if (action === 'list') {
+    if (id !== undefined) throw new UsageError('runs list takes no arguments')
+    const runs = await listRuns()
+    if (runs.length === 0) console.log('No import runs yet.')
+    for (const run of runs) {
+      const errors = (run.errors || []).reduce(
+        (total, group) => total + group.count,
+        0
+      )
+      console.log(
+        `#${String(run.id).padEnd(5)} ${run.dataset.padEnd(12)} ${run.status.padEnd(12)} ` +
+          `batch ${String(run.lastBatch).padEnd(6)} errors ${String(errors).padEnd(6)} ` +
+          `${run.startedAt.toISOString()} ${JSON.stringify(run.counts)}`
+      )
+    }
+    return EXIT_CODES.OK
+  }
+
+  const runId = Number(id)
+  if (!Number.isInteger(runId) || runId < 1) {
+    throw new UsageError(`runs ${action} expects a run id, got "${id}"`)
+  }
+
+  const run = await getRun(runId)
+  if (!run) {
+    console.log(`Import run #${runId} does not exist (see \`runs list\`)`)
+    return EXIT_CODES.USAGE
+  }
+
+  if (action === 'rollback') {
+    console.log(`⏪ Rolling back import run #${runId}...`)
+    const undone = await rollbackRun(runId)
+    console.log(`Undid ${undone} change(s).`)
+
+    // The search index (and other derived data) still lists what the run had written
+    const dataset = getDataset(run.dataset)
+    if (dataset) await rebuildDerived([dataset])
+    return EXIT_CODES.OK
+  }
+
+  // resume: the source file must be exactly the one the run started with,
+  // otherwise its batches would no longer line up
+  if (run.status !== 'failed' && run.status !== 'running') {
+    throw new Error(
+      `Import run #${runId} is ${run.status} and can't be resumed`
+    )
+  }
+  if (run.status === 'running') {
+    console.log(
+      `Import run #${runId} is still marked running - make sure no other import is using it`
+    )
+  }
+  if (!fs.existsSync(run.sourceFile)) {
+    console.log(`File not found: ${run.sourceFile}`)
+    return EXIT_CODES.INPUT_MISSING
+  }
+  if ((await fileChecksum(run.sourceFile)) !== run.checksum) {
+    throw new Error(
+      `${run.sourceFile} has changed since run #${runId} started - roll the run back and seed again`
+    )
+  }
+
+  configure({
+    ...run.options,
+    validateOnly: false,
+    dryRun: false,
+    files: { [run.dataset]: run.sourceFile },
+  })
+  if (!getDataset(run.dataset)) {
+    throw new Error(
+      `Import run #${runId} is for dataset "${run.dataset}", which isn't declared (check datasets.json)`
+    )
+  }
+  const summary = await seedDatabase({ [run.dataset]: true }, { resume: run })
+  return seedExitCode(summary)
+}
+
+/**
+ * Outlook History Command
+ * =======================
+ * `outlook-history <noc> [region]` - prints the NOC's rating in each
+ * economic region for every loaded release, and how the latest release
+ * compares with the one before it.
+ *
+ * @param {string[]} args - NOC code and optional economic region code
+ * @returns {Promise<number>} Exit code
+ */
+async function outlookHistoryCommand([noc, region, ...extra]) {
+  if (!noc || extra.length > 0) {
+    throw new UsageError(
+      'outlook-history expects a NOC code and optional region code'
+    )
+  }
+
+  const history = await getOutlookHistory(noc.padStart(5, '0'), {
+    region,
+    lang: settings.lang,
+  })
+  if (!history) throw new Error(`Unit group ${noc} does not exist`)
+
+  console.log(`${history.noc} ${history.occupation} (${history.lang})`)
+  if (history.regions.length === 0) console.log('  No outlooks found.')
+  for (const entry of history.regions) {
+    console.log(
+      `\n  ${entry.economicRegionCode} ${entry.economicRegionName} (${entry.province})`
+    )
+    for (const item of entry.history) {
+      console.log(`    ${item.release.padEnd(12)} ${item.outlook}`)
+    }
+    if (entry.change) {
+      console.log(
+        `    ${entry.change.direction} since ${entry.change.from} (${entry.change.previous} → ${entry.change.latest})`
+      )
+    }
+  }
+  return EXIT_CODES.OK
+}
+
+/**
+ * Search Command
+ * ==============
+ * `search <query>` - prints the unit groups and programs matching every word
+ * of the query, best first, with the items that matched.
+ *
+ * @param {string[]} args - The query's words
+ * @returns {Promise<number>} Exit code
+ */
+async function searchCommand(args) {
+  if (args.length === 0) throw new UsageError('search expects a query')
+
+  const result = await search(args.join(' '))
+  if (result.terms.length === 0) {
+    throw new UsageError(`"${result.query}" has no searchable words`)
+  }
+
+  console.log(`Occupations matching "${result.query}":`)
+  if (result.unitGroups.length === 0) console.log('  (none)')
+  for (const hit of result.unitGroups) {
+    console.log(`  ${hit.noc} ${hit.occupation} [${hit.score}]`)
+    for (const highlight of hit.highlights) {
+      console.log(`      ${highlight.field}: ${highlight.text}`)
+    }
+  }
+
+  console.log(`\nPrograms matching "${result.query}":`)
+  if (result.programs.length === 0) console.log('  (none)')
+  for (const hit of result.programs) {
+    console.log(
+      `  ${hit.institutionCode} ${hit.nid} ${hit.title} [${hit.score}]`
+    )
+  }
+  return EXIT_CODES.OK
+}
+
+/**
+ * Reindex Command
+ * ===============
+ * `reindex` - rebuilds the search index and the parsed employment
+ * requirements from the database. Seeding does this automatically; it's
+ * needed after editing the data some other way.
+ *
+ * @returns {Promise<number>} Exit code
+ */
+async function reindexCommand(args) {
+  if (args.length > 0) throw new UsageError('reindex takes no arguments')
+  await rebuildSearchIndex()
+  await rebuildRequirements()
+  return EXIT_CODES.OK
+}
+
+/**
+ * Export Command
+ * ==============
+ * `export <unit-groups|outlooks|programs|all>` - writes the dataset(s) to a
+ * CSV, XLSX or JSON file (see lib/export.js).
+ *
+ * @param {string[]} args - The dataset to export
+ * @returns {Promise<number>} Exit code
+ */
+async function exportCommand([target, ...extra]) {
+  if (!target || extra.length > 0) {
+    throw new UsageError('export expects exactly one dataset')
+  }
+
+  // --format wins; otherwise --output's extension, if it's a known format
+  const { output } = settings.export
+  const extension = output ? path.extname(output).slice(1).toLowerCase() : ''
+  const format =
+    settings.export.format ||
+    (EXPORT_FORMATS.includes(extension) ? extension : 'csv')
+  const problem = checkExport(target, format)
+  if (problem) throw new UsageError(problem)
+
+  const filePath = output || path.resolve(`${target}.${format}`)
+  console.log(`📤 Exporting ${target} as ${format} to ${filePath}...`)
+  const { stream, counts } = exportStream(target, format, {
+    lang: settings.lang,
+    province: settings.export.province,
+    region: settings.export.region,
+    release: settings.outlookRelease,
+  })
+  await pipeline(stream, fs.createWriteStream(filePath))
+
+  for (const [name, count] of Object.entries(counts)) {
+    console.log(`  ${name}: ${count} rows`)
+  }
+  return EXIT_CODES.OK
+}
+
+// Command name → handler lookup table
+const COMMANDS = {
+  seed: seedCommand,
+  clean: cleanCommand,
+  status: statusCommand,
+  match: matchCommand,
+  serve: serveCommand,
+  runs: runsCommand,
+  'outlook-history': outlookHistoryCommand,
+  search: searchCommand,
+  reindex: reindexCommand,
+  export: exportCommand,
+}
+
+/**
+ * Command Runner
+ * ==============
+ * Opens the log file, runs a command handler and always releases the log
+ * file and the database connection afterwards (except for long-running
+ * commands such as `serve`, which return null).
+ *
+ * @param {Function} handler - One of the COMMANDS handlers
+ * @param {string[]} args - Positional arguments for the handler
+ * @returns {Promise<number|null>} Exit code, or null if the process should keep running
+ */
+async function runCommand(handler, args) {
+  openLogs(settings.logs)
+  let keepRunning = false
+
+  try {
+    const code = await handler(args)
+    keepRunning = code === null
+    return code
+  } finally {
+    if (!keepRunning) {
+      closeLogs()
+
+      // Ensure database connection is closed
+      try {
+        await prisma.$disconnect()
+      } catch (disconnectError) {
+        console.error(
+          'Warning: Failed to close database connection:',
+          disconnectError
+        )
+      }
+    }
+  }
+}
+
+/**
+ * CLI Entry Point
+ * ===============
+ * Parses the arguments, runs the command and converts any failure into an
+ * exit code. Never throws.
+ *
+ * @param {string[]} argv - Arguments after `node index.js`
+ * @returns {Promise<number|null>} Exit code, or null if the process should keep running
+ */
+async function main(argv) {
+  try {
+    const { command, args, overrides, help } = parseCommandLine(argv)
+
+    if (help || command === 'help') {
+      console.log(USAGE)
+      return EXIT_CODES.OK
+    }
+
+    const handler = COMMANDS[command]
+    if (!handler) throw new UsageError(`Unknown command "${command}"`)
+
+    configure(overrides)
+    loadDatasetConfig()
+    const code = await runCommand(handler, args)
+
+    if (code === EXIT_CODES.OK) {
+      console.log('✅ Operation completed successfully!')
+    }
+    return code
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`${error.message}\n\n${USAGE}`)
+      return EXIT_CODES.USAGE
+    }
+
+    console.error('❌ Failed to complete operation:', error.message)
+    return EXIT_CODES.FAILURE
+  }
+}
+
+module.exports = {
+  EXIT_CODES,
+  UsageError,
+  parseCommandLine,
+  main,
+}
@@ -0,0 +1,223 @@
+/*
+ * NOC 2016 → NOC 2021 Concordance
+ * ===============================
+ *
+ * Program data still lists `known_noc_groups` as 4-digit NOC 2016 codes
+ * (e.g. "6562"), while unit groups and outlooks use 5-digit NOC 2021 codes
+ * (e.g. "63211"). This module loads Statistics Canada's 2016 ↔ 2021
+ * concordance into the NocConcordance table and uses it to translate legacy
+ * codes when programs are seeded.
+ *
+ * Translation rules:
+ * - 5-digit codes are already NOC 2021 and are kept as-is
+ * - A 4-digit code with one NOC 2021 equivalent is replaced by it
+ * - A 4-digit code that was split into several NOC 2021 groups is replaced
+ *   by all of them and flagged for review (ProgramNocReview)
+ * - A code with no concordance entry (or not a NOC code at all) is dropped
+ *   and flagged for review
+ */
+
+const xlsx = require('xlsx') // Reads .xlsx and .csv files alike
+const { prisma, safeDbOperation } = require('./db')
+const { saveRecord, pruneRecords } = require('./sync')
+const { runBatches, runBatch } = require('./runs')
+
+// Header patterns for each column we need. Statistics Canada's file uses
+// headers like "NOC 2016 V1.3 Code" and "NOC 2021 V1.0 Title", so columns
+// are found by pattern rather than by exact name.
+const COLUMN_PATTERNS = {
+  noc2016: /2016.*code|^noc_?2016$/i,
+  noc2016Title: /2016.*title/i,
+  noc2021: /2021.*code|^noc_?2021$/i,
+  noc2021Title: /2021.*title/i,
+  changeType: /type of change|change_?type/i,
+}
+
+// Reasons recorded on ProgramNocReview rows
+const REVIEW_REASONS = {
+  split: 'split', // One NOC 2016 code maps to several NOC 2021 groups
+  unmapped: 'unmapped', // No concordance entry for this NOC 2016 code
+  invalid: 'invalid', // Not a 4- or 5-digit NOC code
+}
+
+/**
+ * Column Resolver
+ * ===============
+ * Works out which header in the file holds each concordance column.
+ *
+ * @param {string[]} headers - Header row of the concordance sheet
+ * @returns {Object} Column key → header name (title and change type may be undefined)
+ * @throws {Error} If either code column can't be found
+ */
+function resolveColumns(headers) {
+  const columns = {}
+  for (const [key, pattern] of Object.entries(COLUMN_PATTERNS)) {
+    columns[key] = headers.find((header) => pattern.test(header.trim()))
+  }
+  if (!columns.noc2016 || !columns.noc2021) {
+    throw new Error(
+      `Concordance file needs NOC 2016 and NOC 2021 code columns, found: ${headers.join(', ')}`
+    )
+  }
+  return columns
+}
+
+/**
+ * NOC Code Cleaner
+ * ================
+ * Strips everything but digits and restores leading zeros lost by Excel.
+ *
+ * @param {string|number} value - Raw code from the file
+ * @param {number} length - Expected length (4 for NOC 2016, 5 for NOC 2021)
+ * @returns {string|null} The cleaned code, or null if the cell is empty
+ */
+function cleanCode(value, length) {
+  const digits = String(value ?? '').replace(/\D/g, '')
+  return digits ? digits.padStart(length, '0') : null
+}
+
+/**
+ * Concordance File Reader
+ * =======================
+ * Reads the first sheet of a concordance CSV or workbook into mapping rows.
+ *
+ * @param {string} filePath - Path to the .csv or .xlsx file
+ * @returns {Object[]} `{ noc2016, noc2016Title, noc2021, noc2021Title, changeType }` rows
+ *
+ * - CSV cells are read as plain text so "0011" doesn't become 11; Excel
+ *   cells that were stored as numbers get their leading zeros restored
+ * - Rows without both codes (e.g. "deleted" entries) are skipped
+ */
+function readConcordanceFile(filePath) {
+  const workbook = xlsx.readFile(filePath, { raw: true })
+  const sheet = workbook.Sheets[workbook.SheetNames[0]]
+  const rows = xlsx.utils.sheet_to_json(sheet, { raw: false, defval: '' })
+  if (rows.length === 0) return []
+
+  const columns = resolveColumns(Object.keys(rows[0]))
+  return rows
+    .map((row) => ({
+      noc2016: cleanCode(row[columns.noc2016], 4),
+      noc2016Title: columns.noc2016Title ? row[columns.noc2016Title] : null,
+      noc2021: cleanCode(row[columns.noc2021], 5),
+      noc2021Title: columns.noc2021Title ? row[columns.noc2021Title] : null,
+      changeType: columns.changeType ? row[columns.changeType] || null : null,
+    }))
+    .filter((row) => row.noc2016 && row.noc2021)
+}
+
+/**
+ * Concordance Seeder
+ * ==================
+ * Loads the concordance file's mappings into the NocConcordance table.
+ * Must run before programs are seeded so their legacy codes can be translated.
+ *
+ * @param {Object[]} mappings - Rows from readConcordanceFile()
+ * @param {Object} [options]
+ * @param {boolean} [options.prune=true] - False to skip --prune
+ */
+async function seedConcordance(mappings, { prune = true } = {}) {
+  console.log('\n\nSeeding NOC 2016 → 2021 Concordance...')
+
+  const keptIds = []
+  await runBatches(mappings, async (mapping) => {
+    keptIds.push(
+      await saveRecord(
+        'nocConcordance',
+        { noc2016: mapping.noc2016, noc2021: mapping.noc2021 },
+        mapping,
+        `concordance ${mapping.noc2016} → ${mapping.noc2021}`
+      )
+    )
+  })
+
+  // --prune: the file is the complete concordance, so anything else goes
+  if (prune) {
+    await runBatch(() => pruneRecords('nocConcordance', keptIds))
+  }
+}
+
+/**
+ * Concordance Map Loader
+ * ======================
+ * Loads the whole concordance table into memory for fast translation.
+ *
+ * @returns {Promise<Map<string, string[]>>} NOC 2016 code → NOC 2021 codes
+ */
+async function loadConcordanceMap() {
+  const rows = await safeDbOperation(
+    () => prisma.nocConcordance.findMany({ orderBy: { noc2021: 'asc' } }),
+    'load NOC concordance'
+  )
+
+  const map = new Map()
+  for (const { noc2016, noc2021 } of rows) {
+    if (!map.has(noc2016)) map.set(noc2016, [])
+    if (!map.get(noc2016).includes(noc2021)) map.get(noc2016).push(noc2021)
+  }
+  return map
+}
+
+/**
+ * NOC Group Translator
+ * ====================
+ * Converts a program's known NOC groups to NOC 2021 codes.
+ *
+ * @param {string[]} codes - Codes from `known_noc_groups` (2016 or 2021)
+ * @param {Map<string, string[]>} concordance - Output of loadConcordanceMap()
+ * @returns {{ nocs: string[], reviews: { legacyNoc: string, candidates: string[], reason: string }[] }}
+ *   The NOC 2021 codes to store, and the codes that need a human to check them
+ * @throws {Error} If a code is NOC 2016 but no concordance is loaded: every
+ *   such code would otherwise be dropped as unmapped
+ */
+function translateNocGroups(codes, concordance) {
+  const nocs = []
+  const reviews = []
+
+  for (const raw of codes || []) {
+    const code = String(raw).trim()
+
+    if (/^\d{5}$/.test(code)) {
+      nocs.push(code) // Already NOC 2021
+    } else if (/^\d{4}$/.test(code)) {
+      if (concordance.size === 0) {
+        throw new Error(
+          `Can't translate NOC 2016 group ${code}: the NOC concordance is empty - run \`seed concordance\` first`
+        )
+      }
+      const candidates = concordance.get(code) || []
+      nocs.push(...candidates)
+
+      if (candidates.length === 0) {
+        reviews.push({
+          legacyNoc: code,
+          candidates,
+          reason: REVIEW_REASONS.unmapped,
+        })
+      } else if (candidates.length > 1) {
+        reviews.push({
+          legacyNoc: code,
+          candidates,
+          reason: REVIEW_REASONS.split,
+        })
+      }
+    } else {
+      reviews.push({
+        legacyNoc: code,
+        candidates: [],
+        reason: REVIEW_REASONS.invalid,
+      })
+    }
+  }
+
+  // Two legacy codes can map to the same NOC 2021 group
+  return { nocs: [...new Set(nocs)], reviews }
+}
+
+module.exports = {
+  REVIEW_REASONS,
+  readConcordanceFile,
+  seedConcordance,
+  loadConcordanceMap,
+  translateNocGroups,
+}
@@ -0,0 +1,150 @@
+/*
+ * Runtime Configuration
+ * =====================
+ *
+ * These settings used to be hardcoded constants at the top of index.js
+ * (BATCH_SIZE, SEED_*, CLEAN, LOG_*). They now live in a single mutable object
+ * that starts from sensible defaults and is overridden by command-line options
+ * before any command runs (see lib/cli.js).
+ *
+ * Every module reads `settings` at call time, so a value changed by the CLI
+ * is picked up everywhere without having to pass it through each function.
+ */
+
+const path = require('path') // Path manipulation utilities (built-in Node.js module)
+
+// Project root - data files and log files are resolved relative to this folder
+const ROOT_DIR = path.join(__dirname, '..')
+
+// ============================================================================
+// DEFAULT SETTINGS
+// ============================================================================
+
+const DEFAULTS = {
+  // Batch Size for processing data (max 20 recommended)
+  // Processing thousands of records at once can overwhelm the database
+  // and cause memory issues. Batching processes data in smaller chunks.
+  batchSize: 20,
+
+  // Input files - where each dataset is read from
+  files: {
+    unitGroups: path.join(ROOT_DIR, 'data/unit_groups.json'), // NOC unit groups and sections
+    nocGroups: path.join(ROOT_DIR, 'data/noc_groups.json'), // NOC group titles (optional, see lib/hierarchy.js)
+    regions: path.join(ROOT_DIR, 'data/economic_regions.json'), // Economic region reference data
+    programs: path.join(ROOT_DIR, 'data/viu_programs.json'), // VIU educational programs
+    outlooks: path.join(ROOT_DIR, 'data/2024-2026-3-year-outlooks.xlsx'), // Employment outlooks
+    concordance: path.join(ROOT_DIR, 'data/noc_2016_2021_concordance.csv'), // NOC 2016 → 2021 mappings
+  },
+
+  // Extra dataset adapters, e.g. another institution's program catalogue
+  // (optional, see loadDatasetConfig() in lib/datasets.js)
+  datasetsFile: path.join(ROOT_DIR, 'datasets.json'),
+
+  // Workbook sheets to read, by name ("*" = every sheet); empty = the ones
+  // each dataset declares, else the first (see lib/sources.js)
+  sheets: [],
+
+  // Spreadsheet rows read, validated and seeded at a time. CSV files and
+  // workbook sheets are streamed (see lib/sources.js), so this is what bounds
+  // the rows in memory; a workbook's shared strings are read as a whole
+  streamChunkSize: 5000,
+
+  // Label of the outlook release being loaded, e.g. "2025-2027"
+  // (null = taken from the outlook workbook's file name, see lib/releases.js)
+  outlookRelease: null,
+
+  // Language of the unit groups file being seeded (EN or FR, see lib/sections.js)
+  // and of the outlook ratings shown by `outlook-history`
+  lang: 'EN',
+
+  // Seeding mode (see lib/sync.js)
+  sync: false, // Update existing rows that changed instead of skipping them
+  prune: false, // With sync: delete rows no longer in the source files
+  retire: false, // With sync: flag unit groups and programs no longer in the source files as retired (see lib/retire.js)
+  validateOnly: false, // Check the input files and stop (see lib/validation.js)
+  dryRun: false, // Read the database but only report the writes (see lib/plan.js)
+
+  // Bulk loading for plain seeds (see lib/bulk.js)
+  bulk: {
+    enabled: false, // Insert many rows per query instead of one at a time
+    size: 1000, // Rows per insert (and per import batch)
+    concurrency: 1, // Batches committed at the same time, each on its own connection
+  },
+
+  // Longest time one import batch's transaction may take (milliseconds)
+  transactionTimeout: 60000,
+
+  // Lowest level written to the log file: debug, info, warn or error
+  // (duplicates are debug - very noisy - so they're off by default)
+  logLevel: 'info',
+
+  // Log destinations - set a destination to null to disable that log
+  logs: {
+    file: path.join(ROOT_DIR, 'import-log.jsonl'), // Structured JSON-lines log (see lib/logging.js)
+    validation: path.join(ROOT_DIR, 'validation-report.json'), // Input validation report (JSON)
+    cleanup: path.join(ROOT_DIR, 'cleanup-report.json'), // Cleanup rule report (JSON)
+    retirement: path.join(ROOT_DIR, 'retirement-report.json'), // Retired/reinstated records (JSON)
+  },
+
+  // Program-to-occupation matching (see lib/matching.js)
+  matching: {
+    limit: 10, // Matches kept per program
+    minScore: 3, // Keyword-only matches scoring below this are dropped
+  },
+
+  // Data export (see lib/export.js)
+  export: {
+    format: null, // csv, xlsx or json (null = from the output file's extension, else csv)
+    output: null, // File written by `export` (null = <dataset>.<format> in the current folder)
+    province: null, // Outlooks: only this province
+    region: null, // Outlooks: only this economic region code
+  },
+
+  // Occupation profile cache of the HTTP API (see lib/profiles.js)
+  profiles: {
+    cacheTtl: 300, // Seconds a profile is served from memory (0 = no caching)
+    cacheSize: 500, // Profiles kept in memory, least recently used dropped first
+  },
+
+  // Server configuration
+  // Environment variables allow different settings in development vs production
+  port: Number(process.env.PORT) || 3000, // Use PORT from environment or default to 3000
+  fallbackPort: 4321, // Backup port if default is unavailable
+}
+
+// The live settings object - starts as a deep copy of the defaults
+const settings = JSON.parse(JSON.stringify(DEFAULTS))
+
+/**
+ * Settings Override Function
+ * ==========================
+ * Applies user-supplied overrides (usually parsed command-line options) on top
+ * of the current settings. Only keys that are actually provided are changed.
+ *
+ * @param {Object} overrides - Partial settings object, same shape as DEFAULTS
+ * @returns {Object} The updated settings object
+ *
+ * - Nested objects (files, logs) are merged key by key, not replaced wholesale
+ * - `undefined` values are ignored so missing CLI flags keep their defaults
+ */
+function configure(overrides = {}) {
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value === undefined) continue
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      for (const [nestedKey, nestedValue] of Object.entries(value)) {
+        if (nestedValue !== undefined) settings[key][nestedKey] = nestedValue
+      }
+    } else {
+      settings[key] = value
+    }
+  }
+  return settings
+}
+
+module.exports = {
+  ROOT_DIR,
+  DEFAULTS,
+  settings,
+  configure,
+}
@@ -0,0 +1,366 @@
+/*
+ * Dataset Adapters
+ * ================
+ *
+ * Every dataset `seed` can import is declared here as an adapter: where its
+ * file is and how to read it, how its records are checked and transformed,
+ * which seeder writes them and which datasets must be seeded before it.
+ * seedDatabase() (lib/pipeline.js) only runs the adapters, in dependency
+ * order, so a new dataset is a new adapter - not another block in the runner.
+ *
+ * Adapter fields:
+ * - name        Dataset name: the ImportRun dataset, the settings.files key
+ *               and the key of seedDatabase()'s targets
+ * - target      `seed <target>` name on the command line (none = only read
+ *               as an input of another dataset, see `uses`)
+ * - file        Default input file (default: settings.files[name]);
+ *               settings.files[name] always wins
+ * - format      json, xlsx or csv (default: from the file extension)
+ * - sheets      xlsx: sheets to read, by name or as `{ name, fields }` with
+ *               values for fields the sheet's rows leave out (default: the
+ *               first sheet; `sheet` is short for a single name). See
+ *               lib/sources.js
+ * - columns     Record field → source column (see lib/sources.js)
+ * - read        (filePath) => records, instead of format/columns
+ * - schema      lib/validation.js schema the records are checked against
+ *               (null = records are only read)
+ * - transform   (record) => record, applied to valid records before seeding
+ * - model       Prisma model (camelCase) the dataset mainly writes
+ * - dependsOn   Datasets that must be seeded first when both are requested
+ * - uses        Datasets whose records are passed to this one's seeder
+ *               (as `inputs`) instead of being seeded themselves
+ * - optional    A missing file is fine (the dataset is just skipped)
+ * - when        () => false to leave the dataset out (e.g. not for --lang FR)
+ * - institution Program catalogues: the institution they belong to
+ *               (`{ code, name, province, website }`, see lib/institutions.js)
+ * - stream      The seeder takes its records as an async iterable of
+ *               chunks (arrays) instead of one array, so a large spreadsheet
+ *               is never held in memory as a whole (see validRecordChunks())
+ * - seed        async (records, { prune, retire, file, inputs, dataset }) => void
+ * - rebuilds    Derived data to rebuild after seeding (see DERIVED_STEPS in
+ *               lib/pipeline.js): 'search', 'requirements'
+ *
+ * More datasets can be added without touching this file through the
+ * datasets config file (datasets.json, see loadDatasetConfig()), usually
+ * to read another institution's program catalogue with the programs seeder.
+ */
+
+const fs = require('fs') // File system operations (built-in Node.js module)
+const path = require('path') // Path manipulation utilities (built-in Node.js module)
+const { ROOT_DIR, settings } = require('./config')
+const { SOURCE_FORMATS, COLUMN_TYPES, sourceFile } = require('./sources')
+const { SCHEMAS } = require('./validation')
+const { seedUnitGroups, seedOutlooks, seedPrograms } = require('./seed')
+const { seedRegions } = require('./regions')
+const { readConcordanceFile, seedConcordance } = require('./concordance')
+const { VIU, checkInstitution } = require('./institutions')
+
+// Outlook workbook column → outlook record field
+const OUTLOOK_COLUMNS = {
+  noc: 'NOC_Code',
+  title: 'NOC Title',
+  economicRegionCode: 'Economic Region Code',
+  economicRegionName: 'Economic Region Name',
+  outlook: 'Outlook',
+  trends: 'Employment Trends',
+  releaseDate: 'Release Date',
+  province: 'Province',
+  lang: 'LANG',
+}
+
+// The built-in datasets, in the order `seed all` has always run them
+const DATASETS = [
+  {
+    // Titles for the NOC hierarchy groups, read for the unit group seeder
+    name: 'nocGroups',
+    format: 'json',
+    schema: 'nocGroups',
+    model: 'nocGroup',
+    optional: true,
+    when: () => settings.lang === 'EN',
+  },
+  {
+    name: 'unitGroups',
+    target: 'unit-groups',
+    format: 'json',
+    schema: 'unitGroups',
+    model: 'unitGroup',
+    uses: ['nocGroups'],
+    seed: (records, { prune, retire, inputs }) =>
+      seedUnitGroups(records, {
+        prune,
+        retire,
+        groupTitles: inputs.nocGroups || [],
+      }),
+    rebuilds: ['search', 'requirements'],
+  },
+  {
+    name: 'regions',
+    target: 'regions',
+    format: 'json',
+    schema: 'regions',
+    model: 'economicRegion',
+    seed: seedRegions,
+  },
+  {
+    name: 'outlooks',
+    target: 'outlooks',
+    // XLSX or CSV, from the file extension
+    columns: OUTLOOK_COLUMNS,
+    schema: 'outlooks',
+    // "NOC_21231", or a NOC typed as a number that lost its leading zeros
+    // (validation accepts both), → "21231"; 10 → "00010"
+    transform: (record) => ({
+      ...record,
+      noc: String(record.noc).replace('NOC_', '').padStart(5, '0'),
+      economicRegionCode: String(record.economicRegionCode),
+    }),
+    model: 'outlook',
+    dependsOn: ['unitGroups', 'regions'],
+    stream: true, // National workbooks run to tens of thousands of rows
+    seed: seedOutlooks,
+  },
+  {
+    name: 'concordance',
+    target: 'concordance',
+    read: readConcordanceFile, // Finds its columns by header pattern
+    schema: null,
+    model: 'nocConcordance',
+    // Not shipped with the repo (see the README for where to download it);
+    // without it programs listing NOC 2016 groups fail to seed
+    optional: true,
+    seed: seedConcordance,
+  },
+  {
+    name: 'programs',
+    target: 'programs',
+    format: 'json',
+    schema: 'programs',
+    model: 'program',
+    institution: VIU,
+    dependsOn: ['concordance'],
+    seed: (records, { prune, retire, dataset }) =>
+      seedPrograms(records, {
+        prune,
+        retire,
+        institution: dataset.institution,
+      }),
+    rebuilds: ['search'],
+  },
+]
+
+// Names of the datasets added by the last loadDatasetConfig()
+let configuredNames = []
+
+/**
+ * Dataset Lookup
+ * ==============
+ * @param {string} name - Dataset name
+ * @returns {Object|undefined} The adapter
+ */
+function getDataset(name) {
+  return DATASETS.find((dataset) => dataset.name === name)
+}
+
+/**
+ * Seed Target Table
+ * =================
+ * @returns {Object} `seed <target>` name → dataset names, with `all` for
+ *   every dataset that has a target
+ */
+function seedTargets() {
+  const withTarget = DATASETS.filter((dataset) => dataset.target)
+  return {
+    ...Object.fromEntries(
+      withTarget.map((dataset) => [dataset.target, [dataset.name]])
+    ),
+    all: withTarget.map((dataset) => dataset.name),
+  }
+}
+
+/**
+ * Dataset Registration
+ * ====================
+ * Adds a dataset adapter, after checking it.
+ *
+ * @param {Object} adapter - Adapter fields (see the top of this file), plus
+ *   optionally `extends`: the name of a dataset whose fields it starts from
+ * @returns {Object} The registered adapter
+ * @throws {Error} If the adapter is incomplete or clashes with another one
+ *
+ * - An extending adapter gets its own target (default: its name); its file,
+ *   format, sheets, columns and institution replace the base's, while it
+ *   keeps the base's schema, transform and seeder
+ * - Each institution's catalogue is loaded by one dataset, since its --prune
+ *   (or --retire) removes the institution's programs that aren't in the file
+ */
+function registerDataset(adapter) {
+  const { extends: baseName, ...fields } = adapter
+  const label = `Dataset "${fields.name}"`
+  if (!fields.name || typeof fields.name !== 'string') {
+    throw new Error('A dataset needs a name')
+  }
+  if (getDataset(fields.name)) throw new Error(`${label} already exists`)
+
+  let dataset = fields
+  if (baseName) {
+    const base = getDataset(baseName)
+    if (!base) throw new Error(`${label} extends unknown dataset "${baseName}"`)
+    dataset = {
+      ...base,
+      target: fields.name,
+      format: undefined,
+      read: undefined,
+      sheet: undefined,
+      sheets: undefined,
+      institution: undefined,
+      ...fields,
+    }
+    // Inheriting VIU would load the catalogue as VIU's (and prune VIU's programs)
+    if (base.institution && !dataset.institution) {
+      throw new Error(`${label} needs its own institution`)
+    }
+  }
+
+  if (!dataset.seed && !dataset.optional) {
+    throw new Error(`${label} has no seeder`)
+  }
+  if (
+    dataset.target &&
+    DATASETS.some((other) => other.target === dataset.target)
+  ) {
+    throw new Error(`${label}: seed target "${dataset.target}" is taken`)
+  }
+  if (dataset.schema && !SCHEMAS[dataset.schema]) {
+    throw new Error(`${label}: unknown schema "${dataset.schema}"`)
+  }
+  if (dataset.format && !SOURCE_FORMATS.includes(dataset.format)) {
+    throw new Error(
+      `${label}: format must be one of ${SOURCE_FORMATS.join(', ')}`
+    )
+  }
+  // A sheet name, or { name, fields } with an object of field values
+  const isSheet = (spec) =>
+    (typeof spec === 'string' && spec !== '') ||
+    (Boolean(spec) &&
+      typeof spec.name === 'string' &&
+      spec.name !== '' &&
+      (spec.fields === undefined ||
+        (Boolean(spec.fields) && typeof spec.fields === 'object')))
+  if (
+    dataset.sheets !== undefined &&
+    (!Array.isArray(dataset.sheets) || !dataset.sheets.every(isSheet))
+  ) {
+    throw new Error(
+      `${label}: sheets must be a list of sheet names or { name, fields }`
+    )
+  }
+  for (const spec of Object.values(dataset.columns || {})) {
+    if (typeof spec === 'string') continue
+    if (!spec || !spec.column || (spec.type && !COLUMN_TYPES[spec.type])) {
+      throw new Error(
+        `${label}: columns must be names or { column, type } with type one of ${Object.keys(COLUMN_TYPES).join(', ')}`
+      )
+    }
+  }
+  if (dataset.institution) {
+    const problem = checkInstitution(dataset.institution)
+    if (problem) throw new Error(`${label}: ${problem}`)
+    const other = DATASETS.find(
+      (existing) =>
+        existing.institution &&
+        existing.institution.code === dataset.institution.code
+    )
+    if (other) {
+      throw new Error(
+        `${label}: institution ${dataset.institution.code} is already loaded by "${other.name}"`
+      )
+    }
+  }
+  for (const name of [...(dataset.dependsOn || []), ...(dataset.uses || [])]) {
+    if (!getDataset(name)) {
+      throw new Error(`${label} depends on unknown dataset "${name}"`)
+    }
+  }
+
+  DATASETS.push(dataset)
+  return dataset
+}
+
+/**
+ * Dataset Config Loader
+ * =====================
+ * Registers the datasets declared in the datasets config file, replacing any
+ * loaded before. Called by the CLI before every command.
+ *
+ * @param {string} [filePath] - JSON file with an array of adapters
+ *   (default: settings.datasetsFile); nothing happens if it doesn't exist
+ * @returns {Object[]} The datasets registered
+ * @throws {Error} If the file can't be parsed or a declaration is invalid
+ *
+ * - Declarations are plain JSON, so they can't have functions: they either
+ *   extend a built-in dataset (to reuse its seeder) or fail registration
+ * - `file` is resolved relative to the project root
+ */
+function loadDatasetConfig(filePath = settings.datasetsFile) {
+  for (const name of configuredNames) {
+    DATASETS.splice(DATASETS.indexOf(getDataset(name)), 1)
+  }
+  configuredNames = []
+  if (!filePath || !fs.existsSync(filePath)) return []
+
+  const declarations = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+  if (!Array.isArray(declarations)) {
+    throw new Error(`${filePath}: expected a JSON array of datasets`)
+  }
+  return declarations.map((declaration) => {
+    const dataset = registerDataset({
+      ...declaration,
+      file: declaration.file && path.resolve(ROOT_DIR, declaration.file),
+    })
+    configuredNames.push(dataset.name)
+    return dataset
+  })
+}
+
+/**
+ * Dataset Orderer
+ * ===============
+ * @param {string[]} names - Datasets to run
+ * @returns {Object[]} Their adapters, each after the datasets it depends on
+ *   (otherwise in registration order)
+ * @throws {Error} If the dependencies go round in a circle
+ *
+ * - Only the order changes: a dependency that wasn't asked for isn't added
+ */
+function orderDatasets(names) {
+  const ordered = []
+  const visiting = new Set()
+
+  const visit = (dataset) => {
+    if (ordered.includes(dataset)) return
+    if (visiting.has(dataset.name)) {
+      throw new Error(
+        `Circular dataset dependency: ${[...visiting, dataset.name].join(' → ')}`
+      )
+    }
+    visiting.add(dataset.name)
+    for (const name of dataset.dependsOn || []) visit(getDataset(name))
+    visiting.delete(dataset.name)
+    ordered.push(dataset)
+  }
+  DATASETS.forEach(visit)
+
+  return ordered.filter((dataset) => names.includes(dataset.name))
+}
+
+module.exports = {
+  DATASETS,
+  OUTLOOK_COLUMNS,
+  getDataset,
+  sourceFile,
+  seedTargets,
+  registerDataset,
+  loadDatasetConfig,
+  orderDatasets,
+}
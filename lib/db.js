@@ -0,0 +1,233 @@
+/*
+ * Database Access Helpers
+ * =======================
+ *
+ * Owns the single PrismaClient instance used by every command, plus the
+ * "safe" wrappers that keep a long import running when individual records
+ * fail or the connection drops.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks') // Context that follows a chain of awaits (built-in Node.js module)
+const { PrismaClient } = require('@prisma/client') // Database ORM for type-safe database access
+const { counters, logError, logDuplicate, logProgress } = require('./logging')
+
+// Initialize Prisma client - this is our main interface to the database
+// Prisma generates type-safe database queries based on your schema.prisma file
+const prisma = new PrismaClient()
+
+// Transaction client of the import batch being committed (see lib/runs.js).
+// Bulk batches can be committed side by side (--concurrency), so each batch's
+// transaction lives in its own async context instead of a single slot.
+const activeTransaction = new AsyncLocalStorage()
+
+/**
+ * Current Database Client
+ * =======================
+ * @returns {PrismaClient} The open batch transaction if there is one,
+ *   otherwise the shared client. Writes made during an import batch must
+ *   use this so they commit (or roll back) together with the batch.
+ */
+function client() {
+  return activeTransaction.getStore() || prisma
+}
+
+/**
+ * Batch Transaction Runner
+ * ========================
+ * Runs an operation inside an interactive transaction and makes client()
+ * return that transaction for everything the operation awaits.
+ *
+ * @param {Function} operation - Async function receiving the transaction client
+ * @param {Object} [options] - Prisma transaction options ({ timeout, maxWait })
+ * @returns {Promise<any>} Whatever the operation returns
+ *
+ * - If the operation throws, everything it wrote is rolled back
+ * - Record-level failures inside it must be isolated with withSavepoint(),
+ *   otherwise PostgreSQL aborts the whole transaction on the first error
+ */
+async function runInTransaction(operation, options) {
+  return prisma.$transaction(
+    (tx) => activeTransaction.run(tx, () => operation(tx)),
+    options
+  )
+}
+
+/**
+ * Savepoint Wrapper
+ * =================
+ * Runs one record's queries so that, inside a batch transaction, a failure
+ * only undoes that record instead of aborting the whole batch.
+ *
+ * @param {Function} operation - Async function making the record's queries
+ * @returns {Promise<any>} Whatever the operation returns (errors are re-thrown)
+ *
+ * - Outside a transaction the operation simply runs
+ * - Batch records are processed one at a time, and batches committed side by
+ *   side each have their own transaction, so one savepoint name is enough
+ */
+async function withSavepoint(operation) {
+  const tx = activeTransaction.getStore()
+  if (!tx) return operation()
+
+  await tx.$executeRawUnsafe('SAVEPOINT record_write')
+  try {
+    const result = await operation()
+    await tx.$executeRawUnsafe('RELEASE SAVEPOINT record_write')
+    return result
+  } catch (error) {
+    await tx.$executeRawUnsafe('ROLLBACK TO SAVEPOINT record_write')
+    throw error
+  }
+}
+
+/**
+ * Safe Database Creation Function
+ * ==============================
+ * Attempts to create a record in the database while handling potential duplicates and errors.
+ * This is a key function that wraps database operations with error handling.
+ *
+ * Why is this needed?
+ * - Database operations can fail for various reasons (duplicates, connection issues, etc.)
+ * - We want to continue processing even if some records fail
+ * - We need to track successes vs failures for monitoring
+ *
+ * @param {PrismaClient[keyof PrismaClient]} model - The Prisma model to create the record in (e.g., prisma.unitGroup)
+ * @param {Object} data - The data object to be inserted into the database
+ * @param {string} idLabel - Identifier label for logging purposes (helps identify which record failed)
+ * @param {string} [modelName] - Prisma model name in camelCase, for the log
+ *
+ * @returns {Promise<Object|undefined>} The created record, or undefined if it failed
+ *
+ * - P2002 is Prisma's error code for unique constraint violations (duplicates)
+ * - The function doesn't throw errors - it handles them gracefully and continues
+ * - Error logging is optional based on the configured log destinations
+ * - Inside an import batch a failure only rolls back this record (withSavepoint)
+ */
+async function safeCreate(model, data, idLabel, modelName) {
+  try {
+    const created = await withSavepoint(() => model.create({ data }))
+    counters.created++
+    return created
+  } catch (error) {
+    // Handle duplicate key errors (P2002 is Prisma's code for unique constraint violation)
+    if (error.code === 'P2002') {
+      counters.duplicates++
+      logDuplicate(idLabel, error, data, modelName)
+    } else {
+      // Handle other types of database errors (connection issues, data type errors, etc.)
+      logError(`Error on ${idLabel}: ${error.message}`, {
+        model: modelName,
+        record: idLabel,
+        error,
+      })
+    }
+  } finally {
+    // Always update progress display, regardless of success or failure
+    logProgress()
+  }
+}
+
+/**
+ * Safe Database Deletion Function
+ * ===============================
+ * Safely deletes a record from the database with error handling.
+ * Used during cleanup operations to remove invalid or unwanted data.
+ *
+ * @param {PrismaClient[keyof PrismaClient]} model - The Prisma model to delete from
+ * @param {Object} where - The where clause for identifying the record to delete
+ * @param {string} label - Identifier label for logging purposes
+ *
+ * - This wraps deletion operations with try-catch to prevent crashes
+ * - Deletion failures are logged but don't stop the cleanup process
+ */
+async function safeDelete(model, where, label) {
+  try {
+    await model.delete({ where })
+  } catch (error) {
+    logError(`Error deleting ${label}: ${error.message}`, {
+      record: label,
+      error,
+    })
+  }
+}
+
+/**
+ * Database Transaction Error Handler
+ * =================================
+ * Handles database transaction errors by reconnecting if needed.
+ * This function deals with database connection issues that can occur during long-running operations.
+ *
+ * Why is this needed?
+ * - Long-running database operations can experience connection timeouts
+ * - Database servers might restart or lose connections
+ * - Transaction conflicts can occur with concurrent operations
+ *
+ * - This is a specific handler for transaction abort errors
+ * - $disconnect() and $connect() reset the Prisma connection
+ * - The error is re-thrown after handling so calling code can decide what to do
+ */
+async function handleDatabaseError(error, operation) {
+  if (error.message && error.message.includes('transaction is aborted')) {
+    console.log(`Transaction aborted during ${operation}, reconnecting...`)
+    await prisma.$disconnect() // Close current connection
+    await prisma.$connect() // Establish new connection
+  }
+  throw error // Re-throw so calling code can handle it
+}
+
+/**
+ * Safe Database Operation Wrapper
+ * ==============================
+ * Safely executes a database operation with automatic retry on transaction errors.
+ * This implements a retry pattern for handling transient database issues.
+ *
+ * Retry Pattern:
+ * 1. Try the operation
+ * 2. If it fails due to connection issues, reconnect and retry once
+ * 3. If it still fails, give up and throw the error
+ *
+ * @param {Function} operation - The database operation to execute
+ * @param {string} context - Description of the operation for logging
+ * @returns {Promise<any>} - Result of the database operation
+ *
+ * - This wrapper makes database operations more resilient
+ * - It only retries specific types of errors (transaction aborts)
+ * - The retry is limited to one attempt to avoid infinite loops
+ */
+async function safeDbOperation(operation, context = 'database operation') {
+  try {
+    return await operation()
+  } catch (error) {
+    // Check if this is a transaction abort error that we can recover from
+    if (error.message && error.message.includes('transaction is aborted')) {
+      console.log(
+        `Transaction aborted during ${context}, resetting connection...`
+      )
+      await prisma.$disconnect() // Clean disconnect
+      await prisma.$connect() // Fresh connection
+
+      // Retry the operation once after reconnection
+      try {
+        return await operation()
+      } catch (retryError) {
+        console.error(
+          `Failed to execute ${context} after retry:`,
+          retryError.message
+        )
+        throw retryError
+      }
+    }
+    throw error // Re-throw non-recoverable errors
+  }
+}
+
+module.exports = {
+  prisma,
+  client,
+  runInTransaction,
+  withSavepoint,
+  safeCreate,
+  safeDelete,
+  handleDatabaseError,
+  safeDbOperation,
+}
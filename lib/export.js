@@ -0,0 +1,442 @@
+/*
+ * Data Export
+ * ===========
+ *
+ * Writes the seeded data back out as CSV, XLSX or JSON for analysts. Three
+ * datasets can be exported:
+ *
+ * - unit-groups  One row per unit group, with each section's items in its own column
+ * - outlooks     One row per outlook, with its region name and release label
+ *                (optionally only one province, region, release or language)
+ * - programs     One row per program, with its program area and matched NOCs
+ *
+ * Run it with `node index.js export <dataset|all> --format xlsx`, or download
+ * it from the API: GET /export/outlooks?format=csv&province=BC
+ *
+ * How it works:
+ * 1. Rows are read from the database one page (EXPORT_PAGE_SIZE rows) at a time
+ * 2. exportStream() turns each page into CSV lines or JSON text as it arrives,
+ *    and hands them to a Node.js stream (the output file, or the HTTP response)
+ * 3. The stream pipeline waits whenever the output is slower than the
+ *    database, so CSV and JSON exports never hold a whole table in memory
+ *
+ * XLSX files are zip archives that can only be written once complete: their
+ * rows are still read page by page, but the workbook is assembled in memory.
+ * Use CSV or JSON for the full outlook table if memory is tight.
+ *
+ * List values (section items, matched NOCs) stay arrays in JSON and are
+ * joined with " | " in CSV and XLSX cells.
+ *
+ * Retired unit groups and programs (see lib/retire.js) are not exported.
+ */
+
+const { Readable } = require('stream') // Streams (built-in Node.js module)
+const xlsx = require('xlsx') // Builds the multi-sheet workbook
+const { prisma } = require('./db')
+const { resolveLang, localizeUnitGroup, outlookWhere } = require('./queries')
+const { SECTION_TITLES, sectionKey } = require('./sections')
+
+// Output formats accepted by `export --format` and GET /export?format=
+const EXPORT_FORMATS = ['csv', 'xlsx', 'json']
+
+// Content-Type sent by GET /export for each format
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json; charset=utf-8',
+}
+
+// Rows read from the database per query
+const EXPORT_PAGE_SIZE = 500
+
+// Joins list values in CSV and XLSX cells
+const LIST_SEPARATOR = ' | '
+
+/**
+ * Unit Group Export Query
+ * =======================
+ * @param {Object} filters - Export filters (only `lang` is used)
+ * @returns {Object} Page reader options for UnitGroup
+ */
+function unitGroupQuery({ lang }) {
+  return {
+    model: 'unitGroup',
+    key: 'noc',
+    where: { retiredAt: null },
+    include: {
+      translations: { where: { lang } },
+      sections: {
+        where: { lang: { in: ['EN', lang] } },
+        orderBy: { id: 'asc' },
+      },
+    },
+  }
+}
+
+/**
+ * Unit Group Row Builder
+ * ======================
+ * @param {Object} record - Unit group with translations and sections
+ * @param {Object} filters - Export filters
+ * @returns {Object} One export row, with one column per section
+ *
+ * - French titles and sections fall back to English where no translation
+ *   was seeded, as in the API (see localizeUnitGroup() in lib/queries.js)
+ */
+function unitGroupRow(record, { lang }) {
+  const unitGroup = localizeUnitGroup(record, lang)
+  const row = {
+    noc: unitGroup.noc,
+    occupation: unitGroup.occupation,
+    lang: unitGroup.lang,
+    broadCategory: unitGroup.broadCategory,
+    teer: unitGroup.teer,
+  }
+  for (const key of Object.keys(SECTION_TITLES)) row[key] = []
+  for (const section of unitGroup.sections) {
+    const key = sectionKey(section.title, section.lang)
+    if (key) row[key] = section.items
+  }
+  return row
+}
+
+/**
+ * Outlook Export Query
+ * ====================
+ * @param {Object} filters - Export filters (lang, province, region, release)
+ * @returns {Object} Page reader options for Outlook
+ */
+function outlookQuery(filters) {
+  return {
+    model: 'outlook',
+    key: 'id',
+    where: outlookWhere(filters),
+    include: { economicRegion: true, release: true },
+  }
+}
+
+/**
+ * Outlook Row Builder
+ * ===================
+ * @param {Object} outlook - Outlook with economicRegion and release
+ * @returns {Object} One export row
+ */
+function outlookRow(outlook) {
+  return {
+    id: outlook.id,
+    noc: outlook.noc,
+    title: outlook.title,
+    economicRegionCode: outlook.economicRegionCode,
+    economicRegionName: outlook.economicRegion.economicRegionName,
+    province: outlook.province,
+    outlook: outlook.outlook,
+    rating: outlook.rating,
+    ratingScore: outlook.ratingScore,
+    trends: outlook.trends,
+    lang: outlook.lang,
+    release: outlook.release ? outlook.release.label : null,
+    releaseDate: outlook.releaseDate.toISOString().slice(0, 10),
+  }
+}
+
+/**
+ * Program Export Query
+ * ====================
+ * @param {Object} filters - Export filters (only `lang` is used)
+ * @returns {Object} Page reader options for Program
+ */
+function programQuery({ lang }) {
+  return {
+    model: 'program',
+    key: 'id',
+    where: { retiredAt: null },
+    include: {
+      programArea: true,
+      nocMatches: {
+        orderBy: { rank: 'asc' },
+        include: {
+          unitGroup: { include: { translations: { where: { lang } } } },
+        },
+      },
+    },
+  }
+}
+
+/**
+ * Program Row Builder
+ * ===================
+ * @param {Object} program - Program with programArea and nocMatches
+ * @param {Object} filters - Export filters
+ * @returns {Object} One export row; matched NOCs and occupations are listed
+ *   best match first
+ */
+function programRow(program, { lang }) {
+  const matches = program.nocMatches.map((match) =>
+    localizeUnitGroup(match.unitGroup, lang)
+  )
+  return {
+    institution: program.institutionCode,
+    nid: program.nid,
+    title: program.title,
+    credential: program.credential,
+    duration: program.duration,
+    programArea: program.programArea.title,
+    knownNocGroups: program.knownNocGroups,
+    matchedNocs: matches.map((unitGroup) => unitGroup.noc),
+    matchedOccupations: matches.map((unitGroup) => unitGroup.occupation),
+  }
+}
+
+// Dataset name → sheet name, columns (in output order), query and row builder
+const EXPORT_DATASETS = {
+  'unit-groups': {
+    sheet: 'Unit Groups',
+    columns: [
+      'noc',
+      'occupation',
+      'lang',
+      'broadCategory',
+      'teer',
+      ...Object.keys(SECTION_TITLES),
+    ],
+    query: unitGroupQuery,
+    toRow: unitGroupRow,
+  },
+  outlooks: {
+    sheet: 'Outlooks',
+    columns: [
+      'id',
+      'noc',
+      'title',
+      'economicRegionCode',
+      'economicRegionName',
+      'province',
+      'outlook',
+      'rating',
+      'ratingScore',
+      'trends',
+      'lang',
+      'release',
+      'releaseDate',
+    ],
+    query: outlookQuery,
+    toRow: outlookRow,
+  },
+  programs: {
+    sheet: 'Programs',
+    columns: [
+      'institution',
+      'nid',
+      'title',
+      'credential',
+      'duration',
+      'programArea',
+      'knownNocGroups',
+      'matchedNocs',
+      'matchedOccupations',
+    ],
+    query: programQuery,
+    toRow: programRow,
+  },
+}
+
+/**
+ * Export Target Resolver
+ * ======================
+ * @param {string} target - A dataset name, or "all"
+ * @returns {string[]} The dataset names to export
+ */
+function exportDatasets(target) {
+  return target === 'all' ? Object.keys(EXPORT_DATASETS) : [target]
+}
+
+/**
+ * Export Request Checker
+ * ======================
+ * @param {string} target - A dataset name, or "all"
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {string|null} What's wrong with the request, or null if it's fine
+ */
+function checkExport(target, format) {
+  if (target !== 'all' && !Object.keys(EXPORT_DATASETS).includes(target)) {
+    return `Unknown export dataset "${target}"; expected one of: ${Object.keys(EXPORT_DATASETS).join(', ')}, all`
+  }
+  if (!EXPORT_FORMATS.includes(format)) {
+    return `Unknown export format "${format}"; expected one of: ${EXPORT_FORMATS.join(', ')}`
+  }
+  // A CSV file is a single table; XLSX and JSON hold one sheet/key per dataset
+  if (format === 'csv' && exportDatasets(target).length > 1) {
+    return 'CSV holds one dataset at a time; export them one by one, or use xlsx or json'
+  }
+  return null
+}
+
+/**
+ * Page Reader
+ * ===========
+ * Reads one dataset in pages of EXPORT_PAGE_SIZE rows, in primary key order.
+ * Each page starts after the last key of the previous one (cursor
+ * pagination), so late pages are as fast as early ones.
+ *
+ * @param {string} name - One of EXPORT_DATASETS
+ * @param {Object} filters - Export filters
+ * @yields {Object[]} One page of export rows
+ */
+async function* readPages(name, filters) {
+  const dataset = EXPORT_DATASETS[name]
+  const { model, key, ...args } = dataset.query(filters)
+  let cursor = null
+
+  while (true) {
+    const records = await prisma[model].findMany({
+      ...args,
+      orderBy: { [key]: 'asc' },
+      take: EXPORT_PAGE_SIZE,
+      ...(cursor === null ? {} : { cursor: { [key]: cursor }, skip: 1 }),
+    })
+    if (records.length > 0) {
+      yield records.map((record) => dataset.toRow(record, filters))
+    }
+    if (records.length < EXPORT_PAGE_SIZE) return
+    cursor = records[records.length - 1][key]
+  }
+}
+
+/**
+ * Cell Formatter
+ * ==============
+ * @param {any} value - A value from an export row
+ * @returns {string|number} The value as written to a CSV or XLSX cell
+ */
+function cellValue(value) {
+  if (value === null || value === undefined) return ''
+  if (Array.isArray(value)) return value.join(LIST_SEPARATOR)
+  return value
+}
+
+/**
+ * CSV Line Builder
+ * ================
+ * @param {any[]} values - One row's values, in column order
+ * @returns {string} The CSV line, with fields quoted where needed
+ */
+function csvLine(values) {
+  const fields = values.map((value) => {
+    const text = String(cellValue(value))
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+  })
+  return fields.join(',') + '\r\n'
+}
+
+/**
+ * CSV Writer
+ * ==========
+ * @param {string[]} names - Datasets to write (only the first is used)
+ * @param {Object} filters - Export filters
+ * @param {Object} counts - Rows written per dataset, updated as rows go out
+ * @yields {string} The header line, then one chunk of lines per page
+ */
+async function* csvChunks([name], filters, counts) {
+  const { columns } = EXPORT_DATASETS[name]
+  yield csvLine(columns)
+  for await (const rows of readPages(name, filters)) {
+    counts[name] += rows.length
+    yield rows
+      .map((row) => csvLine(columns.map((column) => row[column])))
+      .join('')
+  }
+}
+
+/**
+ * JSON Writer
+ * ===========
+ * @param {string[]} names - Datasets to write
+ * @param {Object} filters - Export filters
+ * @param {Object} counts - Rows written per dataset, updated as rows go out
+ * @yields {string} `{ "<dataset>": [rows...], ... }`, one page at a time
+ */
+async function* jsonChunks(names, filters, counts) {
+  yield '{'
+  for (const [index, name] of names.entries()) {
+    yield `${index > 0 ? ',' : ''}\n  ${JSON.stringify(name)}: [`
+    for await (const rows of readPages(name, filters)) {
+      const items = rows.map((row) => `\n    ${JSON.stringify(row)}`)
+      yield (counts[name] > 0 ? ',' : '') + items.join(',')
+      counts[name] += rows.length
+    }
+    yield '\n  ]'
+  }
+  yield '\n}\n'
+}
+
+/**
+ * XLSX Writer
+ * ===========
+ * @param {string[]} names - Datasets to write
+ * @param {Object} filters - Export filters
+ * @param {Object} counts - Rows written per dataset, updated as rows go out
+ * @yields {Buffer} The finished workbook, with one sheet per dataset
+ */
+async function* xlsxChunks(names, filters, counts) {
+  const workbook = xlsx.utils.book_new()
+  for (const name of names) {
+    const { sheet, columns } = EXPORT_DATASETS[name]
+    const worksheet = xlsx.utils.aoa_to_sheet([columns])
+    for await (const rows of readPages(name, filters)) {
+      counts[name] += rows.length
+      xlsx.utils.sheet_add_aoa(
+        worksheet,
+        rows.map((row) => columns.map((column) => cellValue(row[column]))),
+        { origin: -1 } // Append below the last row
+      )
+    }
+    xlsx.utils.book_append_sheet(workbook, worksheet, sheet)
+  }
+  yield xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' })
+}
+
+// Format → chunk writer
+const WRITERS = {
+  csv: csvChunks,
+  xlsx: xlsxChunks,
+  json: jsonChunks,
+}
+
+/**
+ * Export Stream
+ * =============
+ * Streams one dataset (or all of them) in the requested format.
+ *
+ * @param {string} target - A dataset name, or "all" (check it with checkExport() first)
+ * @param {string} format - csv, xlsx or json
+ * @param {Object} [filters]
+ * @param {string} [filters.lang='EN'] - Language of occupation titles,
+ *   sections and outlooks
+ * @param {string} [filters.province] - Outlooks: only this province
+ * @param {string} [filters.region] - Outlooks: only this economic region code
+ * @param {string} [filters.release] - Outlooks: only this release label
+ * @returns {{ stream: Readable, counts: Object }} The stream to pipe to a
+ *   file or HTTP response, and the rows written per dataset (filled in as
+ *   the stream is read)
+ *
+ * - Nothing is read from the database until the stream is piped somewhere
+ * - Use stream.pipeline() so an output that closes early (e.g. a cancelled
+ *   download) stops the export instead of leaving it waiting
+ */
+function exportStream(target, format, filters = {}) {
+  const names = exportDatasets(target)
+  const counts = Object.fromEntries(names.map((name) => [name, 0]))
+  const options = { ...filters, lang: resolveLang(filters.lang) }
+  const stream = Readable.from(WRITERS[format](names, options, counts), {
+    objectMode: false,
+  })
+  return { stream, counts }
+}
+
+module.exports = {
+  EXPORT_DATASETS,
+  EXPORT_FORMATS,
+  CONTENT_TYPES,
+  checkExport,
+  exportStream,
+}
@@ -0,0 +1,201 @@
+/*
+ * NOC Hierarchy
+ * =============
+ *
+ * A NOC 2021 unit group code spells out where the occupation sits in the
+ * classification, one digit per level:
+ *
+ *   2 1 2 3 1   Software engineers and designers (unit group)
+ *   │ │ │ └──── 2123  minor group
+ *   │ │ └────── 212   sub-major group
+ *   │ └──────── 21    major group (the second digit is the TEER category)
+ *   └────────── 2     broad occupational category
+ *
+ * The unit group seeder stores each unit group's broad category and TEER
+ * (UnitGroup.broadCategory, UnitGroup.teer) and builds the NocGroup rows
+ * above the unit groups from the codes in the file, so the classification
+ * can be browsed from the top down (see listNocGroups() and getNocGroup() in
+ * lib/queries.js).
+ *
+ * Broad category titles are built in. Titles for the major, sub-major and
+ * minor groups come from the optional group titles file
+ * (data/noc_groups.json: `[{ "code": "2123", "title": "..." }]`); groups it
+ * doesn't name are still created, without a title.
+ */
+
+const { prisma } = require('./db')
+const { saveRecord, pruneRecords } = require('./sync')
+const { runBatches, runBatch } = require('./runs')
+
+// Broad occupational category (first digit) → title
+const BROAD_CATEGORIES = {
+  0: 'Legislative and senior management occupations',
+  1: 'Business, finance and administration occupations',
+  2: 'Natural and applied sciences and related occupations',
+  3: 'Health occupations',
+  4: 'Occupations in education, law and social, community and government services',
+  5: 'Occupations in art, culture, recreation and sport',
+  6: 'Sales and service occupations',
+  7: 'Trades, transport and equipment operators and related occupations',
+  8: 'Natural resources, agriculture and related production occupations',
+  9: 'Occupations in manufacturing and utilities',
+}
+
+// TEER category (second digit) → the training, education, experience and
+// responsibilities it usually takes
+const TEER_CATEGORIES = {
+  0: 'Management occupations',
+  1: 'Completion of a university degree',
+  2: 'Completion of a college diploma or apprenticeship of 2 or more years, or supervisory occupations',
+  3: 'Completion of a college diploma or apprenticeship of less than 2 years, or more than 6 months of on-the-job training',
+  4: 'Completion of secondary school, or several weeks of on-the-job training',
+  5: 'Short-term work demonstration and no formal educational requirements',
+}
+
+// Length of a group's code → its level, from the top of the tree down
+const GROUP_LEVELS = {
+  1: 'broad-category',
+  2: 'major',
+  3: 'sub-major',
+  4: 'minor',
+}
+
+/**
+ * Unit Group Hierarchy Reader
+ * ===========================
+ * @param {string} noc - 5-digit NOC 2021 code
+ * @returns {{ broadCategory: number|null, teer: number|null }} The code's
+ *   broad category and TEER, or nulls for anything but a 5-digit code
+ */
+function nocHierarchy(noc) {
+  if (!/^\d{5}$/.test(noc)) return { broadCategory: null, teer: null }
+  return { broadCategory: Number(noc[0]), teer: Number(noc[1]) }
+}
+
+/**
+ * Group Code Splitter
+ * ===================
+ * @param {string} noc - 5-digit NOC 2021 code
+ * @returns {string[]} The codes of the groups above it, broad category first
+ *   ("21231" → ["2", "21", "212", "2123"])
+ */
+function groupCodes(noc) {
+  return [1, 2, 3, 4].map((length) => noc.slice(0, length))
+}
+
+/**
+ * Group Builder
+ * =============
+ * @param {string} code - Group code, 1 to 4 digits
+ * @param {Map<string, string>} titles - Group code → title from the titles file
+ * @returns {Object} The NocGroup row for the code
+ */
+function buildGroup(code, titles) {
+  return {
+    code,
+    level: GROUP_LEVELS[code.length],
+    title:
+      titles.get(code) || (code.length === 1 && BROAD_CATEGORIES[code]) || null,
+    teer: code.length > 1 ? Number(code[1]) : null,
+    parentCode: code.length > 1 ? code.slice(0, -1) : null,
+  }
+}
+
+/**
+ * NOC Group Seeder
+ * ================
+ * Saves the groups above the unit groups of the unit groups file. Called by
+ * the unit group seeder (English file only) before the unit groups are saved.
+ *
+ * @param {Object[]} unitGroupsData - Validated records from unit_groups.json
+ * @param {Object[]} [groupTitles] - Validated records from the group titles
+ *   file (`{ code, title }`), if there is one
+ * @param {Object} [options]
+ * @param {boolean} [options.prune=true] - False to skip --prune
+ *
+ * - Groups are saved parents first, so each parent exists before its children
+ * - --prune removes groups no unit group in the file falls under any more
+ */
+async function seedNocGroups(
+  unitGroupsData,
+  groupTitles = [],
+  { prune = true } = {}
+) {
+  const titles = new Map(groupTitles.map((group) => [group.code, group.title]))
+  const codes = new Set(
+    unitGroupsData.flatMap((unitGroup) => groupCodes(unitGroup.noc_number))
+  )
+  const groups = [...codes]
+    .sort((a, b) => a.length - b.length || a.localeCompare(b))
+    .map((code) => buildGroup(code, titles))
+  console.log(`\nSaving ${groups.length} NOC hierarchy groups...`)
+
+  const untitled = groups.filter((group) => !group.title).length
+  if (untitled > 0 && groupTitles.length === 0) {
+    console.log(
+      `No group titles file - ${untitled} major, sub-major and minor groups are saved without a title`
+    )
+  } else if (untitled > 0) {
+    console.log(`${untitled} group(s) have no title in the group titles file`)
+  }
+
+  // One level per runBatches() call: a batch only holds groups whose parents
+  // were committed in an earlier one
+  const keptCodes = []
+  for (const length of Object.keys(GROUP_LEVELS).map(Number)) {
+    const level = groups.filter((group) => group.code.length === length)
+    await runBatches(level, async (group) => {
+      keptCodes.push(
+        await saveRecord(
+          'nocGroup',
+          { code: group.code },
+          group,
+          `NOC group ${group.code}`
+        )
+      )
+    })
+  }
+
+  if (prune) {
+    await runBatch(() => pruneRecords('nocGroup', keptCodes))
+  }
+}
+
+/**
+ * TEER Label Lookup
+ * =================
+ * @param {number} teer - TEER category, 0 to 5
+ * @returns {string|null} What the category usually takes, or null if unknown
+ */
+function teerTitle(teer) {
+  return TEER_CATEGORIES[teer] || null
+}
+
+/**
+ * Group Path Query
+ * ================
+ * @param {string} code - Group code, 1 to 4 digits, or a 5-digit NOC code
+ * @returns {Promise<Object[]>} The groups above the code, broad category
+ *   first, as `{ code, level, title }` (groups that aren't seeded are left out)
+ */
+async function groupPath(code) {
+  const codes = [1, 2, 3, 4]
+    .filter((length) => length < code.length)
+    .map((length) => code.slice(0, length))
+  const groups = await prisma.nocGroup.findMany({
+    where: { code: { in: codes } },
+    select: { code: true, level: true, title: true },
+  })
+  return groups.sort((a, b) => a.code.length - b.code.length)
+}
+
+module.exports = {
+  BROAD_CATEGORIES,
+  TEER_CATEGORIES,
+  GROUP_LEVELS,
+  nocHierarchy,
+  groupCodes,
+  teerTitle,
+  groupPath,
+  seedNocGroups,
+}
@@ -0,0 +1,78 @@
+/*
+ * Institutions
+ * ============
+ *
+ * Every program catalogue belongs to one post-secondary institution. The
+ * institution is declared on the catalogue's dataset adapter (lib/datasets.js,
+ * or an entry in datasets.json):
+ *
+ *   "institution": { "code": "CAMOSUN", "name": "Camosun College",
+ *                    "province": "BC", "website": "https://camosun.ca" }
+ *
+ * The programs seeder saves the Institution row before the catalogue, and
+ * scopes program areas, programs and --prune to it: program `nid`s and area
+ * titles only have to be unique within one institution, and loading one
+ * catalogue never removes another's programs.
+ */
+
+const { saveRecord } = require('./sync')
+const { runBatch } = require('./runs')
+
+// Institution of data/viu_programs.json, and of program lookups that don't
+// name one
+const VIU = {
+  code: 'VIU',
+  name: 'Vancouver Island University',
+  province: 'BC',
+  website: 'https://www.viu.ca',
+}
+const DEFAULT_INSTITUTION = VIU.code
+
+// Upper-case letters, digits and dashes, e.g. "VIU" or "UVIC"
+const INSTITUTION_CODE_PATTERN = /^[A-Z][A-Z0-9-]*$/
+
+/**
+ * Institution Declaration Check
+ * =============================
+ * @param {Object} institution - `{ code, name, province?, website? }`
+ * @returns {string|null} What is wrong with the declaration, or null if it's fine
+ */
+function checkInstitution(institution) {
+  if (!institution || typeof institution !== 'object') {
+    return 'institution must be an object with a code and a name'
+  }
+  if (!INSTITUTION_CODE_PATTERN.test(institution.code || '')) {
+    return `institution code must be upper-case letters, digits and dashes, got "${institution.code}"`
+  }
+  if (!institution.name || typeof institution.name !== 'string') {
+    return `institution ${institution.code} needs a name`
+  }
+  return null
+}
+
+/**
+ * Institution Seeder
+ * ==================
+ * Saves the institution a catalogue belongs to. Called by the programs
+ * seeder before the program areas.
+ *
+ * @param {Object} institution - `{ code, name, province?, website? }`
+ */
+async function seedInstitution({ code, name, province, website }) {
+  await runBatch(() =>
+    saveRecord(
+      'institution',
+      { code },
+      { code, name, province: province || null, website: website || null },
+      `Institution: ${code}`
+    )
+  )
+}
+
+module.exports = {
+  VIU,
+  DEFAULT_INSTITUTION,
+  INSTITUTION_CODE_PATTERN,
+  checkInstitution,
+  seedInstitution,
+}
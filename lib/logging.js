@@ -0,0 +1,328 @@
+/*
+ * Logging and Progress Reporting
+ * ==============================
+ *
+ * Holds the import counters, the structured log and the progress display.
+ *
+ * The log is a JSON-lines file (settings.logs.file): one JSON object per
+ * line, so it can be read by `jq`, shipped to a log service or grepped. The
+ * CLI opens it on demand (so the destination can be chosen per run) and
+ * closes it once the command has finished. Every entry looks like:
+ *
+ *   {"time":"2025-01-31T12:00:00.000Z","level":"error","event":"error",
+ *    "message":"Error on outlook=noc-21231-region-5910: ...","runId":12,
+ *    "dataset":"outlooks","file":"data/...xlsx","model":"outlook",
+ *    "record":"outlook=noc-21231-region-5910","code":"P2003"}
+ *
+ * - level    debug, info, warn or error; entries below settings.logLevel
+ *            are left out (duplicates are debug, so they're off by default)
+ * - event    What happened: error, duplicate, run-started, run-finished
+ * - runId, dataset, file
+ *            The import run being written, if any (see setLogContext())
+ * - model, record
+ *            The Prisma model and the source record: its key as the seeder
+ *            labels it (noc=21231, Program: ...) or, for validation
+ *            errors, its row in the file
+ * - code     Prisma error code (P2002, P2003, ...) or another error class
+ *
+ * Errors are also grouped by code and model for the end-of-run summary
+ * (errorSummary(), printed and stored on the ImportRun by lib/runs.js).
+ */
+
+const fs = require('fs') // File system operations (built-in Node.js module)
+const { settings } = require('./config')
+
+// Log levels, least severe first
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error']
+
+// Without a terminal (cron, CI, docker logs) progress can't be redrawn in
+// place, so a new line is printed at most this often (milliseconds)
+const PROGRESS_INTERVAL = 10000
+
+// Example records kept for each group of the error summary
+const SUMMARY_SAMPLE_SIZE = 3
+
+// ============================================================================
+// GLOBAL COUNTERS
+// ============================================================================
+// These counters track import progress across every seeding step
+
+const counters = {
+  created: 0, // Successfully created records
+  duplicates: 0, // Records that already existed (duplicates)
+  updated: 0, // Existing records whose fields changed (sync mode only)
+  unchanged: 0, // Existing records already up to date (sync mode only)
+  errors: 0, // Records that failed for any other reason
+}
+
+// Write stream of the log file - stays open during the entire command
+// Streams are more efficient than repeatedly opening/closing files
+let logFile = null
+
+// Fields added to every entry while an import run is being written
+let logContext = {}
+
+// `${code} ${model}` → { code, model, count, samples } for the run's errors
+let errorGroups = new Map()
+
+// When the last progress line was printed (non-terminal output only)
+let lastProgressAt = 0
+
+/**
+ * Log File Opener
+ * ===============
+ * Opens the structured log file in append mode.
+ *
+ * @param {Object} destinations - Log destinations (settings.logs)
+ * @param {string|null} destinations.file - Where the JSON-lines log is
+ *   written; null disables it
+ *
+ * - 'a' = append mode, so previous runs are kept
+ * - Calling this twice closes the previous stream first
+ */
+function openLogs({ file } = {}) {
+  closeLogs()
+  logFile = file ? fs.createWriteStream(file, { flags: 'a' }) : null
+}
+
+/**
+ * Log File Closer
+ * ===============
+ * Ends the open log stream. Safe to call more than once.
+ */
+function closeLogs() {
+  if (logFile) logFile.end()
+  logFile = null
+}
+
+/**
+ * Log Context Setter
+ * ==================
+ * @param {Object} fields - Fields added to every entry from now on, e.g.
+ *   `{ runId, dataset, file }` of the import run being written; `{}` clears them
+ */
+function setLogContext(fields) {
+  logContext = fields
+}
+
+/**
+ * Structured Logger
+ * =================
+ * Writes one entry to the log file (if one is open and the level is high
+ * enough).
+ *
+ * @param {'debug'|'info'|'warn'|'error'} level - How severe the entry is
+ * @param {string} event - What happened, e.g. 'error' or 'run-finished'
+ * @param {string} message - One-line human description
+ * @param {Object} [fields] - More fields for the entry (model, record, ...)
+ */
+function log(level, event, message, fields = {}) {
+  if (!logFile) return
+  if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(settings.logLevel)) return
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    event,
+    message,
+    ...logContext,
+    ...fields,
+  }
+  logFile.write(`${JSON.stringify(entry)}\n`)
+}
+
+/**
+ * Error Code Reader
+ * =================
+ * @param {Error} [error] - A caught error
+ * @returns {string} Its Prisma error code (P2003, ...), else its class
+ *   (PrismaClientValidationError, ...), else "OTHER"
+ */
+function errorCode(error) {
+  if (!error) return 'OTHER'
+  if (error.code) return String(error.code)
+  return error.name && error.name !== 'Error' ? error.name : 'OTHER'
+}
+
+/**
+ * Error Logger
+ * ============
+ * Counts an error, adds it to the run's error summary and writes it to the
+ * log (if one is open).
+ *
+ * @param {string} message - One-line description of what failed
+ * @param {Object} [details]
+ * @param {string} [details.model] - Prisma model being written
+ * @param {string} [details.record] - Source record reference (its label)
+ * @param {Error} [details.error] - The caught error, for its code
+ * @param {string} [details.code] - Code to group by instead of the error's
+ *   (e.g. VALIDATION)
+ */
+function logError(message, { model, record, error, code, ...fields } = {}) {
+  counters.errors++
+
+  const group = code || errorCode(error)
+  const key = `${group} ${model || ''}`
+  if (!errorGroups.has(key)) {
+    errorGroups.set(key, {
+      code: group,
+      model: model || null,
+      count: 0,
+      samples: [],
+    })
+  }
+  const summary = errorGroups.get(key)
+  summary.count++
+  if (record && summary.samples.length < SUMMARY_SAMPLE_SIZE) {
+    summary.samples.push(record)
+  }
+
+  log('error', 'error', message, { model, record, code: group, ...fields })
+}
+
+/**
+ * Duplicate Logger
+ * ================
+ * Logs a unique-constraint conflict at debug level, with the fields that
+ * clashed and the data that was being inserted. Counting is left to the
+ * caller.
+ *
+ * @param {string} label - Identifier of the record that conflicted
+ * @param {Object} error - The Prisma P2002 error (meta.target lists the fields)
+ * @param {Object} data - The data that was being inserted
+ * @param {string} [model] - Prisma model name
+ */
+function logDuplicate(label, error, data, model) {
+  log('debug', 'duplicate', `Duplicate on ${label}`, {
+    model,
+    record: label,
+    code: 'P2002',
+    fields: [].concat(error.meta?.target || []), // Which fields caused the conflict
+    data,
+  })
+}
+
+/**
+ * Error Summary
+ * =============
+ * @returns {Object[]} The errors logged since the last resetErrorSummary(),
+ *   grouped as `{ code, model, count, samples }`, most frequent first
+ */
+function errorSummary() {
+  return [...errorGroups.values()].sort((a, b) => b.count - a.count)
+}
+
+/**
+ * Error Summary Reset
+ * ===================
+ * Starts a new summary (called when an import run starts).
+ *
+ * @param {Object[]} [groups] - Groups to start from, e.g. the summary of
+ *   the failed run being resumed
+ */
+function resetErrorSummary(groups = []) {
+  errorGroups = new Map(
+    groups.map((group) => [`${group.code} ${group.model || ''}`, { ...group }])
+  )
+}
+
+/**
+ * Error Summary Printer
+ * =====================
+ * @param {Object[]} groups - Output of errorSummary()
+ */
+function printErrorSummary(groups) {
+  if (groups.length === 0) return
+  console.log('\nErrors by code and model:')
+  console.log(
+    `  ${'code'.padEnd(28)} ${'model'.padEnd(20)} ${'count'.padStart(6)}  e.g.`
+  )
+  for (const { code, model, count, samples } of groups) {
+    console.log(
+      `  ${code.padEnd(28)} ${(model || '-').padEnd(20)} ${String(count).padStart(6)}  ${samples.join('; ')}`
+    )
+  }
+}
+
+/**
+ * Progress Line Writer
+ * ====================
+ * Shows a progress line: redrawn in place on a terminal, otherwise printed
+ * as a new line every PROGRESS_INTERVAL.
+ *
+ * @param {string} text - The progress line
+ *
+ * - process.stdout is Node.js's interface to the terminal output
+ * - clearLine() removes the current line content and cursorTo(0) moves the
+ *   cursor to the beginning of the line; both only exist on a terminal
+ *   (process.stdout.isTTY), so piped output gets plain lines instead
+ */
+function writeProgress(text) {
+  if (process.stdout.isTTY) {
+    process.stdout.clearLine() // Clear the current terminal line
+    process.stdout.cursorTo(0) // Move cursor to start of line
+    process.stdout.write(text) // No newline, so the next update overwrites it
+    return
+  }
+
+  const now = Date.now()
+  if (now - lastProgressAt < PROGRESS_INTERVAL) return
+  lastProgressAt = now
+  process.stdout.write(`${text}\n`)
+}
+
+/**
+ * Progress Logging Function
+ * ========================
+ * Displays a progress update showing the number of items created and
+ * duplicate items encountered (plus updated/unchanged items once a sync run
+ * has seen any).
+ *
+ * On a terminal this is a "live updating" display that overwrites the same
+ * line instead of creating new lines, keeping the output clean during long
+ * operations (see writeProgress()).
+ */
+function logProgress() {
+  writeProgress(
+    `Created: ${counters.created} | Duplicates: ${counters.duplicates}` +
+      // Sync mode updates existing rows instead of reporting them as duplicates
+      (counters.updated || counters.unchanged
+        ? ` | Updated: ${counters.updated} | Unchanged: ${counters.unchanged}`
+        : '')
+  )
+}
+
+/**
+ * Delete Progress Logging Function
+ * ================================
+ * Updates the console output to show delete operation progress with percentage.
+ * Similar to logProgress() but specifically for deletion operations.
+ *
+ * @param {number} deletedCount - Number of records deleted so far
+ * @param {number} totalToDelete - Total number of records to delete
+ *
+ * - Math.floor() rounds down to get whole percentage numbers
+ * - This provides user feedback during potentially long deletion operations
+ */
+function logDeleteProgress(deletedCount, totalToDelete) {
+  const percent = Math.floor((deletedCount / totalToDelete) * 100)
+  writeProgress(
+    `Deleting records: ${deletedCount}/${totalToDelete} (${percent}%)`
+  )
+}
+
+module.exports = {
+  LOG_LEVELS,
+  counters,
+  openLogs,
+  closeLogs,
+  setLogContext,
+  log,
+  logError,
+  logDuplicate,
+  errorSummary,
+  resetErrorSummary,
+  printErrorSummary,
+  logProgress,
+  logDeleteProgress,
+}
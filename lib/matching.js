@@ -0,0 +1,331 @@
+/*
+ * Program-to-Occupation Matching
+ * ==============================
+ *
+ * Scores every program against every unit group and stores the best matches
+ * as ProgramNocMatch rows (program → NOC, with a score, a rank and the
+ * reasons for the match). Run it with `node index.js match` after seeding
+ * unit groups and programs.
+ *
+ * How a score is built:
+ * 1. Each program contributes search phrases: its `nocSearchKeywords`
+ *    (primary) and the comma-separated `viuSearchKeywords` (secondary)
+ * 2. Each unit group is searched in four places, each with its own weight:
+ *    the occupation title, "Illustrative example(s)", "Employment
+ *    requirements" and "Main duties"
+ * 3. A phrase scores the weight of the best place it was found, so one
+ *    keyword can't be counted four times
+ * 4. Codes listed in the program's `knownNocGroups` get a large bonus so
+ *    curated links always rank above keyword guesses
+ */
+
+const { settings } = require('./config')
+const { prisma, safeDbOperation } = require('./db')
+const { counters, logError } = require('./logging')
+const { sectionItems } = require('./sections')
+const { processInChunks } = require('./utils')
+
+// ============================================================================
+// SCORING WEIGHTS
+// ============================================================================
+
+// Where a phrase was found → how much that hit is worth
+// Titles are the strongest signal, duties the weakest (they share a lot of
+// generic vocabulary across occupations)
+const FIELD_WEIGHTS = {
+  title: 10,
+  examples: 6,
+  requirements: 4,
+  duties: 2,
+}
+
+// Multiplier for phrases taken from viuSearchKeywords (marketing terms,
+// misspellings and broad topics - useful, but less precise)
+const SECONDARY_KEYWORD_FACTOR = 0.5
+
+// Added to the score of any NOC listed in the program's knownNocGroups
+const KNOWN_GROUP_BONUS = 100
+
+// Human-readable field names used in match reasons
+const FIELD_LABELS = {
+  title: 'occupation title',
+  examples: 'illustrative examples',
+  requirements: 'employment requirements',
+  duties: 'main duties',
+}
+
+/**
+ * Text Normalizer
+ * ===============
+ * Lowercases text, strips punctuation and reduces simple plurals so that
+ * "Bakers" in a title matches the keyword "baker".
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Space-separated normalized tokens (with surrounding spaces
+ *   so phrase matching can test for whole words with includes())
+ */
+function normalizeText(text) {
+  const tokens = String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Strip accents (é → e)
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map((token) => {
+      if (token.length > 4 && token.endsWith('ies'))
+        return `${token.slice(0, -3)}y`
+      if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) {
+        return token.slice(0, -1)
+      }
+      return token
+    })
+  return ` ${tokens.join(' ')} `
+}
+
+/**
+ * Program Phrase Extractor
+ * ========================
+ * Collects the distinct search phrases for one program.
+ *
+ * @param {Object} program - A Program row
+ * @returns {{ phrase: string, normalized: string, factor: number }[]}
+ *
+ * - Primary phrases (nocSearchKeywords) win when a phrase appears in both lists
+ * - Blank or whitespace-only keywords are ignored
+ */
+function programPhrases(program) {
+  const phrases = new Map()
+  const add = (raw, factor) => {
+    const phrase = raw.trim()
+    const normalized = normalizeText(phrase)
+    if (normalized.trim() && !phrases.has(normalized)) {
+      phrases.set(normalized, { phrase, normalized, factor })
+    }
+  }
+
+  ;(program.nocSearchKeywords || []).forEach((keyword) => add(keyword, 1))
+  ;(program.viuSearchKeywords || '')
+    .split(',')
+    .forEach((keyword) => add(keyword, SECONDARY_KEYWORD_FACTOR))
+
+  return [...phrases.values()]
+}
+
+/**
+ * Unit Group Index Builder
+ * ========================
+ * Pre-normalizes the searchable text of every unit group once, so scoring
+ * programs × unit groups only does cheap string lookups.
+ *
+ * @param {Object[]} unitGroups - Unit groups with their sections loaded
+ * @returns {{ noc: string, occupation: string, fields: Object }[]}
+ */
+function buildUnitGroupIndex(unitGroups) {
+  return unitGroups.map((unitGroup) => ({
+    noc: unitGroup.noc,
+    occupation: unitGroup.occupation,
+    fields: {
+      title: normalizeText(unitGroup.occupation),
+      examples: normalizeText(sectionItems(unitGroup, 'examples').join(' | ')),
+      requirements: normalizeText(
+        sectionItems(unitGroup, 'requirements').join(' | ')
+      ),
+      duties: normalizeText(sectionItems(unitGroup, 'duties').join(' | ')),
+    },
+  }))
+}
+
+/**
+ * Program Scorer
+ * ==============
+ * Scores one program against every indexed unit group.
+ *
+ * @param {Object} program - A Program row
+ * @param {Object[]} index - Output of buildUnitGroupIndex()
+ * @returns {{ noc: string, score: number, knownGroup: boolean, reasons: string[] }[]}
+ *   Every unit group with a score above zero, best first
+ */
+function scoreProgram(program, index) {
+  const phrases = programPhrases(program)
+  const knownGroups = new Set(program.knownNocGroups || [])
+  const results = []
+
+  for (const unitGroup of index) {
+    let score = 0
+    const reasons = []
+
+    // Curated links first - they outrank any keyword evidence
+    const knownGroup = knownGroups.has(unitGroup.noc)
+    if (knownGroup) {
+      score += KNOWN_GROUP_BONUS
+      reasons.push('listed in known NOC groups')
+    }
+
+    // Each phrase scores the weight of the best field it appears in
+    for (const { phrase, normalized, factor } of phrases) {
+      const field = Object.keys(FIELD_WEIGHTS).find((name) =>
+        unitGroup.fields[name].includes(normalized)
+      )
+      if (field) {
+        score += FIELD_WEIGHTS[field] * factor
+        reasons.push(`"${phrase}" in ${FIELD_LABELS[field]}`)
+      }
+    }
+
+    if (score > 0) {
+      results.push({ noc: unitGroup.noc, score, knownGroup, reasons })
+    }
+  }
+
+  // Highest score first; NOC code breaks ties so runs are repeatable
+  return results.sort((a, b) => b.score - a.score || a.noc.localeCompare(b.noc))
+}
+
+/**
+ * Match Ranker
+ * ============
+ * Keeps the best matches for a program and numbers them 1..n.
+ *
+ * @param {Object[]} scored - Output of scoreProgram()
+ * @param {Object} options
+ * @param {number} options.limit - Maximum matches to keep per program
+ * @param {number} options.minScore - Keyword matches below this are dropped
+ * @returns {Object[]} The kept matches with a `rank` property
+ *
+ * - Known groups are always kept, regardless of the limit or minimum score
+ */
+function rankMatches(scored, { limit, minScore }) {
+  const known = scored.filter((match) => match.knownGroup)
+  const keywordOnly = scored
+    .filter((match) => !match.knownGroup && match.score >= minScore)
+    .slice(0, Math.max(limit - known.length, 0))
+
+  return [...known, ...keywordOnly].map((match, i) => ({
+    ...match,
+    rank: i + 1,
+  }))
+}
+
+/**
+ * Program Matching Runner
+ * =======================
+ * Scores every program, then replaces each program's stored matches with the
+ * new ranking. Programs are processed in batches like any other import.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Matches kept per program (default settings.matching.limit)
+ * @param {number} [options.minScore] - Minimum keyword score (default settings.matching.minScore)
+ * @returns {Promise<{ programs: number, matches: number, unmatched: string[], unresolvedKnownGroups: string[] }>}
+ *
+ * - Each program's delete + insert runs in one transaction, so a failure
+ *   never leaves a program with half of its matches
+ * - Known NOC groups that don't exist as unit groups can't be linked; they
+ *   are reported at the end so the program data can be corrected
+ * - Retired programs and unit groups (see lib/retire.js) are left out: a
+ *   retired program keeps the matches it had when it was retired
+ */
+async function matchPrograms({
+  limit = settings.matching.limit,
+  minScore = settings.matching.minScore,
+} = {}) {
+  console.log('\n\nMatching Programs to Unit Groups...')
+
+  const [unitGroups, programs] = await Promise.all([
+    safeDbOperation(
+      () =>
+        prisma.unitGroup.findMany({
+          where: { retiredAt: null },
+          include: { sections: { where: { lang: 'EN' } } },
+        }),
+      'load unit groups for matching'
+    ),
+    safeDbOperation(
+      () => prisma.program.findMany({ where: { retiredAt: null } }),
+      'load programs'
+    ),
+  ])
+
+  const index = buildUnitGroupIndex(unitGroups)
+  const knownNocs = new Set(unitGroups.map((unitGroup) => unitGroup.noc))
+  const unmatched = []
+  const unresolvedKnownGroups = new Set()
+  let matchCount = 0
+
+  await processInChunks(programs, async (program) => {
+    // Known groups that can never join to a unit group are worth reporting
+    for (const noc of program.knownNocGroups || []) {
+      if (!knownNocs.has(noc)) unresolvedKnownGroups.add(noc)
+    }
+
+    const matches = rankMatches(scoreProgram(program, index), {
+      limit,
+      minScore,
+    })
+    if (matches.length === 0) {
+      unmatched.push(`${program.title} (${program.institutionCode})`)
+    }
+
+    try {
+      await safeDbOperation(
+        () =>
+          prisma.$transaction([
+            prisma.programNocMatch.deleteMany({
+              where: { programId: program.id },
+            }),
+            prisma.programNocMatch.createMany({
+              data: matches.map((match) => ({
+                programId: program.id,
+                noc: match.noc,
+                score: match.score,
+                rank: match.rank,
+                knownGroup: match.knownGroup,
+                reasons: match.reasons,
+              })),
+            }),
+          ]),
+        `store matches for program ${program.institutionCode} ${program.nid}`
+      )
+      counters.created += matches.length
+      matchCount += matches.length
+    } catch (error) {
+      logError(
+        `Error storing matches for program ${program.institutionCode} ${program.nid}: ${error.message}`,
+        {
+          model: 'programNocMatch',
+          record: `program ${program.institutionCode} ${program.nid}`,
+          error,
+        }
+      )
+    }
+  })
+
+  console.log(
+    `Matched ${programs.length - unmatched.length}/${programs.length} programs (${matchCount} links)`
+  )
+  if (unmatched.length > 0) {
+    console.log(`No matches for: ${unmatched.join('; ')}`)
+  }
+  if (unresolvedKnownGroups.size > 0) {
+    console.log(
+      `Known NOC groups with no unit group: ${[...unresolvedKnownGroups].join(', ')}`
+    )
+  }
+
+  return {
+    programs: programs.length,
+    matches: matchCount,
+    unmatched,
+    unresolvedKnownGroups: [...unresolvedKnownGroups],
+  }
+}
+
+module.exports = {
+  FIELD_WEIGHTS,
+  KNOWN_GROUP_BONUS,
+  normalizeText,
+  programPhrases,
+  buildUnitGroupIndex,
+  scoreProgram,
+  rankMatches,
+  matchPrograms,
+}
@@ -0,0 +1,209 @@
+/*
+ * Seeding Pipeline
+ * ================
+ *
+ * Runs the dataset adapters of lib/datasets.js: validates every requested
+ * input file, seeds each dataset after the ones it depends on, then rebuilds
+ * the data derived from them.
+ *
+ * With the built-in datasets, `seed all` runs:
+ * 1. Unit Groups - Basic NOC occupational categories, after the NOC
+ *    hierarchy groups above them (lib/hierarchy.js) and before the
+ *    cross-references between them (lib/relations.js)
+ * 2. Economic Regions - Region reference data (lib/regions.js)
+ * 3. Outlooks - Employment outlook data (depends on Unit Groups and Regions)
+ * 4. NOC Concordance - NOC 2016 → 2021 mappings (needed to translate program codes)
+ * 5. Program Areas and Programs - VIU programs, then any other institution's
+ *    catalogue declared in datasets.json (depends on the Concordance)
+ * 6. Search index - rebuilt from the unit groups and programs (lib/search.js)
+ * 7. Employment requirements - parsed from the unit groups' sections
+ *    (lib/requirements.js)
+ */
+
+const { settings } = require('./config')
+const { counters, logError } = require('./logging')
+const { printSyncReport, resetSaveFailures } = require('./sync')
+const { printPlan } = require('./plan')
+const {
+  validateInputs,
+  validRecordChunks,
+  reportValidation,
+} = require('./validation')
+const { withImportRun, isResuming } = require('./runs')
+const { reportRetirements } = require('./retire')
+const { rebuildSearchIndex } = require('./search')
+const { rebuildRequirements } = require('./requirements')
+const { DATASETS, getDataset, orderDatasets } = require('./datasets')
+
+// Derived data an adapter can ask to have rebuilt (its `rebuilds` field)
+const DERIVED_STEPS = {
+  search: { label: 'search index', rebuild: rebuildSearchIndex },
+  requirements: {
+    label: 'employment requirements',
+    rebuild: rebuildRequirements,
+  },
+}
+
+/**
+ * Derived Data Rebuilder
+ * ======================
+ * @param {Object[]} datasets - Adapters of the datasets that changed
+ *
+ * - Each step runs once, however many of the datasets ask for it
+ * - A failed step is logged and the rest still run: the seeded data is fine,
+ *   and `reindex` can rebuild it later
+ */
+async function rebuildDerived(datasets) {
+  const steps = new Set(datasets.flatMap((dataset) => dataset.rebuilds || []))
+  for (const name of Object.keys(DERIVED_STEPS)) {
+    if (!steps.has(name)) continue
+    const { label, rebuild } = DERIVED_STEPS[name]
+    try {
+      await rebuild()
+    } catch (error) {
+      logError(`Error rebuilding ${label}: ${error.message}`, { error })
+    }
+  }
+}
+
+/**
+ * Main Database Seeding Function
+ * ==============================
+ * Validates the requested input files, then runs the seeding steps in
+ * dependency order.
+ *
+ * Why this order?
+ * - Dependencies: Child tables need parent records to exist first
+ * - Foreign keys: Database enforces referential integrity
+ * - Data consistency: Ensures all relationships are valid
+ *
+ * @param {Object} [targets] - Which datasets to seed: dataset name → true
+ *   (default: every dataset with a `seed` target)
+ * @param {Object} [options]
+ * @param {Object} [options.resume] - Failed ImportRun to continue (see lib/runs.js)
+ * @returns {Promise<Object>} Summary with counters, any missing input files
+ *   and whether every input record passed validation (`valid`)
+ *
+ * - Every input file is validated before anything is written; records with
+ *   errors are skipped (and logged), the rest are seeded
+ * - `stream` datasets (the outlook workbook) are validated, then read again
+ *   and seeded, a chunk of rows at a time, so they are never held in memory
+ *   as a whole
+ * - Each dataset is imported as its own tracked, batch-by-batch import run;
+ *   if a batch can't be committed the run is marked failed and the error is
+ *   re-thrown, so later datasets don't build on a half-imported one
+ * - With settings.validateOnly the database is never touched
+ * - With settings.dryRun the database is read but never written (see lib/plan.js)
+ * - The database connection is left open; the caller decides when to disconnect
+ */
+async function seedDatabase(
+  targets = Object.fromEntries(
+    DATASETS.filter((dataset) => dataset.target).map((dataset) => [
+      dataset.name,
+      true,
+    ])
+  ),
+  { resume = null } = {}
+) {
+  // The failed run to continue, if it belongs to this dataset
+  const resumeFor = (dataset) =>
+    resume && resume.dataset === dataset ? resume : null
+  const enabled = (dataset) => !dataset.when || dataset.when()
+
+  const datasets = orderDatasets(
+    Object.keys(targets).filter((name) => targets[name])
+  ).filter(enabled)
+  // Datasets read only as inputs of the requested ones (e.g. group titles)
+  const inputs = [...new Set(datasets.flatMap((dataset) => dataset.uses || []))]
+    .map(getDataset)
+    .filter(enabled)
+
+  // STEP 0: Validate every requested input file up front
+  const validation = await validateInputs([...datasets, ...inputs])
+  reportValidation(validation)
+
+  const missingFiles = Object.values(validation.datasets)
+    .filter((result) => result.missing)
+    .map((result) => result.file)
+
+  if (settings.validateOnly) {
+    return { ...counters, missingFiles, valid: validation.valid }
+  }
+
+  // Run each validated dataset through its seeder (unless the file is missing)
+  for (const dataset of datasets) {
+    const { name } = dataset
+    const result = validation.datasets[name]
+    if (!result || result.missing) continue
+
+    // A skipped record would look "removed from the file" to --prune and --retire
+    const prune = settings.prune && result.invalid === 0
+    if (settings.prune && !prune) {
+      console.log(`Not pruning ${name}: some input records were invalid`)
+    }
+    const retire = settings.retire && result.invalid === 0
+    if (settings.retire && !retire) {
+      console.log(`Not retiring ${name}: some input records were invalid`)
+    }
+    // Save failures only hold back the pruning of the dataset they happen in
+    resetSaveFailures()
+    // A `stream` dataset's seeder reads its valid records a chunk at a time
+    const records = dataset.stream
+      ? validRecordChunks(dataset, result.file)
+      : dataset.transform
+        ? result.records.map(dataset.transform)
+        : result.records
+    const seedInputs = Object.fromEntries(
+      (dataset.uses || [])
+        .filter((input) => validation.datasets[input])
+        .map((input) => [input, validation.datasets[input].records])
+    )
+    await withImportRun(
+      name,
+      result.file,
+      async () => {
+        // Logged inside the run, so the entries carry its id. A resumed run
+        // already holds them in its error summary from the first attempt
+        for (const issue of isResuming() ? [] : result.issues) {
+          if (issue.severity !== 'error') continue
+          logError(
+            `Invalid ${name} record ${issue.record}: ${issue.field} ${issue.message}`,
+            {
+              model: dataset.model,
+              record: issue.record,
+              field: issue.field,
+              code: 'VALIDATION',
+            }
+          )
+        }
+        await dataset.seed(records, {
+          prune,
+          retire,
+          file: result.file,
+          inputs: seedInputs,
+          dataset,
+        })
+      },
+      resumeFor(name)
+    )
+  }
+
+  // Search index, employment requirements, ... over the changed data
+  if (!settings.dryRun) await rebuildDerived(datasets)
+
+  console.log('\n\nSeeding complete!')
+  console.log(
+    `Total Created: ${counters.created}, Duplicates: ${counters.duplicates}, Errors: ${counters.errors}`
+  )
+  printSyncReport()
+  reportRetirements()
+  if (settings.dryRun) printPlan()
+
+  return { ...counters, missingFiles, valid: validation.valid }
+}
+
+module.exports = {
+  DERIVED_STEPS,
+  rebuildDerived,
+  seedDatabase,
+}
@@ -0,0 +1,123 @@
+/*
+ * Dry-Run Plan
+ * ============
+ *
+ * With `--dry-run`, `seed` and `clean` read the database as usual but never
+ * write to it. Every write they would have made is recorded here instead,
+ * and printed at the end as counts per model plus a few sample records for
+ * each kind of change.
+ *
+ * Actions:
+ * - create    - the record doesn't exist yet
+ * - update    - the record exists and some fields would change (--sync only)
+ * - unchanged - the record exists and already matches (--sync only)
+ * - skip      - the record exists and would be reported as a duplicate
+ * - delete    - the record would be removed (--prune, or `clean`)
+ * - retire    - the record would be flagged as retired (--retire)
+ * - reinstate - the retired record is back and would be reinstated (--retire)
+ */
+
+const ACTIONS = [
+  'create',
+  'update',
+  'unchanged',
+  'skip',
+  'delete',
+  'retire',
+  'reinstate',
+]
+
+// Samples kept per model and action (unchanged/skip rows are only counted)
+const SAMPLE_LIMIT = 5
+const SAMPLED_ACTIONS = ['create', 'update', 'delete', 'retire', 'reinstate']
+
+// Per-model plan: { [modelName]: { counts: { create, ... }, samples: { create: [], ... } } }
+const plan = {}
+
+// Natural keys already planned for creation, per model. Nothing is written
+// during a dry run, so a record repeated in the source file would otherwise
+// be planned as a create twice.
+const plannedKeys = new Map()
+
+/**
+ * Planned Change Recorder
+ * =======================
+ * @param {string} modelName - Prisma model name in camelCase
+ * @param {string} action - One of ACTIONS
+ * @param {string} label - Human-readable description of the record
+ * @param {number} [amount=1] - How many records this entry stands for
+ */
+function recordPlanned(modelName, action, label, amount = 1) {
+  if (!plan[modelName]) {
+    plan[modelName] = {
+      counts: Object.fromEntries(ACTIONS.map((name) => [name, 0])),
+      samples: Object.fromEntries(SAMPLED_ACTIONS.map((name) => [name, []])),
+    }
+  }
+
+  const entry = plan[modelName]
+  entry.counts[action] += amount
+  if (entry.samples[action] && entry.samples[action].length < SAMPLE_LIMIT) {
+    entry.samples[action].push(label)
+  }
+}
+
+/**
+ * Planned Create Checker
+ * ======================
+ * Remembers that a record with this natural key is planned for creation.
+ *
+ * @param {string} modelName - Prisma model name in camelCase
+ * @param {Object} where - The record's natural key
+ * @returns {boolean} True if the same key was already planned earlier in the run
+ */
+function alreadyPlanned(modelName, where) {
+  if (!plannedKeys.has(modelName)) plannedKeys.set(modelName, new Set())
+  const keys = plannedKeys.get(modelName)
+  const key = JSON.stringify(where)
+  if (keys.has(key)) return true
+  keys.add(key)
+  return false
+}
+
+/**
+ * Dry-Run Report Printer
+ * ======================
+ * Prints the counts for every model, followed by the sample records.
+ */
+function printPlan() {
+  console.log('\n\nDry run - nothing was written. Planned changes:')
+
+  const models = Object.keys(plan)
+  if (models.length === 0) {
+    console.log('  (none)')
+    return
+  }
+
+  console.log(
+    `  ${'model'.padEnd(18)}${ACTIONS.map((name) => name.padStart(10)).join('')}`
+  )
+  for (const modelName of models) {
+    const { counts } = plan[modelName]
+    console.log(
+      `  ${modelName.padEnd(18)}${ACTIONS.map((name) => String(counts[name]).padStart(10)).join('')}`
+    )
+  }
+
+  for (const modelName of models) {
+    for (const [action, samples] of Object.entries(plan[modelName].samples)) {
+      if (samples.length === 0) continue
+      const more = plan[modelName].counts[action] - samples.length
+      console.log(`\n  ${modelName} - ${action}:`)
+      for (const sample of samples) console.log(`    ${sample}`)
+      if (more > 0) console.log(`    ... and ${more} more`)
+    }
+  }
+}
+
+module.exports = {
+  plan,
+  recordPlanned,
+  alreadyPlanned,
+  printPlan,
+}
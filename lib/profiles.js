@@ -0,0 +1,213 @@
+/*
+ * Occupation Profiles
+ * ===================
+ *
+ * Everything known about one occupation in a single document, for building
+ * an occupation page without stitching the unit group, its sections, the
+ * outlooks of every region and release and the programs together by hand:
+ *
+ * - the unit group's title, TEER and broad category, and its parsed
+ *   employment requirements (lib/requirements.js)
+ * - its sections keyed by type (see SECTION_TITLES in lib/sections.js)
+ * - the latest outlook of each economic region, and how each region's
+ *   rating changed from release to release (lib/releases.js)
+ * - the programs leading to it, matched or known (see listProgramPathways()
+ *   in lib/queries.js)
+ *
+ * Profiles are cached in memory for settings.profiles.cacheTtl seconds, so
+ * a popular occupation page is built once rather than on every request. The
+ * seeded data only changes when `seed` runs, which is a separate process
+ * from `serve`: a profile is at most one TTL out of date.
+ */
+
+const { settings } = require('./config')
+const { prisma } = require('./db')
+const { SECTION_TITLES, sectionKey } = require('./sections')
+const { buildOutlookHistory } = require('./releases')
+const { teerTitle } = require('./hierarchy')
+const {
+  ALL_PROVINCES,
+  provinceCode,
+  provinceWhere,
+  resolveLang,
+  getUnitGroup,
+  listProgramPathways,
+} = require('./queries')
+
+// "noc|lang|province" → { expiresAt, profile } where profile is the promise
+// of the built document, so concurrent requests for it share one build.
+// Kept in insertion order, which is also least recently used first.
+const profileCache = new Map()
+
+/**
+ * Sections By Type
+ * ================
+ * @param {Object[]} sections - A unit group's localized sections
+ * @returns {Object} SECTION_TITLES key → `{ title, lang, items }`, or null
+ *   for a section the unit group doesn't have
+ *
+ * - Sections with a title that isn't one of SECTION_TITLES are left out
+ */
+function sectionsByType(sections) {
+  const byType = Object.fromEntries(
+    Object.keys(SECTION_TITLES).map((key) => [key, null])
+  )
+  for (const section of sections) {
+    const key = sectionKey(section.title, section.lang)
+    if (!key) continue
+    const { title, lang, items } = section
+    byType[key] = { title, lang, items }
+  }
+  return byType
+}
+
+/**
+ * Latest Outlook Per Region
+ * =========================
+ * @param {Object[]} outlooks - Outlook rows including `release` and
+ *   `economicRegion`, ordered by region then release date
+ * @returns {Object[]} The newest row of each region, in region order
+ */
+function latestOutlooks(outlooks) {
+  const latest = new Map()
+  for (const row of outlooks) latest.set(row.economicRegionCode, row)
+  return [...latest.values()].map((row) => ({
+    economicRegionCode: row.economicRegionCode,
+    economicRegionName: row.economicRegion
+      ? row.economicRegion.economicRegionName
+      : null,
+    province: row.province,
+    release: row.release
+      ? row.release.label
+      : row.releaseDate.toISOString().slice(0, 10),
+    releaseDate: row.releaseDate,
+    outlook: row.outlook,
+    rating: row.rating,
+    ratingScore: row.ratingScore,
+    trends: row.trends,
+  }))
+}
+
+/**
+ * Occupation Profile Builder
+ * ==========================
+ * Builds the profile document of one unit group, uncached.
+ *
+ * @param {string} noc - 5-digit NOC code
+ * @param {Object} [options]
+ * @param {string} [options.province] - Only outlooks for this province (code
+ *   or name); every province when omitted or 'all'. The profile's
+ *   `province` is its code, or null for every province
+ * @param {string} [options.lang='EN'] - Language of the title, sections and
+ *   outlook ratings
+ * @returns {Promise<Object|null>} The profile, or null if the unit group
+ *   doesn't exist (or is retired)
+ *
+ * - Sections fall back to English where no translation was seeded; outlooks
+ *   are only those published in `lang`, like getOutlookHistory()
+ */
+async function buildOccupationProfile(noc, { province, lang } = {}) {
+  lang = resolveLang(lang)
+  const [unitGroup, outlooks, programs] = await Promise.all([
+    getUnitGroup(noc, { lang }),
+    prisma.outlook.findMany({
+      where: { noc, lang, ...provinceWhere(province) },
+      include: { economicRegion: true, release: true },
+      orderBy: [{ economicRegionCode: 'asc' }, { releaseDate: 'asc' }],
+    }),
+    listProgramPathways(noc),
+  ])
+  if (!unitGroup) return null
+
+  const history = buildOutlookHistory(outlooks)
+  return {
+    noc,
+    occupation: unitGroup.occupation,
+    lang: unitGroup.lang,
+    broadCategory: unitGroup.broadCategory,
+    teer: unitGroup.teer,
+    teerTitle: unitGroup.teer === null ? null : teerTitle(unitGroup.teer),
+    sections: sectionsByType(unitGroup.sections),
+    requirement: unitGroup.requirement,
+    province: provinceCode(province),
+    outlooks: latestOutlooks(outlooks),
+    outlookHistory: {
+      // Every release the NOC appears in, oldest first
+      releases: [
+        ...new Set(
+          history.flatMap((entry) => entry.history.map((item) => item.release))
+        ),
+      ].sort(),
+      regions: history,
+    },
+    programs,
+    generatedAt: new Date().toISOString(),
+  }
+}
+
+/**
+ * Cached Occupation Profile Lookup
+ * ================================
+ * Returns the profile of one unit group (see buildOccupationProfile()),
+ * from the cache when it was built less than settings.profiles.cacheTtl
+ * seconds ago.
+ *
+ * @param {string} noc - 5-digit NOC code
+ * @param {Object} [options]
+ * @param {string} [options.province] - Only outlooks for this province
+ * @param {string} [options.lang='EN'] - Language of the profile
+ * @returns {Promise<Object|null>} The profile, or null if the unit group
+ *   doesn't exist (or is retired)
+ *
+ * - A cacheTtl of 0 turns the cache off
+ * - Unknown NOC codes and failed builds are not cached
+ * - Past settings.profiles.cacheSize entries, the least recently used
+ *   profile is dropped
+ */
+async function getOccupationProfile(noc, { province, lang } = {}) {
+  const { cacheTtl, cacheSize } = settings.profiles
+  if (!cacheTtl) return buildOccupationProfile(noc, { province, lang })
+
+  // "bc" and "British Columbia" share the entry of "BC"
+  const area = provinceCode(province) || ALL_PROVINCES
+  const key = [noc, resolveLang(lang), area].join('|')
+  const cached = profileCache.get(key)
+  profileCache.delete(key)
+  if (cached && cached.expiresAt > Date.now()) {
+    profileCache.set(key, cached) // Now the most recently used
+    return cached.profile
+  }
+
+  const entry = {
+    expiresAt: Date.now() + cacheTtl * 1000,
+    profile: buildOccupationProfile(noc, { province, lang }),
+  }
+  profileCache.set(key, entry)
+  while (profileCache.size > cacheSize) {
+    profileCache.delete(profileCache.keys().next().value)
+  }
+
+  try {
+    const profile = await entry.profile
+    if (!profile && profileCache.get(key) === entry) profileCache.delete(key)
+    return profile
+  } catch (error) {
+    if (profileCache.get(key) === entry) profileCache.delete(key)
+    throw error
+  }
+}
+
+/**
+ * Profile Cache Reset
+ * ===================
+ * Drops every cached profile, e.g. after seeding in the same process.
+ */
+function clearProfileCache() {
+  profileCache.clear()
+}
+
+module.exports = {
+  buildOccupationProfile,
+  getOccupationProfile,
+  clearProfileCache,
+}
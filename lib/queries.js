@@ -0,0 +1,879 @@
+/*
+ * Read-Only Queries
+ * =================
+ *
+ * Reusable query functions over the seeded NOC data. The HTTP API
+ * (lib/api.js) is a thin layer on top of these, and they can be called
+ * directly from scripts as well.
+ *
+ * List functions return `{ data, total }` so callers can build pagination;
+ * single-record lookups return the record or null when it doesn't exist.
+ *
+ * Functions returning unit groups take a `lang` option (EN or FR). Occupation
+ * titles and sections are returned in that language, falling back to English
+ * wherever no translation was seeded; `lang` on each unit group and section
+ * says which language was actually used.
+ *
+ * Unit groups and programs retired by `seed --sync --retire` (lib/retire.js)
+ * are left out: lists and counts skip them, and looking one up returns null,
+ * unless the query is given `includeRetired: true`.
+ */
+
+const { prisma } = require('./db')
+const { buildOutlookHistory } = require('./releases')
+const { sectionKey } = require('./sections')
+const { educationLevelsUpTo, checkCredential } = require('./requirements')
+const { teerTitle, groupPath } = require('./hierarchy')
+const { DEFAULT_INSTITUTION } = require('./institutions')
+const { PROVINCES } = require('./validation')
+
+// Page size used when the caller doesn't ask for one, and the hard upper limit
+const DEFAULT_PAGE_SIZE = 50
+const MAX_PAGE_SIZE = 200
+
+// Relation count that leaves retired programs out (see lib/retire.js)
+const CURRENT_PROGRAMS = { where: { retiredAt: null } }
+
+// Pass as the province to look at every province
+const ALL_PROVINCES = 'all'
+
+// Relation filter that leaves rows of retired unit groups out
+const CURRENT_UNIT_GROUP = { unitGroup: { retiredAt: null } }
+
+/**
+ * Pagination Arguments Builder
+ * ============================
+ * Converts a 1-based page number and page size into Prisma's skip/take.
+ *
+ * @param {number} [page=1] - 1-based page number
+ * @param {number} [pageSize=DEFAULT_PAGE_SIZE] - Records per page (capped at MAX_PAGE_SIZE)
+ * @returns {{ skip: number, take: number }}
+ */
+function paginate(page = 1, pageSize = DEFAULT_PAGE_SIZE) {
+  const take = Math.min(pageSize, MAX_PAGE_SIZE)
+  return { skip: (page - 1) * take, take }
+}
+
+/**
+ * Language Code Normalizer
+ * ========================
+ * @param {string} [lang] - Requested language, any case
+ * @returns {string} Upper-case language code, EN when none was requested
+ */
+function resolveLang(lang) {
+  return lang ? lang.toUpperCase() : 'EN'
+}
+
+/**
+ * Section Localizer
+ * =================
+ * @param {Object[]} sections - A unit group's sections in every language
+ * @param {string} lang - Requested language
+ * @returns {Object[]} One section per title in the requested language,
+ *   using the English section wherever the translation is missing
+ */
+function localizeSections(sections, lang) {
+  const english = sections.filter((section) => section.lang === 'EN')
+  if (lang === 'EN') return english
+
+  const translated = sections.filter((section) => section.lang === lang)
+  const byKey = new Map(
+    translated.map((section) => [sectionKey(section.title, lang), section])
+  )
+  const localized = english.map(
+    (section) => byKey.get(sectionKey(section.title)) || section
+  )
+  // Translated sections with no English counterpart are kept too
+  return [
+    ...localized,
+    ...translated.filter((section) => !localized.includes(section)),
+  ]
+}
+
+/**
+ * Unit Group Localizer
+ * ====================
+ * @param {Object} unitGroup - Unit group with `translations` (and optionally
+ *   `sections`) loaded
+ * @param {string} lang - Requested language
+ * @returns {Object} The unit group with `occupation` (and `sections`) in the
+ *   requested language where available, and `lang` set to the title's language
+ */
+function localizeUnitGroup(unitGroup, lang) {
+  const { translations = [], ...rest } = unitGroup
+  const translation = translations.find((t) => t.lang === lang)
+  const localized = {
+    ...rest,
+    occupation: translation ? translation.occupation : rest.occupation,
+    lang: translation ? lang : 'EN',
+  }
+  if (rest.sections) localized.sections = localizeSections(rest.sections, lang)
+  return localized
+}
+
+/**
+ * Unit Group List Query
+ * =====================
+ * Lists unit groups ordered by NOC code, optionally filtered.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.search] - Case-insensitive match on the occupation
+ *   title (English, or the translated title in `lang`)
+ * @param {string} [options.nocPrefix] - Only NOC codes starting with this (e.g. "2" or "213")
+ * @param {number} [options.teer] - Only this TEER category (0-5)
+ * @param {number} [options.broadCategory] - Only this broad occupational
+ *   category (0-9)
+ * @param {string} [options.education] - Only occupations whose parsed minimum
+ *   education is this level (see EDUCATION_LEVELS) or lower
+ * @param {boolean} [options.regulated] - Only (or, if false, no) occupations
+ *   that need a licence or registration
+ * @param {boolean} [options.redSeal] - Only (or, if false, no) Red Seal trades
+ * @param {string} [options.lang='EN'] - Language of the occupation titles
+ * @param {boolean} [options.includeRetired=false] - Also list retired unit groups
+ * @param {number} [options.page] - 1-based page number
+ * @param {number} [options.pageSize] - Records per page
+ * @returns {Promise<{ data: Object[], total: number }>}
+ */
+async function listUnitGroups({
+  search,
+  nocPrefix,
+  teer,
+  broadCategory,
+  education,
+  regulated,
+  redSeal,
+  lang,
+  includeRetired = false,
+  page,
+  pageSize,
+} = {}) {
+  lang = resolveLang(lang)
+  const where = {}
+  if (!includeRetired) where.retiredAt = null
+  if (search) {
+    const contains = { contains: search, mode: 'insensitive' }
+    where.OR = [
+      { occupation: contains },
+      { translations: { some: { lang, occupation: contains } } },
+    ]
+  }
+  if (nocPrefix) where.noc = { startsWith: nocPrefix }
+  if (teer !== undefined) where.teer = teer
+  if (broadCategory !== undefined) where.broadCategory = broadCategory
+
+  // Filters on the parsed employment requirements (lib/requirements.js)
+  const requirement = {}
+  if (education) {
+    requirement.educationLevel = { in: educationLevelsUpTo(education) }
+  }
+  if (regulated !== undefined) requirement.regulated = regulated
+  if (redSeal !== undefined) requirement.redSeal = redSeal
+  if (Object.keys(requirement).length > 0)
+    where.requirement = { is: requirement }
+
+  // Run the page query and the total count in a single round trip
+  const [data, total] = await prisma.$transaction([
+    prisma.unitGroup.findMany({
+      where,
+      include: { translations: { where: { lang } } },
+      orderBy: { noc: 'asc' },
+      ...paginate(page, pageSize),
+    }),
+    prisma.unitGroup.count({ where }),
+  ])
+  return {
+    data: data.map((unitGroup) => localizeUnitGroup(unitGroup, lang)),
+    total,
+  }
+}
+
+/**
+ * Unit Group Detail Query
+ * =======================
+ * Fetches one unit group together with all of its SectionsEntity rows and
+ * its parsed employment requirements.
+ *
+ * @param {string} noc - 5-digit NOC code
+ * @param {Object} [options]
+ * @param {string} [options.lang='EN'] - Language of the title and sections
+ * @param {boolean} [options.includeRetired=false] - Also return a retired unit group
+ * @returns {Promise<Object|null>} The unit group, or null if not found (or retired)
+ */
+async function getUnitGroup(noc, { lang, includeRetired = false } = {}) {
+  lang = resolveLang(lang)
+  const unitGroup = await prisma.unitGroup.findUnique({
+    where: { noc },
+    include: {
+      translations: { where: { lang } },
+      sections: {
+        where: { lang: { in: ['EN', lang] } },
+        orderBy: { id: 'asc' },
+      },
+      requirement: true,
+    },
+  })
+  if (!unitGroup || (unitGroup.retiredAt && !includeRetired)) return null
+  return localizeUnitGroup(unitGroup, lang)
+}
+
+/**
+ * Related Occupations Query
+ * =========================
+ * Lists the unit groups linked to one unit group by the "(See ...)"
+ * references in Exclusion(s) and Inclusion(s) sections (see lib/relations.js).
+ *
+ * @param {string} noc - 5-digit NOC code
+ * @param {Object} [options]
+ * @param {string} [options.lang='EN'] - Language of the occupation titles
+ * @returns {Promise<Object|null>} `{ noc, occupation, lang, related,
+ *   referencedBy }`, or null if the unit group doesn't exist (or is retired)
+ *
+ * - `related`: the unit groups this one's sections point to, e.g. where its
+ *   excluded jobs belong. Each has `noc`, `occupation`, `type` (exclusion or
+ *   inclusion), the job `title` from the item and `resolved`; an unresolved
+ *   reference shows the NOC code and title as written
+ * - `referencedBy`: the unit groups whose sections point to this one
+ * - Retired unit groups are left out of both
+ */
+async function listRelatedOccupations(noc, { lang } = {}) {
+  lang = resolveLang(lang)
+  const withTitle = { include: { translations: { where: { lang } } } }
+  const unitGroup = await prisma.unitGroup.findUnique({
+    where: { noc },
+    include: {
+      translations: { where: { lang } },
+      relations: {
+        // An unresolved reference has no unit group to be retired
+        where: { OR: [{ relatedNoc: null }, { related: { retiredAt: null } }] },
+        include: { related: withTitle },
+        orderBy: [{ type: 'asc' }, { referencedNoc: 'asc' }, { id: 'asc' }],
+      },
+      referencedBy: {
+        where: CURRENT_UNIT_GROUP,
+        include: { unitGroup: withTitle },
+        orderBy: [{ noc: 'asc' }, { id: 'asc' }],
+      },
+    },
+  })
+  if (!unitGroup || unitGroup.retiredAt) return null
+
+  return {
+    noc,
+    occupation: localizeUnitGroup(unitGroup, lang).occupation,
+    lang,
+    related: unitGroup.relations.map((relation) => ({
+      noc: relation.referencedNoc,
+      occupation: relation.related
+        ? localizeUnitGroup(relation.related, lang).occupation
+        : relation.referencedTitle,
+      type: relation.type,
+      title: relation.title,
+      resolved: relation.relatedNoc !== null,
+    })),
+    referencedBy: unitGroup.referencedBy.map((relation) => ({
+      noc: relation.noc,
+      occupation: localizeUnitGroup(relation.unitGroup, lang).occupation,
+      type: relation.type,
+      title: relation.title,
+    })),
+  }
+}
+
+/**
+ * NOC Group List Query
+ * ====================
+ * Lists the top of the NOC hierarchy (see lib/hierarchy.js): the broad
+ * occupational categories, each with its number of major groups.
+ *
+ * @returns {Promise<Object[]>} `{ code, level, title, children }` per broad
+ *   category, ordered by code
+ */
+async function listNocGroups() {
+  const groups = await prisma.nocGroup.findMany({
+    where: { parentCode: null },
+    include: { _count: { select: { children: true } } },
+    orderBy: { code: 'asc' },
+  })
+  return groups.map(({ _count, parentCode, teer, ...group }) => ({
+    ...group,
+    children: _count.children,
+  }))
+}
+
+/**
+ * NOC Group Detail Query
+ * ======================
+ * Fetches one group of the NOC hierarchy with the groups above it and the
+ * ones directly below it, for drill-down navigation.
+ *
+ * @param {string} code - Group code, 1 to 4 digits (e.g. "2", "21", "2123")
+ * @param {Object} [options]
+ * @param {string} [options.lang='EN'] - Language of the unit group titles
+ * @returns {Promise<Object|null>} `{ code, level, title, teer, teerTitle,
+ *   path, children }`, or null if the group doesn't exist
+ *
+ * - `path` lists the groups above this one, broad category first
+ * - `children` are the next level's groups, or the unit groups (`noc`,
+ *   `occupation`, `lang`) for a minor group
+ */
+async function getNocGroup(code, { lang } = {}) {
+  lang = resolveLang(lang)
+  const group = await prisma.nocGroup.findUnique({
+    where: { code },
+    include: { children: { orderBy: { code: 'asc' } } },
+  })
+  if (!group) return null
+
+  const { parentCode, children, ...rest } = group
+  let childRows = children.map((child) => ({
+    code: child.code,
+    level: child.level,
+    title: child.title,
+  }))
+  if (group.level === 'minor') {
+    const unitGroups = await prisma.unitGroup.findMany({
+      where: { noc: { startsWith: code }, retiredAt: null },
+      include: { translations: { where: { lang } } },
+      orderBy: { noc: 'asc' },
+    })
+    childRows = unitGroups.map((unitGroup) => {
+      const localized = localizeUnitGroup(unitGroup, lang)
+      return {
+        noc: localized.noc,
+        occupation: localized.occupation,
+        lang: localized.lang,
+      }
+    })
+  }
+
+  return {
+    ...rest,
+    teerTitle: group.teer === null ? null : teerTitle(group.teer),
+    path: await groupPath(code),
+    children: childRows,
+  }
+}
+
+/**
+ * Province Code Resolver
+ * ======================
+ * @param {string} [province] - Province code or name, in any case, or 'all'
+ * @returns {string|null} Its code (e.g. "BC"), the value as given if it
+ *   isn't a known province, or null for none or 'all'
+ */
+function provinceCode(province) {
+  if (!province || province.toLowerCase() === ALL_PROVINCES) return null
+  const code = Object.keys(PROVINCES).find(
+    (key) =>
+      key === province.toUpperCase() ||
+      PROVINCES[key].toLowerCase() === province.toLowerCase()
+  )
+  return code || province
+}
+
+/**
+ * Province Filter Builder
+ * =======================
+ * The outlook workbook names provinces in full ("British Columbia") while the
+ * region reference data uses codes ("BC"), so both are matched.
+ *
+ * @param {string} [province] - Province code or name (any case), or 'all'
+ * @returns {Object} Prisma where clause for Outlook (empty for 'all' or none)
+ */
+function provinceWhere(province) {
+  const code = provinceCode(province)
+  if (!code) return {}
+  if (!PROVINCES[code]) return { province: code }
+  return {
+    OR: [
+      { province: { in: [code, PROVINCES[code]] } },
+      { economicRegion: { province: code } },
+    ],
+  }
+}
+
+/**
+ * Outlook Filter Builder
+ * ======================
+ * @param {Object} [filters]
+ * @param {string} [filters.noc] - Only this NOC code
+ * @param {string} [filters.region] - Only this economic region code
+ * @param {string} [filters.lang] - Only this language (EN/FR)
+ * @param {string} [filters.province] - Only this province (code or name, see
+ *   provinceWhere())
+ * @param {string} [filters.release] - Only this release label (e.g. "2024-2026")
+ * @returns {Object} Prisma where clause for Outlook (no filters = every
+ *   outlook of a current unit group)
+ */
+function outlookWhere({ noc, region, lang, province, release } = {}) {
+  const where = { ...CURRENT_UNIT_GROUP, ...provinceWhere(province) }
+  if (noc) where.noc = noc
+  if (region) where.economicRegionCode = region
+  if (lang) where.lang = lang.toUpperCase()
+  if (release) where.release = { label: release }
+  return where
+}
+
+/**
+ * Outlook List Query
+ * ==================
+ * Lists employment outlooks, newest release first, optionally filtered.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.noc] - Only this NOC code
+ * @param {string} [options.region] - Only this economic region code
+ * @param {string} [options.lang] - Only this language (EN/FR)
+ * @param {string} [options.province] - Only this province
+ * @param {string} [options.release] - Only this release label (e.g. "2024-2026")
+ * @param {number} [options.page] - 1-based page number
+ * @param {number} [options.pageSize] - Records per page
+ * @returns {Promise<{ data: Object[], total: number }>}
+ */
+async function listOutlooks({
+  noc,
+  region,
+  lang,
+  province,
+  release,
+  page,
+  pageSize,
+} = {}) {
+  const where = outlookWhere({ noc, region, lang, province, release })
+
+  const [data, total] = await prisma.$transaction([
+    prisma.outlook.findMany({
+      where,
+      include: { economicRegion: true, release: true },
+      orderBy: [{ releaseDate: 'desc' }, { noc: 'asc' }, { id: 'asc' }],
+      ...paginate(page, pageSize),
+    }),
+    prisma.outlook.count({ where }),
+  ])
+  return { data, total }
+}
+
+/**
+ * Outlook History Query
+ * =====================
+ * Shows how a unit group's outlook rating changed from one release to the
+ * next, per economic region (see lib/releases.js).
+ *
+ * @param {string} noc - 5-digit NOC code
+ * @param {Object} [options]
+ * @param {string} [options.region] - Only this economic region code
+ * @param {string} [options.lang='EN'] - Language of the ratings (EN/FR)
+ * @returns {Promise<Object|null>} `{ noc, occupation, lang, releases, regions }`
+ *   where each region lists its ratings oldest release first and the change
+ *   between its two latest releases, or null if the unit group doesn't exist
+ *   (or is retired)
+ */
+async function getOutlookHistory(noc, { region, lang } = {}) {
+  lang = resolveLang(lang)
+  const unitGroup = await prisma.unitGroup.findUnique({
+    where: { noc },
+    include: { translations: { where: { lang } } },
+  })
+  if (!unitGroup || unitGroup.retiredAt) return null
+
+  const where = { noc, lang }
+  if (region) where.economicRegionCode = region
+
+  const outlooks = await prisma.outlook.findMany({
+    where,
+    include: { economicRegion: true, release: true },
+    orderBy: [{ economicRegionCode: 'asc' }, { releaseDate: 'asc' }],
+  })
+  const regions = buildOutlookHistory(outlooks)
+
+  return {
+    noc,
+    occupation: localizeUnitGroup(unitGroup, lang).occupation,
+    lang,
+    // Every release the NOC appears in, oldest first
+    releases: [
+      ...new Set(
+        regions.flatMap((entry) => entry.history.map((item) => item.release))
+      ),
+    ].sort(),
+    regions,
+  }
+}
+
+/**
+ * Outlook Release List Query
+ * ==========================
+ * Lists every loaded outlook release, oldest first, with its outlook count.
+ *
+ * @returns {Promise<Object[]>}
+ */
+async function listOutlookReleases() {
+  return prisma.outlookRelease.findMany({
+    orderBy: [{ startYear: 'asc' }, { label: 'asc' }],
+    include: { _count: { select: { outlooks: true } } },
+  })
+}
+
+/**
+ * Economic Region List Query
+ * ==========================
+ * Lists economic regions ordered by code, optionally filtered.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.search] - Case-insensitive match on the region
+ *   name or any alias, e.g. "Nanaimo" finds Vancouver Island and Coast
+ * @param {string} [options.province] - Only this province code (e.g. "BC")
+ * @returns {Promise<Object[]>} Regions without their boundary (see getRegion())
+ *
+ * - There are fewer than 100 regions, so aliases are searched in memory
+ */
+async function listRegions({ search, province } = {}) {
+  const where = {}
+  if (province) where.province = province.toUpperCase()
+
+  const regions = await prisma.economicRegion.findMany({
+    where,
+    omit: { boundary: true }, // GeoJSON can be large; fetch it per region
+    orderBy: { economicRegionCode: 'asc' },
+  })
+  if (!search) return regions
+
+  const term = search.toLowerCase()
+  return regions.filter((region) =>
+    [region.economicRegionName, ...region.aliases].some((name) =>
+      name.toLowerCase().includes(term)
+    )
+  )
+}
+
+/**
+ * Economic Region Detail Query
+ * ============================
+ * @param {string} code - 4-digit economic region code
+ * @returns {Promise<Object|null>} The region with its boundary and outlook
+ *   count, or null if not found
+ */
+async function getRegion(code) {
+  return prisma.economicRegion.findUnique({
+    where: { economicRegionCode: code },
+    include: { _count: { select: { outlooks: true } } },
+  })
+}
+
+/**
+ * Institution List Query
+ * ======================
+ * Lists every institution whose catalogue has been loaded, with the number
+ * of program areas and programs it has.
+ *
+ * @returns {Promise<Object[]>}
+ */
+async function listInstitutions() {
+  return prisma.institution.findMany({
+    orderBy: { name: 'asc' },
+    include: {
+      _count: { select: { programAreas: true, programs: CURRENT_PROGRAMS } },
+    },
+  })
+}
+
+/**
+ * Institution Detail Query
+ * ========================
+ * @param {string} code - Institution code, e.g. "VIU" (any case)
+ * @returns {Promise<Object|null>} The institution with its program areas
+ *   (and their program counts), or null if not found
+ */
+async function getInstitution(code) {
+  return prisma.institution.findUnique({
+    where: { code: code.toUpperCase() },
+    include: {
+      programAreas: {
+        orderBy: { title: 'asc' },
+        include: { _count: { select: { programs: CURRENT_PROGRAMS } } },
+      },
+      _count: { select: { programs: CURRENT_PROGRAMS } },
+    },
+  })
+}
+
+/**
+ * Program Area List Query
+ * =======================
+ * Lists every program area with the number of programs it contains.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.institution] - Only this institution's areas
+ * @returns {Promise<Object[]>}
+ */
+async function listProgramAreas({ institution } = {}) {
+  return prisma.programArea.findMany({
+    where: institution ? { institutionCode: institution.toUpperCase() } : {},
+    orderBy: [{ title: 'asc' }, { institutionCode: 'asc' }],
+    include: { _count: { select: { programs: CURRENT_PROGRAMS } } },
+  })
+}
+
+/**
+ * Program Detail Query
+ * ====================
+ * Fetches one program together with its program area, its ranked
+ * occupation matches (see lib/matching.js) and any unresolved NOC 2016 →
+ * 2021 translation reviews (see lib/concordance.js).
+ *
+ * @param {number} nid - The program's id in its institution's catalogue
+ * @param {Object} [options]
+ * @param {string} [options.institution='VIU'] - Institution the program belongs to
+ * @param {string} [options.lang='EN'] - Language of the matched occupation titles
+ * @param {boolean} [options.includeRetired=false] - Also return a retired program
+ * @returns {Promise<Object|null>} The program, or null if not found (or retired)
+ *
+ * - Programs themselves are only published in English
+ * - Matches to retired unit groups are left out unless includeRetired
+ * - Each match has `entryCheck`: whether the program's credential meets the
+ *   occupation's minimum education (see checkCredential() in lib/requirements.js)
+ */
+async function getProgram(
+  nid,
+  { institution = DEFAULT_INSTITUTION, lang, includeRetired = false } = {}
+) {
+  lang = resolveLang(lang)
+  const program = await prisma.program.findUnique({
+    where: {
+      institutionCode_nid: { institutionCode: institution.toUpperCase(), nid },
+    },
+    include: {
+      institution: true,
+      programArea: true,
+      nocMatches: {
+        where: includeRetired ? {} : CURRENT_UNIT_GROUP,
+        orderBy: { rank: 'asc' },
+        include: {
+          unitGroup: {
+            include: { translations: { where: { lang } }, requirement: true },
+          },
+        },
+      },
+      nocReviews: { where: { resolved: false } },
+    },
+  })
+  if (!program || (program.retiredAt && !includeRetired)) return null
+
+  return {
+    ...program,
+    nocMatches: program.nocMatches.map((match) => ({
+      ...match,
+      unitGroup: localizeUnitGroup(match.unitGroup, lang),
+      entryCheck: checkCredential(
+        program.credential,
+        match.unitGroup.requirement
+      ),
+    })),
+  }
+}
+
+/**
+ * Programs for an Occupation Query
+ * ================================
+ * Lists the programs matched to one unit group, best match first.
+ *
+ * @param {string} noc - 5-digit NOC code
+ * @param {Object} [options]
+ * @param {string} [options.institution] - Only this institution's programs
+ * @param {boolean} [options.includeRetired=false] - Also list retired
+ *   programs, and the matches of a retired unit group
+ * @returns {Promise<Object[]>} ProgramNocMatch rows with their program
+ *   (and its institution and area) included, and `entryCheck` (see getProgram())
+ *
+ * - Sorted by score rather than rank: rank is relative to the program,
+ *   score is comparable across programs
+ */
+async function listProgramsForUnitGroup(
+  noc,
+  { institution, includeRetired = false } = {}
+) {
+  const program = {}
+  if (institution) program.institutionCode = institution.toUpperCase()
+  if (!includeRetired) program.retiredAt = null
+  const [matches, requirement] = await Promise.all([
+    prisma.programNocMatch.findMany({
+      where: { noc, program, ...(includeRetired ? {} : CURRENT_UNIT_GROUP) },
+      orderBy: [{ score: 'desc' }, { programId: 'asc' }],
+      include: {
+        program: { include: { institution: true, programArea: true } },
+      },
+    }),
+    prisma.unitGroupRequirement.findUnique({ where: { noc } }),
+  ])
+  return matches.map((match) => ({
+    ...match,
+    entryCheck: checkCredential(match.program.credential, requirement),
+  }))
+}
+
+/**
+ * Program Pathways Query
+ * ======================
+ * Lists the programs that lead to one occupation: matched to the unit group
+ * (see lib/matching.js), or listing it among its catalogue's known NOC groups.
+ *
+ * @param {string} noc - 5-digit NOC code
+ * @returns {Promise<Object[]>} One entry per program, best score first (then
+ *   by title), each with `id`, `nid`, `title`, `credential`, `duration`,
+ *   `programArea`, its `institution` (`code`, `name`, `province`, `website`),
+ *   `score` (null for a known link that hasn't been matched yet), `knownGroup`
+ *   and `entryCheck` (see getProgram())
+ *
+ * - Retired programs are left out
+ */
+async function listProgramPathways(noc) {
+  const programInclude = { institution: true, programArea: true }
+  const [matches, knownPrograms, requirement] = await Promise.all([
+    prisma.programNocMatch.findMany({
+      where: { noc, program: { retiredAt: null } },
+      include: { program: { include: programInclude } },
+    }),
+    prisma.program.findMany({
+      where: { knownNocGroups: { has: noc }, retiredAt: null },
+      include: programInclude,
+    }),
+    prisma.unitGroupRequirement.findUnique({ where: { noc } }),
+  ])
+
+  // Program id → pathway; a known link that was also matched keeps its score
+  const pathways = new Map()
+  for (const program of knownPrograms) {
+    pathways.set(program.id, { program, score: null, knownGroup: true })
+  }
+  for (const match of matches) {
+    pathways.set(match.programId, {
+      program: match.program,
+      score: match.score,
+      knownGroup: match.knownGroup || pathways.has(match.programId),
+    })
+  }
+
+  return [...pathways.values()]
+    .map(({ program, score, knownGroup }) => {
+      const { code, name, province, website } = program.institution
+      return {
+        id: program.id,
+        nid: program.nid,
+        title: program.title,
+        credential: program.credential,
+        duration: program.duration,
+        programArea: program.programArea.title,
+        institution: { code, name, province, website },
+        score,
+        knownGroup,
+        entryCheck: checkCredential(program.credential, requirement),
+      }
+    })
+    .sort((a, b) => byScore(a.score, b.score) || a.title.localeCompare(b.title))
+}
+
+// Sorts scores highest first, with null (not matched) last
+function byScore(a, b) {
+  return (b ?? -1) - (a ?? -1)
+}
+
+/**
+ * Institution Pathways Query
+ * ==========================
+ * Compares the institutions that offer a pathway into one occupation (see
+ * listProgramPathways()).
+ *
+ * @param {string} noc - 5-digit NOC code
+ * @param {Object} [options]
+ * @param {string} [options.lang='EN'] - Language of the occupation title
+ * @returns {Promise<Object|null>} `{ noc, occupation, lang, institutions }`,
+ *   or null if the unit group doesn't exist (or is retired)
+ *
+ * - Each institution has `code`, `name`, `province`, `website`,
+ *   `programCount`, `bestScore` (null if its programs are only known
+ *   links that haven't been matched yet), the distinct `credentials` of its
+ *   programs, how many meet the occupation's minimum education
+ *   (`meetsEducation`), and the `programs`, best first, each with `score`,
+ *   `knownGroup` and `entryCheck`
+ * - Institutions are ordered by best score, then by number of programs
+ * - Retired programs are left out
+ */
+async function listInstitutionsForUnitGroup(noc, { lang } = {}) {
+  lang = resolveLang(lang)
+  const [unitGroup, pathways] = await Promise.all([
+    prisma.unitGroup.findUnique({
+      where: { noc },
+      include: { translations: { where: { lang } } },
+    }),
+    listProgramPathways(noc),
+  ])
+  if (!unitGroup || unitGroup.retiredAt) return null
+
+  // Pathways are already sorted, so each institution's programs are too
+  const institutions = new Map()
+  for (const { institution, ...program } of pathways) {
+    if (!institutions.has(institution.code)) {
+      institutions.set(institution.code, { ...institution, programs: [] })
+    }
+    institutions.get(institution.code).programs.push(program)
+  }
+
+  const compared = [...institutions.values()].map(
+    ({ programs, ...institution }) => {
+      const scores = programs.map((program) => program.score)
+      return {
+        ...institution,
+        programCount: programs.length,
+        bestScore: scores.some((score) => score !== null)
+          ? Math.max(...scores.filter((score) => score !== null))
+          : null,
+        credentials: [
+          ...new Set(programs.map((program) => program.credential)),
+        ],
+        meetsEducation: programs.filter(
+          (program) => program.entryCheck.meets === true
+        ).length,
+        programs,
+      }
+    }
+  )
+
+  return {
+    noc,
+    occupation: localizeUnitGroup(unitGroup, lang).occupation,
+    lang,
+    institutions: compared.sort(
+      (a, b) =>
+        byScore(a.bestScore, b.bestScore) ||
+        b.programCount - a.programCount ||
+        a.code.localeCompare(b.code)
+    ),
+  }
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  resolveLang,
+  localizeUnitGroup,
+  ALL_PROVINCES,
+  provinceCode,
+  provinceWhere,
+  outlookWhere,
+  listUnitGroups,
+  getUnitGroup,
+  listRelatedOccupations,
+  listNocGroups,
+  getNocGroup,
+  listOutlooks,
+  getOutlookHistory,
+  listOutlookReleases,
+  listRegions,
+  getRegion,
+  listInstitutions,
+  getInstitution,
+  listProgramAreas,
+  getProgram,
+  listProgramsForUnitGroup,
+  listProgramPathways,
+  listInstitutionsForUnitGroup,
+}
@@ -0,0 +1,108 @@
+/*
+ * Outlook Ratings
+ * ===============
+ *
+ * The outlook workbooks publish each rating as text: "Good", "Fair",
+ * "Very good", "Undetermined", or in French "Bonnes", "Modérées", ... The
+ * seeder keeps that label as published (Outlook.outlook) and also stores the
+ * normalized rating (Outlook.rating) and its score (Outlook.ratingScore), so
+ * outlooks can be sorted and averaged (see lib/scores.js).
+ *
+ * The scale, from worst to best:
+ *
+ *   VERY_LIMITED 1 · LIMITED 2 · MODERATE 3 · GOOD 4 · VERY_GOOD 5
+ *
+ * UNDETERMINED has no score. "Fair" is the older name for "Moderate".
+ */
+
+// Normalized rating → score (null = not on the scale)
+const RATING_SCORES = {
+  VERY_LIMITED: 1,
+  LIMITED: 2,
+  MODERATE: 3,
+  GOOD: 4,
+  VERY_GOOD: 5,
+  UNDETERMINED: null,
+}
+
+// Published label (normalized with normalizeRatingLabel()) → rating.
+// French labels agree with "perspectives", so they're usually feminine
+// plural ("bonnes"), but the singular forms turn up too.
+const RATING_LABELS = {
+  'very limited': 'VERY_LIMITED',
+  limited: 'LIMITED',
+  fair: 'MODERATE',
+  moderate: 'MODERATE',
+  good: 'GOOD',
+  'very good': 'VERY_GOOD',
+  undetermined: 'UNDETERMINED',
+  'tres limitees': 'VERY_LIMITED',
+  'tres limitee': 'VERY_LIMITED',
+  'tres limite': 'VERY_LIMITED',
+  limitees: 'LIMITED',
+  limitee: 'LIMITED',
+  limite: 'LIMITED',
+  passables: 'MODERATE',
+  passable: 'MODERATE',
+  moderees: 'MODERATE',
+  moderee: 'MODERATE',
+  modere: 'MODERATE',
+  bonnes: 'GOOD',
+  bonne: 'GOOD',
+  bon: 'GOOD',
+  'tres bonnes': 'VERY_GOOD',
+  'tres bonne': 'VERY_GOOD',
+  'tres bon': 'VERY_GOOD',
+  indeterminees: 'UNDETERMINED',
+  indeterminee: 'UNDETERMINED',
+  indetermine: 'UNDETERMINED',
+}
+
+/**
+ * Rating Label Normalizer
+ * =======================
+ * @param {string} label - Outlook rating as published
+ * @returns {string} The label trimmed, lower-cased and without accents or
+ *   doubled spaces, for comparisons ("Très  Bonnes " → "tres bonnes")
+ */
+function normalizeRatingLabel(label) {
+  return String(label || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Strip accents (é → e)
+    .trim()
+    .replace(/\s+/g, ' ')
+    .toLowerCase()
+}
+
+/**
+ * Rating Classifier
+ * =================
+ * @param {string} label - Outlook rating as published, e.g. "Very good"
+ * @returns {{ rating: string, ratingScore: number|null }|null} The normalized
+ *   rating and its score, or null if the label isn't a known rating
+ */
+function classifyRating(label) {
+  const rating = RATING_LABELS[normalizeRatingLabel(label)]
+  if (!rating) return null
+  return { rating, ratingScore: RATING_SCORES[rating] }
+}
+
+/**
+ * Rating Score Lookup
+ * ===================
+ * @param {string} label - Outlook rating as published
+ * @returns {number|null} 1 (very limited) to 5 (very good), or null if the
+ *   rating isn't on the scale (e.g. "Undetermined") or isn't known at all
+ */
+function ratingScore(label) {
+  const classified = classifyRating(label)
+  return classified ? classified.ratingScore : null
+}
+
+module.exports = {
+  RATING_SCORES,
+  RATING_LABELS,
+  normalizeRatingLabel,
+  classifyRating,
+  ratingScore,
+}
@@ -0,0 +1,303 @@
+/*
+ * Economic Region Helpers
+ * =======================
+ *
+ * Economic regions are referenced by every outlook row, so they are cached in
+ * memory and created lazily the first time a new region code is seen.
+ *
+ * The authoritative list comes from data/economic_regions.json
+ * (`seed regions`), which adds each region's province, type, other names
+ * (aliases) and an optional GeoJSON boundary. Once it is loaded:
+ * - outlook rows no longer overwrite a reference region's name
+ * - outlook rows whose region code, name or province disagrees with the
+ *   reference are reported at the end of the outlook import
+ */
+
+const { settings } = require('./config')
+const { prisma, safeDbOperation } = require('./db')
+const { saveRecord, pruneRecords } = require('./sync')
+const { runBatches, runBatch } = require('./runs')
+const { PROVINCES } = require('./validation')
+
+// Region mismatches listed at the end of an outlook import
+const MISMATCH_REPORT_LIMIT = 20
+
+// Cache for economic regions to avoid repeated database queries
+// Caching improves performance by storing frequently-accessed data in memory
+// Map is more efficient than Object for key-value lookups with string keys
+let economicRegionsCache = new Map()
+
+// Region codes already synced or planned during this run (sync and dry-run
+// modes), so each region is compared with the database once rather than once
+// per outlook row
+let syncedRegionCodes = new Set()
+
+// Outlook rows that disagree with the region reference during this run:
+// "code|name|province" → { economicRegionCode, economicRegionName, province, problem, rows }
+let regionMismatches = new Map()
+
+/**
+ * Economic Regions Cache Initialization
+ * ====================================
+ * Initializes the economic regions cache from the database.
+ * This is a performance optimization that loads all regions into memory once
+ * instead of querying the database repeatedly.
+ *
+ * Why caching?
+ * - Economic regions are referenced frequently during outlook data processing
+ * - Database queries are slow compared to memory lookups
+ * - Reduces database load and improves overall performance
+ *
+ * - Cache is populated once at startup, then used throughout the process
+ * - If cache initialization fails, the process continues with an empty cache
+ * - Map.set() and Map.get() provide O(1) lookup performance
+ */
+async function initializeRegionsCache() {
+  console.log('Initializing economic regions cache...')
+  try {
+    // Fetch all economic regions from database using safe operation wrapper
+    const regions = await safeDbOperation(
+      () => prisma.economicRegion.findMany(),
+      'initialize regions cache'
+    )
+
+    // Populate the cache Map with region code as key, full region object as value
+    economicRegionsCache = new Map()
+    syncedRegionCodes = new Set()
+    regionMismatches = new Map()
+    regions.forEach((region) => {
+      economicRegionsCache.set(region.economicRegionCode, region)
+    })
+    console.log(`Cached ${economicRegionsCache.size} economic regions`)
+  } catch (error) {
+    console.error('Failed to initialize regions cache:', error.message)
+    // Return with empty cache rather than failing - graceful degradation
+    economicRegionsCache = new Map()
+    console.log('Proceeding with empty regions cache')
+  }
+}
+
+/**
+ * Region Existence Checker and Creator
+ * ===================================
+ * Checks if a region exists in the cache and creates it if it doesn't.
+ * This implements a "cache-aside" pattern for managing region data.
+ *
+ * Cache-aside pattern:
+ * 1. Check cache first
+ * 2. If not found, create in database (through saveRecord(), so the write is
+ *    part of the current import batch)
+ * 3. Add to cache for future use
+ * 4. Handle race conditions gracefully
+ *
+ * @param {Object} regionData - The region data to check/create
+ * @returns {Promise<void>}
+ *
+ * - This function handles the race condition where another process might create the same region
+ * - It uses optimistic creation: try to create, handle duplicate gracefully (safeCreate)
+ * - Cache is updated after successful creation to keep it current
+ * - In sync mode the first row for each region also updates its name if the
+ *   workbook spells it differently from the database
+ * - In a dry run the region is only planned, never created
+ * - Regions loaded from the reference file are never changed here
+ */
+async function ensureRegionExists(regionData) {
+  const { economicRegionCode } = regionData
+
+  // The reference file owns reference regions (see seedRegions())
+  if (isReferenceRegion(economicRegionsCache.get(economicRegionCode))) return
+
+  if (settings.sync || settings.dryRun) {
+    if (syncedRegionCodes.has(economicRegionCode)) return
+    syncedRegionCodes.add(economicRegionCode)
+    await saveRecord(
+      'economicRegion',
+      { economicRegionCode },
+      regionData,
+      `region ${economicRegionCode}`
+    )
+    economicRegionsCache.set(economicRegionCode, regionData)
+    return
+  }
+
+  // Check if region already exists in our in-memory cache
+  if (!economicRegionsCache.has(economicRegionCode)) {
+    // Create it in the database - if another process created it first,
+    // saveRecord() counts it as a duplicate instead of failing
+    await saveRecord(
+      'economicRegion',
+      { economicRegionCode },
+      regionData,
+      `region ${economicRegionCode}`
+    )
+
+    // Add the region to the cache for future lookups
+    economicRegionsCache.set(economicRegionCode, regionData)
+  }
+}
+
+/**
+ * Reference Region Check
+ * ======================
+ * @param {Object|undefined} region - A cached EconomicRegion row
+ * @returns {boolean} True if the region came from the region reference file
+ */
+function isReferenceRegion(region) {
+  return Boolean(region && region.regionType)
+}
+
+/**
+ * Region Name Normalizer
+ * ======================
+ * @param {string} name - A region name as written somewhere
+ * @returns {string} The name lower-cased, with dashes ("-", "--", "–", "—")
+ *   and spacing made uniform, for comparisons
+ */
+function normalizeRegionName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/\s*[-–—]+\s*/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+/**
+ * Outlook Region Checker
+ * ======================
+ * Compares one outlook row's region with the region reference and records
+ * any disagreement for reportRegionMismatches().
+ *
+ * @param {Object} row
+ * @param {string} row.economicRegionCode - Region code on the outlook row
+ * @param {string} row.economicRegionName - Region name on the outlook row
+ * @param {string} row.province - Province on the outlook row (code or name)
+ * @returns {string|null} What disagrees, or null if the row matches (or no
+ *   reference data has been loaded)
+ *
+ * - A name matches the reference name or any alias (so French rows match
+ *   the French name)
+ */
+function checkRegionReference({
+  economicRegionCode,
+  economicRegionName,
+  province,
+}) {
+  if (![...economicRegionsCache.values()].some(isReferenceRegion)) return null
+
+  const region = economicRegionsCache.get(economicRegionCode)
+  let problem = null
+  if (!isReferenceRegion(region)) {
+    problem = 'unknown region code'
+  } else if (
+    ![region.economicRegionName, ...region.aliases].some(
+      (name) =>
+        normalizeRegionName(name) === normalizeRegionName(economicRegionName)
+    )
+  ) {
+    problem = `name should be "${region.economicRegionName}"`
+  } else if (
+    province &&
+    ![region.province, PROVINCES[region.province]].some(
+      (name) => normalizeRegionName(name) === normalizeRegionName(province)
+    )
+  ) {
+    problem = `province should be ${region.province}`
+  }
+  if (!problem) return null
+
+  const key = `${economicRegionCode}|${economicRegionName}|${province}`
+  if (!regionMismatches.has(key)) {
+    regionMismatches.set(key, {
+      economicRegionCode,
+      economicRegionName,
+      province,
+      problem,
+      rows: 0,
+    })
+  }
+  regionMismatches.get(key).rows++
+  return problem
+}
+
+/**
+ * Region Mismatch Report
+ * ======================
+ * Prints the outlook rows (grouped by region code, name and province) that
+ * disagreed with the region reference during this run.
+ *
+ * @returns {Object[]} The mismatches, most rows first
+ */
+function reportRegionMismatches() {
+  const mismatches = [...regionMismatches.values()].sort(
+    (a, b) => b.rows - a.rows
+  )
+  if (mismatches.length === 0) return mismatches
+
+  console.log('\nOutlook rows that disagree with the region reference:')
+  for (const mismatch of mismatches.slice(0, MISMATCH_REPORT_LIMIT)) {
+    console.log(
+      `  ${mismatch.economicRegionCode} "${mismatch.economicRegionName}" (${mismatch.province}): ${mismatch.problem} - ${mismatch.rows} row(s)`
+    )
+  }
+  if (mismatches.length > MISMATCH_REPORT_LIMIT) {
+    console.log(`  ... and ${mismatches.length - MISMATCH_REPORT_LIMIT} more`)
+  }
+  return mismatches
+}
+
+/**
+ * Region Reference Seeder
+ * =======================
+ * Loads the economic region reference file into EconomicRegion: code,
+ * name, province, type, aliases and boundary.
+ *
+ * @param {Object[]} regionsData - Validated records from economic_regions.json
+ * @param {Object} [options]
+ * @param {boolean} [options.prune=true] - False to skip --prune
+ *
+ * - Seed regions before outlooks so the outlook import can check its rows
+ *   against them (`seed all` does)
+ * - A plain run only adds regions that don't exist yet, like every other
+ *   dataset; use --sync to fill in regions first created by an outlook import
+ * - --prune only removes regions that no outlook refers to
+ * - Removing a boundary from the file doesn't clear a stored one
+ */
+async function seedRegions(regionsData, { prune = true } = {}) {
+  console.log('\n\nSeeding Economic Regions...')
+
+  const keptCodes = []
+  await runBatches(regionsData, async (region) => {
+    const data = {
+      economicRegionCode: region.code,
+      economicRegionName: region.name,
+      province: region.province,
+      regionType: region.type,
+      aliases: region.aliases || [],
+    }
+    // Prisma doesn't accept null for an optional Json field, so leave it out
+    if (region.boundary) data.boundary = region.boundary
+
+    keptCodes.push(
+      await saveRecord(
+        'economicRegion',
+        { economicRegionCode: region.code },
+        data,
+        `region ${region.code} ${region.name}`
+      )
+    )
+  })
+
+  if (prune) {
+    await runBatch(() =>
+      pruneRecords('economicRegion', keptCodes, { outlooks: { none: {} } })
+    )
+  }
+}
+
+module.exports = {
+  initializeRegionsCache,
+  ensureRegionExists,
+  checkRegionReference,
+  reportRegionMismatches,
+  seedRegions,
+}
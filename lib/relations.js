@@ -0,0 +1,161 @@
+/*
+ * Unit Group Cross-References
+ * ===========================
+ *
+ * The Exclusion(s) section of a unit group points at the unit groups that
+ * other, similar jobs belong to:
+ *
+ *   "Commissioner - government services (See 00011 Senior government
+ *    managers and officials)"
+ *
+ * The unit group seeder reads these items into UnitGroupRelation rows: the
+ * unit group with the item, the relation type (exclusion, or inclusion for
+ * the rare Inclusion(s) item with a reference), the job title the item names
+ * and the referenced NOC code and title. Together they form a graph of
+ * related occupations (see listRelatedOccupations() in lib/queries.js).
+ *
+ * A reference to a NOC code that isn't a seeded unit group (often an old
+ * 4-digit NOC 2016 code) is still stored, with relatedNoc = null, and listed
+ * at the end of the seed. `clean unresolved-noc-references` lists them
+ * again later, and links the ones whose unit group has been seeded since.
+ *
+ * Only the English sections are parsed.
+ */
+
+const { prisma } = require('./db')
+const { saveRecord, pruneRecords } = require('./sync')
+const { runBatches, runBatch } = require('./runs')
+const { sectionKey } = require('./sections')
+
+// "<job title> (See <NOC code> <occupation title>)"
+const REFERENCE_PATTERN = /^(.*?)\s*\(See\s+(\d{4,5})\s+(.+)\)\s*$/s
+
+// Section key → relation type of its references
+const RELATION_TYPES = {
+  exclusions: 'exclusion',
+  inclusions: 'inclusion',
+}
+
+// Unresolved references printed at the end of a seed
+const UNRESOLVED_REPORT_LIMIT = 20
+
+/**
+ * Reference Parser
+ * ================
+ * @param {string} item - One Exclusion(s) or Inclusion(s) item
+ * @returns {{ title: string, referencedNoc: string, referencedTitle: string }|null}
+ *   The parts of the item, or null if it doesn't reference a unit group
+ */
+function parseReference(item) {
+  const match = String(item).trim().match(REFERENCE_PATTERN)
+  if (!match) return null
+  return {
+    title: match[1].trim(),
+    referencedNoc: match[2],
+    referencedTitle: match[3].trim(),
+  }
+}
+
+/**
+ * Unit Group Reference Finder
+ * ===========================
+ * @param {Object} unitGroup - One unit group from unit_groups.json
+ * @returns {Object[]} `{ noc, type, title, referencedNoc, referencedTitle }`
+ *   for every reference in its Exclusion(s) and Inclusion(s) sections
+ *
+ * - An item repeated in the same section is only returned once
+ */
+function unitGroupReferences({ noc_number, sections }) {
+  const references = new Map()
+  for (const section of sections || []) {
+    const type = RELATION_TYPES[sectionKey(section.title)]
+    if (!type) continue
+    for (const item of section.items || []) {
+      const reference = parseReference(item)
+      if (!reference) continue
+      const key = `${type}|${reference.title}|${reference.referencedNoc}`
+      references.set(key, { noc: noc_number, type, ...reference })
+    }
+  }
+  return [...references.values()]
+}
+
+/**
+ * Unresolved Reference Report
+ * ===========================
+ * @param {Object[]} unresolved - References whose NOC code isn't a unit group
+ */
+function reportUnresolvedReferences(unresolved) {
+  if (unresolved.length === 0) return
+
+  console.log(
+    `\n${unresolved.length} section reference(s) to NOC codes that aren't unit groups:`
+  )
+  for (const reference of unresolved.slice(0, UNRESOLVED_REPORT_LIMIT)) {
+    console.log(
+      `  ${reference.noc} ${reference.type}: "${reference.title}" → ${reference.referencedNoc} ${reference.referencedTitle}`
+    )
+  }
+  if (unresolved.length > UNRESOLVED_REPORT_LIMIT) {
+    console.log(`  ... and ${unresolved.length - UNRESOLVED_REPORT_LIMIT} more`)
+  }
+}
+
+/**
+ * Relation Seeder
+ * ===============
+ * Saves the cross-references of the unit groups file as UnitGroupRelation
+ * rows. Called by the unit group seeder once every unit group is saved, so
+ * references to groups later in the file resolve.
+ *
+ * @param {Object[]} unitGroupsData - Validated records from unit_groups.json
+ * @param {Object} [options]
+ * @param {boolean} [options.prune=true] - False to skip --prune
+ * @returns {Promise<Object[]>} The unresolved references
+ *
+ * - A reference resolves if its NOC code is in the file or already in the
+ *   database
+ * - Like other rows, existing relations are only updated with --sync (e.g.
+ *   when a reference that was unresolved now resolves)
+ * - --prune removes relations whose item is gone from the file
+ */
+async function seedRelations(unitGroupsData, { prune = true } = {}) {
+  const references = unitGroupsData.flatMap(unitGroupReferences)
+  console.log(`\nSaving ${references.length} unit group cross-references...`)
+
+  const seeded = await prisma.unitGroup.findMany({ select: { noc: true } })
+  const knownNocs = new Set([
+    ...unitGroupsData.map((unitGroup) => unitGroup.noc_number),
+    ...seeded.map((unitGroup) => unitGroup.noc),
+  ])
+
+  const keptIds = []
+  const unresolved = []
+  await runBatches(references, async (reference) => {
+    const resolved = knownNocs.has(reference.referencedNoc)
+    if (!resolved) unresolved.push(reference)
+    const { noc, type, title, referencedNoc } = reference
+    keptIds.push(
+      await saveRecord(
+        'unitGroupRelation',
+        { noc, type, title, referencedNoc },
+        { ...reference, relatedNoc: resolved ? referencedNoc : null },
+        `${type} of noc=${noc} → ${referencedNoc}`
+      )
+    )
+  })
+
+  reportUnresolvedReferences(unresolved)
+
+  if (prune) {
+    await runBatch(() => pruneRecords('unitGroupRelation', keptIds))
+  }
+  return unresolved
+}
+
+module.exports = {
+  RELATION_TYPES,
+  parseReference,
+  unitGroupReferences,
+  seedRelations,
+}
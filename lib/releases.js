@@ -0,0 +1,169 @@
+/*
+ * Outlook Releases
+ * ================
+ *
+ * ESDC publishes a new set of 3-year employment outlooks every year
+ * (2023-2025, 2024-2026, 2025-2027, ...). Each workbook is loaded as its own
+ * OutlookRelease, and its outlook rows point at that release, so several
+ * releases live side by side and a NOC's rating in a region can be compared
+ * from one release to the next (see getOutlookHistory() in lib/queries.js).
+ *
+ * Loading a release:
+ *   node index.js seed outlooks --outlooks-file data/2025-2027-3-year-outlooks.xlsx
+ *
+ * The release label comes from --release, or else from the "YYYY-YYYY" part
+ * of the workbook's file name.
+ */
+
+const path = require('path') // Path manipulation utilities (built-in Node.js module)
+const { settings } = require('./config')
+const { prisma, client } = require('./db')
+const { saveRecord } = require('./sync')
+const { runBatch } = require('./runs')
+const { normalizeRatingLabel, ratingScore } = require('./ratings')
+
+// "2024-2026" in "2024-2026-3-year-outlooks.xlsx"
+const RELEASE_YEARS_PATTERN = /(\d{4})-(\d{4})/
+
+/**
+ * Release Label Resolver
+ * ======================
+ * @param {string} filePath - The outlook workbook being loaded
+ * @returns {{ label: string, startYear: number|null, endYear: number|null }}
+ *
+ * - settings.outlookRelease (--release) wins over the file name
+ * - A file name without years falls back to the name itself, without extension
+ */
+function resolveRelease(filePath) {
+  const fileName = path.basename(filePath, path.extname(filePath))
+  const label =
+    settings.outlookRelease ||
+    (fileName.match(RELEASE_YEARS_PATTERN) || [fileName])[0]
+
+  const years = label.match(RELEASE_YEARS_PATTERN)
+  return {
+    label,
+    startYear: years ? Number(years[1]) : null,
+    endYear: years ? Number(years[2]) : null,
+  }
+}
+
+/**
+ * Release Finder and Creator
+ * ==========================
+ * Makes sure the OutlookRelease for a workbook exists, as one batch of the
+ * current import run, and returns it.
+ *
+ * @param {string} filePath - The outlook workbook being loaded
+ * @returns {Promise<Object>} The OutlookRelease row; during a dry run a new
+ *   release is only planned and comes back as `{ id: null, label, ... }`
+ *
+ * - An existing release is left alone unless --sync is set (then its years
+ *   and source file are updated), so reloading a release isn't a duplicate
+ */
+async function ensureRelease(filePath) {
+  const release = { ...resolveRelease(filePath), sourceFile: filePath }
+
+  await runBatch(async () => {
+    const existing = await client().outlookRelease.findFirst({
+      where: { label: release.label },
+    })
+    if (!existing || settings.sync) {
+      await saveRecord(
+        'outlookRelease',
+        { label: release.label },
+        release,
+        `OutlookRelease ${release.label}`
+      )
+    }
+  })
+
+  const saved = await prisma.outlookRelease.findFirst({
+    where: { label: release.label },
+  })
+  console.log(`Outlook release: ${release.label}`)
+  return saved || { id: null, ...release }
+}
+
+/**
+ * Rating Change Classifier
+ * ========================
+ * @param {string} from - Rating in the earlier release
+ * @param {string} to - Rating in the later release
+ * @returns {'better'|'worse'|'same'|'unknown'}
+ */
+function compareRatings(from, to) {
+  const before = ratingScore(from)
+  const after = ratingScore(to)
+  if (before === null || after === null) {
+    return normalizeRatingLabel(from) === normalizeRatingLabel(to)
+      ? 'same'
+      : 'unknown'
+  }
+  if (after > before) return 'better'
+  if (after < before) return 'worse'
+  return 'same'
+}
+
+/**
+ * Outlook History Builder
+ * =======================
+ * Groups outlook rows by economic region and lists each region's rating
+ * release by release, with the change between the two latest releases.
+ *
+ * @param {Object[]} outlooks - Outlook rows including `release` and
+ *   `economicRegion`, ordered by release date
+ * @returns {Object[]} One entry per region:
+ *   `{ economicRegionCode, economicRegionName, province, history, change }`
+ *
+ * - Rows loaded before releases existed have no release; they are labelled
+ *   with their release date instead
+ * - `change` is null for a region that appears in only one release
+ */
+function buildOutlookHistory(outlooks) {
+  const regions = new Map()
+
+  for (const row of outlooks) {
+    if (!regions.has(row.economicRegionCode)) {
+      regions.set(row.economicRegionCode, {
+        economicRegionCode: row.economicRegionCode,
+        economicRegionName: row.economicRegion
+          ? row.economicRegion.economicRegionName
+          : null,
+        province: row.province,
+        history: [],
+        change: null,
+      })
+    }
+    regions.get(row.economicRegionCode).history.push({
+      release: row.release
+        ? row.release.label
+        : row.releaseDate.toISOString().slice(0, 10),
+      releaseDate: row.releaseDate,
+      outlook: row.outlook,
+    })
+  }
+
+  for (const region of regions.values()) {
+    const { history } = region
+    if (history.length < 2) continue
+    const previous = history[history.length - 2]
+    const latest = history[history.length - 1]
+    region.change = {
+      from: previous.release,
+      to: latest.release,
+      previous: previous.outlook,
+      latest: latest.outlook,
+      direction: compareRatings(previous.outlook, latest.outlook),
+    }
+  }
+
+  return [...regions.values()]
+}
+
+module.exports = {
+  resolveRelease,
+  ensureRelease,
+  compareRatings,
+  buildOutlookHistory,
+}
@@ -0,0 +1,342 @@
+/*
+ * Employment Requirements Parser
+ * ==============================
+ *
+ * Every unit group has an "Employment requirements" section whose items are
+ * free text: "A university degree in biology is required.", "Trade
+ * certification is compulsory in Quebec.", "Several years of experience ...".
+ * This module reads those items into one UnitGroupRequirement row per unit
+ * group:
+ *
+ * - educationLevel     Minimum education (see EDUCATION_LEVELS), and how
+ *   educationStrength  firmly it's asked for: required, usually or may
+ * - regulated          A licence or registration with a regulatory body is needed
+ * - tradeCertification COMPULSORY or VOLUNTARY (somewhere in Canada)
+ * - apprenticeship     An apprenticeship program is mentioned
+ * - redSeal            Red Seal endorsement is mentioned
+ * - experience         Work experience is required, with experienceYears when
+ *                      the text gives a number
+ * - evidence           Which item each of the above was read from
+ *
+ * Like the search index, the rows are derived data: rebuildRequirements()
+ * recreates them after every seed and on `node index.js reindex`. Only the
+ * English sections are parsed.
+ *
+ * checkCredential() uses the result to tell whether a VIU credential meets an
+ * occupation's education requirement.
+ */
+
+const { prisma } = require('./db')
+const { sectionItems } = require('./sections')
+
+// Education levels from lowest to highest (the EducationLevel enum)
+const EDUCATION_LEVELS = [
+  'SECONDARY',
+  'POST_SECONDARY_CERTIFICATE',
+  'COLLEGE_DIPLOMA',
+  'BACHELOR',
+  'GRADUATE',
+  'DOCTORATE',
+]
+
+// Phrases that name each education level, checked against lower-cased items
+const EDUCATION_PATTERNS = {
+  DOCTORATE: /\bdoctora|\bph\.?\s?d\b/,
+  GRADUATE: /\bmaster'?s\b|\bgraduate degree|\bpostgraduate\b/,
+  BACHELOR: /\bbachelor'?s?\b|\buniversity (?:degree|program)|\bdegree\b/,
+  COLLEGE_DIPLOMA:
+    /\bcollege diploma|\b(?:two|three|four|2|3|4)[- ](?:to [a-z0-9-]+ )?year college|(?<!one[- ](?:to [a-z0-9-]+ )?year )\bcollege (?:program|education)|\btechnical (?:program|diploma)/,
+  POST_SECONDARY_CERTIFICATE:
+    /\bone[- ](?:to [a-z0-9-]+ )?year college|\bcollege certificate|\bcertificate program|\bvocational|\bpost-secondary|\bcollege (?:or [a-z ]+ )?courses/,
+  SECONDARY: /\bsecondary school|\bhigh school/,
+}
+
+// VIU credential → the education level it gives
+const CREDENTIAL_LEVELS = {
+  Certificate: 'POST_SECONDARY_CERTIFICATE',
+  Diploma: 'COLLEGE_DIPLOMA',
+  Degree: 'BACHELOR',
+}
+
+// Licensing and registration, but not e.g. a driver's licence
+const REGULATED_PATTERN =
+  /\blicen[cs]|\bregulatory body|\bregistration (?:with|by)\b|\bregistered with\b|\bmembership in\b/
+const NOT_REGULATED_PATTERN = /\bdriver'?s\b|\bdriving\b/
+const TRADE_CERTIFICATION_PATTERN =
+  /\btrade certification|\bcertificate of qualification/
+const APPRENTICESHIP_PATTERN = /\bapprentice/
+const RED_SEAL_PATTERN = /\bred seal\b/
+const EXPERIENCE_PATTERN = /\bexperience\b/
+
+// Number words used in years of experience
+const NUMBER_WORDS = {
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+}
+
+// "three years of work experience", "2 to 5 years of related experience"
+const EXPERIENCE_YEARS_PATTERN =
+  /\b(\d+|one|two|three|four|five|six|seven|eight|nine|ten)\b(?:-?\s*(?:to|or)\s*[a-z0-9]+)?\s*-?\s*years?\s+of\s+(?:[a-z,-]+\s+){0,6}?experience/
+
+// Requirement items parsed per createMany() call
+const REQUIREMENTS_CHUNK_SIZE = 500
+
+/**
+ * Requirement Strength Reader
+ * ===========================
+ * @param {string} text - One requirement item, lower-cased
+ * @returns {'required'|'usually'|'may'|null} How firmly the item asks for
+ *   something, or null for items that only describe (e.g. "is provided")
+ */
+function itemStrength(text) {
+  if (/\bmay\b|\bmight\b|\bcan be\b/.test(text)) return 'may'
+  if (
+    /\busually\b|\bnormally\b|\bgenerally\b|\btypically\b|\boften\b/.test(text)
+  ) {
+    return 'usually'
+  }
+  if (/\brequire|\bcompulsory\b|\bmandatory\b|\bmust\b/.test(text)) {
+    return 'required'
+  }
+  return null
+}
+
+/**
+ * Item Education Level Reader
+ * ===========================
+ * @param {string} text - One requirement item, lower-cased
+ * @returns {string|null} The education level the item asks for, or null
+ *
+ * - Parts joined by "or" (or listed with commas) are alternatives, so the
+ *   lowest one counts ("a university degree or college diploma" → COLLEGE_DIPLOMA)
+ * - Within a part, levels named together are all needed, so the highest
+ *   counts ("secondary school and a college diploma" → COLLEGE_DIPLOMA)
+ */
+function itemEducationLevel(text) {
+  const levels = text
+    .split(/,|\bor\b/)
+    .map((part) =>
+      [...EDUCATION_LEVELS]
+        .reverse()
+        .find((level) => EDUCATION_PATTERNS[level].test(part))
+    )
+    .filter(Boolean)
+  if (levels.length === 0) return null
+  return EDUCATION_LEVELS.find((level) => levels.includes(level))
+}
+
+/**
+ * Years of Experience Reader
+ * ==========================
+ * @param {string} text - One requirement item, lower-cased
+ * @returns {number|null} The lowest number of years of experience the item
+ *   asks for, or null if it gives no number
+ */
+function itemExperienceYears(text) {
+  const match = text.match(EXPERIENCE_YEARS_PATTERN)
+  if (!match) return null
+  return NUMBER_WORDS[match[1]] || Number(match[1])
+}
+
+/**
+ * Requirements Parser
+ * ===================
+ * Reads a unit group's "Employment requirements" items.
+ *
+ * @param {string[]} items - The section's items
+ * @returns {Object} `{ educationLevel, educationStrength, regulated,
+ *   tradeCertification, apprenticeship, redSeal, experience, experienceYears,
+ *   evidence }` (see the top of this file)
+ *
+ * How the minimum education is chosen:
+ * - Each item counts for the level itemEducationLevel() reads from it
+ * - Items are all needed together, so the highest of those wins among items
+ *   that say "required" or "usually required"
+ * - Only if there are none do "may be required" items count
+ */
+function parseRequirements(items) {
+  const result = {
+    educationLevel: null,
+    educationStrength: null,
+    regulated: false,
+    tradeCertification: null,
+    apprenticeship: false,
+    redSeal: false,
+    experience: false,
+    experienceYears: null,
+    evidence: {},
+  }
+  const optionalEducation = []
+
+  for (const item of items) {
+    const text = String(item).toLowerCase()
+    const strength = itemStrength(text)
+    const firm = strength === 'required' || strength === 'usually'
+
+    const level = itemEducationLevel(text)
+    if (level && strength === 'may') {
+      optionalEducation.push({ level, item })
+    } else if (
+      level &&
+      EDUCATION_LEVELS.indexOf(level) >
+        EDUCATION_LEVELS.indexOf(result.educationLevel)
+    ) {
+      result.educationLevel = level
+      result.educationStrength = strength || 'usually'
+      result.evidence.educationLevel = item
+    }
+
+    if (
+      firm &&
+      REGULATED_PATTERN.test(text) &&
+      !NOT_REGULATED_PATTERN.test(text)
+    ) {
+      result.regulated = true
+      result.evidence.regulated = result.evidence.regulated || item
+    }
+
+    if (TRADE_CERTIFICATION_PATTERN.test(text)) {
+      if (/\bcompulsory\b|\bmandatory\b/.test(text)) {
+        result.tradeCertification = 'COMPULSORY'
+        result.evidence.tradeCertification = item
+      } else if (
+        !result.tradeCertification &&
+        /\bvoluntary\b|\bavailable\b/.test(text)
+      ) {
+        result.tradeCertification = 'VOLUNTARY'
+        result.evidence.tradeCertification = item
+      }
+    }
+
+    if (APPRENTICESHIP_PATTERN.test(text) && !result.apprenticeship) {
+      result.apprenticeship = true
+      result.evidence.apprenticeship = item
+    }
+    if (RED_SEAL_PATTERN.test(text) && !result.redSeal) {
+      result.redSeal = true
+      result.evidence.redSeal = item
+    }
+
+    if (firm && EXPERIENCE_PATTERN.test(text)) {
+      result.experience = true
+      result.evidence.experience = result.evidence.experience || item
+      const years = itemExperienceYears(text)
+      if (
+        years !== null &&
+        (result.experienceYears === null || years < result.experienceYears)
+      ) {
+        result.experienceYears = years
+        result.evidence.experience = item
+      }
+    }
+  }
+
+  // Nothing firmly required: fall back to the lowest "may be required" level
+  if (!result.educationLevel && optionalEducation.length > 0) {
+    const lowest = optionalEducation.reduce((low, entry) =>
+      EDUCATION_LEVELS.indexOf(entry.level) <
+      EDUCATION_LEVELS.indexOf(low.level)
+        ? entry
+        : low
+    )
+    result.educationLevel = lowest.level
+    result.educationStrength = 'may'
+    result.evidence.educationLevel = lowest.item
+  }
+
+  return result
+}
+
+/**
+ * Requirements Rebuilder
+ * ======================
+ * Replaces every UnitGroupRequirement row with a fresh parse of the unit
+ * groups' English "Employment requirements" sections. Called at the end of
+ * `seed`, and by `reindex`.
+ *
+ * @returns {Promise<number>} Number of unit groups parsed
+ *
+ * - Unit groups without the section get a row too, with nothing found
+ */
+async function rebuildRequirements() {
+  console.log('\nParsing employment requirements...')
+
+  const unitGroups = await prisma.unitGroup.findMany({
+    include: { sections: { where: { lang: 'EN' } } },
+  })
+  const rows = unitGroups.map((unitGroup) => ({
+    noc: unitGroup.noc,
+    ...parseRequirements(sectionItems(unitGroup, 'requirements')),
+  }))
+
+  await prisma.unitGroupRequirement.deleteMany({})
+  for (let i = 0; i < rows.length; i += REQUIREMENTS_CHUNK_SIZE) {
+    await prisma.unitGroupRequirement.createMany({
+      data: rows.slice(i, i + REQUIREMENTS_CHUNK_SIZE),
+    })
+  }
+
+  const withEducation = rows.filter((row) => row.educationLevel).length
+  console.log(
+    `Parsed requirements for ${rows.length} unit groups (${withEducation} with an education level)`
+  )
+  return rows.length
+}
+
+/**
+ * Education Level Range
+ * =====================
+ * @param {string} level - One of EDUCATION_LEVELS
+ * @returns {string[]} That level and every level below it
+ */
+function educationLevelsUpTo(level) {
+  return EDUCATION_LEVELS.slice(0, EDUCATION_LEVELS.indexOf(level) + 1)
+}
+
+/**
+ * Credential Check
+ * ================
+ * Tells whether a program's credential meets an occupation's minimum
+ * education.
+ *
+ * @param {string} credential - Program.credential (Certificate, Diploma, Degree)
+ * @param {Object|null} requirement - The unit group's UnitGroupRequirement
+ * @returns {Object} `{ meets, credentialLevel, requiredLevel, strength,
+ *   regulated }` where meets is true/false, or null when the occupation has
+ *   no known education level
+ *
+ * - A credential can meet the education level and the occupation still need
+ *   a licence (regulated) or trade certification on top
+ */
+function checkCredential(credential, requirement) {
+  const credentialLevel = CREDENTIAL_LEVELS[credential] || null
+  const requiredLevel = requirement ? requirement.educationLevel : null
+  return {
+    meets:
+      credentialLevel && requiredLevel
+        ? EDUCATION_LEVELS.indexOf(credentialLevel) >=
+          EDUCATION_LEVELS.indexOf(requiredLevel)
+        : null,
+    credentialLevel,
+    requiredLevel,
+    strength: requirement ? requirement.educationStrength : null,
+    regulated: requirement ? requirement.regulated : false,
+  }
+}
+
+module.exports = {
+  EDUCATION_LEVELS,
+  CREDENTIAL_LEVELS,
+  parseRequirements,
+  rebuildRequirements,
+  educationLevelsUpTo,
+  checkCredential,
+}
@@ -0,0 +1,250 @@
+/*
+ * Retirement Reconciliation
+ * =========================
+ *
+ * A plain seed only creates rows, and `--sync` only updates the rows its
+ * file still contains, so a program VIU drops from its catalogue or a NOC
+ * code ESDC retires would otherwise stay in the database looking current.
+ * With `--sync --retire`, each source is reconciled against the database
+ * after it has been seeded:
+ *
+ * - rows in scope that the file no longer contains are soft-retired: their
+ *   `retiredAt` is set to the time of the run, and nothing is deleted, so
+ *   outlooks, matches and reviews that point at them stay intact
+ * - retired rows that are back in the file are reinstated (`retiredAt`
+ *   cleared)
+ *
+ * Only the models in RETIRABLE_MODELS have a `retiredAt` column. The read
+ * queries (lib/queries.js), the API, search, matching and exports leave
+ * retired rows out unless asked for them. `--prune` still hard-deletes the
+ * other models' missing rows; for retirable models `--retire` takes its place.
+ *
+ * Every retirement and reinstatement is journaled like any other update
+ * (lib/runs.js), so rolling the run back restores the previous `retiredAt`.
+ * What each source retired and reinstated is printed at the end of the seed
+ * and written to settings.logs.retirement as a JSON report.
+ */
+
+const fs = require('fs') // File system operations (built-in Node.js module)
+const { settings } = require('./config')
+const { client, withSavepoint } = require('./db')
+const { logError } = require('./logging')
+const { recordPlanned } = require('./plan')
+const { primaryKey, countResult, saveFailureCount } = require('./sync')
+const { recordChange, isResuming } = require('./runs')
+
+// Models with a retiredAt column (see prisma/schema.prisma)
+const RETIRABLE_MODELS = ['unitGroup', 'program']
+
+// Ids per updateMany call, like PRUNE_CHUNK_SIZE in lib/sync.js
+const RETIRE_CHUNK_SIZE = 1000
+
+// Keys shown per model and action in the printed report
+const REPORT_SAMPLE_LIMIT = 10
+
+// Reconciliation results of the current seed, one entry per reconciled source:
+// { model, scope, retired: [keys], reinstated: [keys], errors }
+const reconciliations = []
+
+/**
+ * Retirement Check
+ * ================
+ * @param {string} modelName - Prisma model name in camelCase
+ * @returns {boolean} True if the model's missing rows are retired instead of
+ *   pruned in this run (--sync --retire)
+ */
+function isRetiring(modelName) {
+  return (
+    settings.sync && settings.retire && RETIRABLE_MODELS.includes(modelName)
+  )
+}
+
+/**
+ * Retired Flag Writer
+ * ===================
+ * Sets `retiredAt` on a list of rows, a chunk at a time, journaling the
+ * previous value of each row for rollback.
+ *
+ * @param {string} modelName - Prisma model name in camelCase
+ * @param {Object[]} rows - Rows with their primary key and current retiredAt
+ * @param {Date|null} retiredAt - The new value (null = reinstate)
+ * @returns {Promise<any[]>} Primary keys of the rows that were changed
+ *
+ * - A failed chunk is logged and the remaining chunks still run
+ */
+async function setRetiredAt(modelName, rows, retiredAt) {
+  const model = client()[modelName]
+  const key = primaryKey(modelName)
+  const changed = []
+
+  for (let i = 0; i < rows.length; i += RETIRE_CHUNK_SIZE) {
+    const chunk = rows.slice(i, i + RETIRE_CHUNK_SIZE)
+    try {
+      await withSavepoint(() =>
+        model.updateMany({
+          where: { [key]: { in: chunk.map((row) => row[key]) } },
+          data: { retiredAt },
+        })
+      )
+      for (const row of chunk) {
+        recordChange(
+          modelName,
+          'update',
+          { [key]: row[key] },
+          { retiredAt: row.retiredAt }
+        )
+        changed.push(row[key])
+      }
+    } catch (error) {
+      countResult(modelName, 'errors', chunk.length)
+      logError(
+        `Error ${retiredAt ? 'retiring' : 'reinstating'} ${modelName}: ${error.message}`,
+        { model: modelName, error }
+      )
+    }
+  }
+  return changed
+}
+
+/**
+ * Retirement Diff
+ * ===============
+ * @param {Object[]} rows - Rows in scope, with their primary key and retiredAt
+ * @param {Iterable<any>} keptKeys - Primary keys seen in the source file
+ * @param {string} key - Primary key field of the rows
+ * @returns {{ missing: Object[], returning: Object[] }} Current rows the
+ *   file no longer has (to retire), and retired rows it has again (to
+ *   reinstate)
+ */
+function retirementDiff(rows, keptKeys, key) {
+  const kept = new Set(keptKeys)
+  return {
+    missing: rows.filter((row) => !row.retiredAt && !kept.has(row[key])),
+    returning: rows.filter((row) => row.retiredAt && kept.has(row[key])),
+  }
+}
+
+/**
+ * Missing Record Retirer
+ * ======================
+ * Retires the rows in scope that were not seen in the source file, and
+ * reinstates retired rows that were. Only runs in sync mode with --retire;
+ * otherwise it does nothing.
+ *
+ * @param {string} modelName - One of RETIRABLE_MODELS
+ * @param {Iterable<any>} keptKeys - Primary keys returned by saveRecord() for this run
+ * @param {Object} [scope={}] - Prisma where clause limiting which rows the
+ *   file is complete for (e.g. only one institution's programs)
+ * @returns {Promise<{ retired: number, reinstated: number }>}
+ *
+ * - With --dry-run the rows are only recorded in the plan
+ * - A resumed import run never reconciles, because it never sees the
+ *   records of the batches committed before it failed (like pruneRecords())
+ * - Nor does a model with records that failed to save in this dataset
+ */
+async function retireRecords(modelName, keptKeys, scope = {}) {
+  const none = { retired: 0, reinstated: 0 }
+  if (!isRetiring(modelName)) return none
+  if (isResuming()) {
+    console.log(`Not retiring ${modelName}: resumed runs skip reconciliation`)
+    return none
+  }
+  const failures = saveFailureCount(modelName)
+  if (failures > 0) {
+    console.log(
+      `Not retiring ${modelName}: ${failures} record(s) failed to save`
+    )
+    return none
+  }
+
+  const key = primaryKey(modelName)
+  const rows = await client()[modelName].findMany({
+    where: scope,
+    select: { [key]: true, retiredAt: true },
+  })
+  const { missing, returning } = retirementDiff(rows, keptKeys, key)
+
+  const entry = {
+    model: modelName,
+    scope,
+    retired: missing.map((row) => row[key]),
+    reinstated: returning.map((row) => row[key]),
+    errors: 0,
+  }
+
+  if (settings.dryRun) {
+    for (const id of entry.retired) {
+      recordPlanned(modelName, 'retire', `${key}=${id}`)
+    }
+    for (const id of entry.reinstated) {
+      recordPlanned(modelName, 'reinstate', `${key}=${id}`)
+    }
+  } else {
+    const retired = await setRetiredAt(modelName, missing, new Date())
+    const reinstated = await setRetiredAt(modelName, returning, null)
+    entry.errors =
+      missing.length - retired.length + returning.length - reinstated.length
+    entry.retired = retired
+    entry.reinstated = reinstated
+    if (retired.length > 0) countResult(modelName, 'retired', retired.length)
+    // Clearing retiredAt is an update like any other field change
+    if (reinstated.length > 0) {
+      countResult(modelName, 'updated', reinstated.length)
+    }
+  }
+
+  reconciliations.push(entry)
+  return { retired: entry.retired.length, reinstated: entry.reinstated.length }
+}
+
+/**
+ * Retirement Report
+ * =================
+ * Prints what each reconciled source retired and reinstated, with a few
+ * sample keys, and writes the full report (every key) as JSON. Does
+ * nothing if no source was reconciled.
+ *
+ * @param {string|null} [reportPath=settings.logs.retirement] - Where to write
+ *   the JSON report (null to skip)
+ */
+function reportRetirements(reportPath = settings.logs.retirement) {
+  if (reconciliations.length === 0) return
+
+  console.log('\nRetirement report:')
+  for (const entry of reconciliations) {
+    const scope = Object.keys(entry.scope).length
+      ? ` ${JSON.stringify(entry.scope)}`
+      : ''
+    console.log(
+      `  ${entry.model}${scope}: ${entry.retired.length} retired, ${entry.reinstated.length} reinstated` +
+        (entry.errors ? `, ${entry.errors} failed (see the log)` : '')
+    )
+    for (const action of ['retired', 'reinstated']) {
+      const keys = entry[action]
+      if (keys.length === 0) continue
+      const sample = keys.slice(0, REPORT_SAMPLE_LIMIT).join(', ')
+      const more = keys.length - REPORT_SAMPLE_LIMIT
+      console.log(
+        `    ${action}: ${sample}${more > 0 ? ` ... and ${more} more` : ''}`
+      )
+    }
+  }
+
+  if (reportPath) {
+    const report = {
+      generatedAt: new Date().toISOString(),
+      dryRun: settings.dryRun,
+      sources: reconciliations,
+    }
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2))
+    console.log(`Retirement report written to ${reportPath}`)
+  }
+}
+
+module.exports = {
+  RETIRABLE_MODELS,
+  isRetiring,
+  retirementDiff,
+  retireRecords,
+  reportRetirements,
+}
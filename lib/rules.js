@@ -0,0 +1,184 @@
+/*
+ * Cleanup Rules
+ * =============
+ *
+ * The data-repair rules run by `node index.js clean` (see lib/clean.js).
+ * Each rule finds one kind of bad data with a single set-based query and
+ * says what to do about it.
+ *
+ * Rule fields:
+ * - name         Used on the command line: `clean short-noc-outlooks`
+ * - description  What the rule detects, shown in the report
+ * - model        Prisma model (camelCase) of the affected rows
+ * - key          Primary key field of that model (default 'id')
+ * - action       'delete' - remove the rows
+ *                'repair' - fix the rows in place with repair()
+ *                'report' - only list them; a person has to decide
+ * - detect       SQL returning the affected rows' keys in a column named
+ *                "key" (used when Prisma's filters can't express the check)
+ * - where        ...or a Prisma where clause selecting the affected rows
+ * - dependents   (delete) Rows referencing the affected rows, removed first:
+ *                [{ model, field }]
+ * - repair       (repair) async (tx, keys) => number of rows fixed
+ *
+ * To add a rule, append it to CLEANUP_RULES. Rules run in list order, so a
+ * rule whose fix depends on another's (e.g. outlooks before unit groups)
+ * must come after it.
+ */
+
+const { classifyRating } = require('./ratings')
+
+const CLEANUP_RULES = [
+  {
+    name: 'short-noc-outlooks',
+    description: 'Outlooks whose NOC code has fewer than 5 digits',
+    model: 'outlook',
+    action: 'delete',
+    detect: 'SELECT id AS key FROM "Outlook" WHERE length(noc) < 5',
+  },
+  {
+    name: 'short-noc-unit-groups',
+    description: 'Unit groups whose NOC code has fewer than 5 digits',
+    model: 'unitGroup',
+    key: 'noc',
+    action: 'delete',
+    detect: 'SELECT noc AS key FROM "UnitGroup" WHERE length(noc) < 5',
+    // Program matches and translations are removed by the database (cascade)
+    dependents: [{ model: 'sectionsEntity', field: 'noc' }],
+  },
+  {
+    name: 'orphaned-sections',
+    description: 'Sections whose unit group no longer exists',
+    model: 'sectionsEntity',
+    action: 'delete',
+    detect: `SELECT s.id AS key FROM "SectionsEntity" s
+      LEFT JOIN "UnitGroup" u ON u.noc = s.noc
+      WHERE u.noc IS NULL`,
+  },
+  {
+    name: 'empty-outlook-trends',
+    description: 'Outlooks with no employment trends text',
+    model: 'outlook',
+    action: 'report',
+    detect: `SELECT id AS key FROM "Outlook" WHERE trim(trends) = ''`,
+  },
+  {
+    // Outlooks loaded before ratings were normalized. Rows whose label isn't
+    // a known rating are found again every run, but can't be repaired
+    name: 'unscored-outlooks',
+    description: 'Outlooks without a normalized rating and score',
+    model: 'outlook',
+    action: 'repair',
+    detect: 'SELECT id AS key FROM "Outlook" WHERE rating IS NULL',
+    repair: async (tx, keys) => {
+      const rows = await tx.outlook.findMany({
+        where: { id: { in: keys } },
+        select: { id: true, outlook: true },
+      })
+      // One update per distinct label
+      const idsByLabel = new Map()
+      for (const row of rows) {
+        if (!idsByLabel.has(row.outlook)) idsByLabel.set(row.outlook, [])
+        idsByLabel.get(row.outlook).push(row.id)
+      }
+      let repaired = 0
+      for (const [label, ids] of idsByLabel) {
+        const classified = classifyRating(label)
+        if (!classified) continue
+        const { count } = await tx.outlook.updateMany({
+          where: { id: { in: ids } },
+          data: classified,
+        })
+        repaired += count
+      }
+      return repaired
+    },
+  },
+  {
+    // The referenced unit group may have been seeded since; those links are
+    // repaired, the rest are left for a person to look at
+    name: 'unresolved-noc-references',
+    description:
+      'Unit group cross-references to a NOC code with no unit group (see lib/relations.js)',
+    model: 'unitGroupRelation',
+    action: 'repair',
+    detect: `SELECT id AS key FROM "UnitGroupRelation" WHERE "relatedNoc" IS NULL`,
+    repair: (tx, keys) =>
+      tx.$executeRawUnsafe(
+        `UPDATE "UnitGroupRelation" r SET "relatedNoc" = r."referencedNoc"
+          WHERE r.id = ANY($1)
+            AND EXISTS (SELECT 1 FROM "UnitGroup" u WHERE u.noc = r."referencedNoc")`,
+        keys
+      ),
+  },
+  {
+    // Unit groups seeded before the hierarchy was stored. The NocGroup rows
+    // above them are built by the next `seed unit-groups`
+    name: 'missing-noc-hierarchy',
+    description:
+      'Unit groups without a broad category and TEER (see lib/hierarchy.js)',
+    model: 'unitGroup',
+    key: 'noc',
+    action: 'repair',
+    detect: `SELECT noc AS key FROM "UnitGroup"
+      WHERE (teer IS NULL OR "broadCategory" IS NULL) AND noc ~ '^[0-9]{5}$'`,
+    repair: (tx, keys) =>
+      tx.$executeRawUnsafe(
+        `UPDATE "UnitGroup"
+          SET "broadCategory" = substring(noc, 1, 1)::int,
+              teer = substring(noc, 2, 1)::int
+          WHERE noc = ANY($1)`,
+        keys
+      ),
+  },
+  {
+    name: 'missing-known-noc-groups',
+    description:
+      'Programs whose known NOC groups include a code with no unit group',
+    model: 'program',
+    key: 'id',
+    action: 'report',
+    detect: `SELECT p.id AS key FROM "Program" p
+      WHERE EXISTS (
+        SELECT 1 FROM unnest(p."knownNocGroups") AS code
+        WHERE NOT EXISTS (SELECT 1 FROM "UnitGroup" u WHERE u.noc = code)
+      )`,
+  },
+  {
+    name: 'untidy-region-names',
+    description: 'Economic region names with stray or doubled whitespace',
+    model: 'economicRegion',
+    key: 'economicRegionCode',
+    action: 'repair',
+    detect: `SELECT "economicRegionCode" AS key FROM "EconomicRegion"
+      WHERE "economicRegionName" <> regexp_replace(trim("economicRegionName"), '\\s+', ' ', 'g')`,
+    repair: (tx, keys) =>
+      tx.$executeRawUnsafe(
+        `UPDATE "EconomicRegion"
+          SET "economicRegionName" = regexp_replace(trim("economicRegionName"), '\\s+', ' ', 'g')
+          WHERE "economicRegionCode" = ANY($1)`,
+        keys
+      ),
+  },
+  {
+    // Runs after untidy-region-names so whitespace differences are gone.
+    // Different provinces can have regions with the same name ("Northeast")
+    name: 'duplicate-region-names',
+    description:
+      'Economic regions that share a name with another region code in the same province',
+    model: 'economicRegion',
+    key: 'economicRegionCode',
+    action: 'report',
+    detect: `SELECT r."economicRegionCode" AS key FROM "EconomicRegion" r
+      WHERE EXISTS (
+        SELECT 1 FROM "EconomicRegion" other
+        WHERE lower(other."economicRegionName") = lower(r."economicRegionName")
+          AND other."economicRegionCode" <> r."economicRegionCode"
+          AND other.province IS NOT DISTINCT FROM r.province
+      )`,
+  },
+]
+
+module.exports = {
+  CLEANUP_RULES,
+}
@@ -0,0 +1,551 @@
+/*
+ * Import Runs
+ * ===========
+ *
+ * Every `seed` of a dataset is tracked as an ImportRun row holding the
+ * source file's checksum, start and end times, per-model counts, its errors
+ * grouped by code and model (see lib/logging.js) and the index of the last
+ * committed batch.
+ *
+ * How a run works:
+ * 1. startRun() records the run as "running"
+ * 2. runBatches() splits the records into batches of settings.batchSize and
+ *    commits each batch in its own transaction, together with the journal of
+ *    what it changed (ImportChange) and the run's new lastBatch. The bulk
+ *    loader (lib/bulk.js) uses runChunks() instead, which can commit several
+ *    batches side by side
+ * 3. finishRun() marks the run "completed", or "failed" if a batch could not
+ *    be committed
+ *
+ * Because a batch is all-or-nothing, a run that dies halfway leaves the
+ * database exactly as it was after lastBatch. `runs resume <id>` continues
+ * from the next batch; `runs rollback <id>` replays the journal backwards.
+ *
+ * Limitations:
+ * - Rows removed by a cascade (e.g. a pruned program's matches) are not
+ *   journaled, so a rollback can't bring them back
+ * - A resumed run doesn't prune or retire, because it never sees the
+ *   records of the batches it skipped
+ * - With --concurrency above 1, a run that dies can leave lastBatch behind
+ *   batches that did commit; resuming writes them again, and the bulk
+ *   loader skips the rows that are already there
+ */
+
+const { AsyncLocalStorage } = require('async_hooks') // Context that follows a chain of awaits (built-in Node.js module)
+const crypto = require('crypto') // Cryptographic functionality for hashing (built-in Node.js module)
+const fs = require('fs') // File system operations (built-in Node.js module)
+const { Prisma } = require('@prisma/client') // Prisma namespace (DbNull)
+const { settings } = require('./config')
+const { prisma, runInTransaction } = require('./db')
+const {
+  setLogContext,
+  log,
+  errorSummary,
+  resetErrorSummary,
+  printErrorSummary,
+} = require('./logging')
+const { processInChunks } = require('./utils')
+
+// Journal entries undone per rollback transaction
+const ROLLBACK_CHUNK_SIZE = 100
+
+// Nullable Json columns of the journaled models. Prisma rejects a plain null
+// written to a Json column; it has to be Prisma.DbNull
+const NULLABLE_JSON_FIELDS = {
+  economicRegion: ['boundary'],
+}
+
+// The run being imported, or null outside an import:
+// { id, dataset, lastBatch, nextBatch, committed, counts, resumed }
+// `committed` holds batches after lastBatch that committed ahead of an
+// earlier one (only with --concurrency)
+let currentRun = null
+
+// Journal entries of the batch being committed, kept per async context so
+// batches committed side by side don't mix their changes
+const batchJournal = new AsyncLocalStorage()
+
+/**
+ * File Checksum
+ * =============
+ * @param {string} filePath - Source file to fingerprint
+ * @returns {Promise<string>} Hex SHA-256 of the file's bytes (read as a
+ *   stream, so a large workbook isn't loaded whole)
+ */
+async function fileChecksum(filePath) {
+  const hash = crypto.createHash('sha256')
+  for await (const chunk of fs.createReadStream(filePath)) hash.update(chunk)
+  return hash.digest('hex')
+}
+
+/**
+ * Journal Check
+ * =============
+ * @returns {boolean} True while an import run is recording its changes
+ */
+function isRecording() {
+  return currentRun !== null
+}
+
+/**
+ * Resume Check
+ * ============
+ * @returns {boolean} True if the current run continues an earlier failed run
+ */
+function isResuming() {
+  return currentRun !== null && currentRun.resumed
+}
+
+/**
+ * Change Recorder
+ * ===============
+ * Adds one write to the journal of the batch being committed. Called by the
+ * write helpers in lib/sync.js and lib/bulk.js; does nothing outside an
+ * import batch.
+ *
+ * @param {string} modelName - Prisma model name in camelCase
+ * @param {'create'|'update'|'delete'} action - What was done to the row
+ * @param {Object} key - Primary key of the row, e.g. { noc: '21231' }
+ * @param {Object} [before] - Previous values (updates and deletes only)
+ */
+function recordChange(modelName, action, key, before = null) {
+  const journal = batchJournal.getStore()
+  if (!currentRun || !journal) return
+  journal.push({ model: modelName, action, key, before })
+}
+
+/**
+ * Run Starter
+ * ===========
+ * Creates the ImportRun row for a dataset, or re-opens a failed one.
+ *
+ * @param {string} dataset - Dataset name (see lib/datasets.js)
+ * @param {string} filePath - The source file being imported
+ * @param {Object} [resume] - ImportRun row to continue instead of starting a new run
+ * @returns {Promise<Object>} The ImportRun row
+ */
+async function startRun(dataset, filePath, resume = null) {
+  const run = resume
+    ? await prisma.importRun.update({
+        where: { id: resume.id },
+        data: { status: 'running', error: null, finishedAt: null },
+      })
+    : await prisma.importRun.create({
+        data: {
+          dataset,
+          sourceFile: filePath,
+          checksum: await fileChecksum(filePath),
+          status: 'running',
+          options: {
+            batchSize: settings.batchSize,
+            bulk: settings.bulk, // Bulk batches are sized differently
+            sheets: settings.sheets, // --sheet changes which rows are read
+            sync: settings.sync,
+            prune: settings.prune,
+            retire: settings.retire,
+            outlookRelease: settings.outlookRelease,
+            lang: settings.lang,
+          },
+        },
+      })
+
+  currentRun = {
+    id: run.id,
+    dataset,
+    lastBatch: run.lastBatch,
+    nextBatch: 0,
+    committed: new Set(),
+    counts: run.counts || {},
+    resumed: Boolean(resume),
+  }
+  // Log entries carry the run; a resumed run adds to its earlier errors
+  setLogContext({ runId: run.id, dataset, file: filePath })
+  resetErrorSummary(resume ? run.errors || [] : [])
+  log('info', resume ? 'run-resumed' : 'run-started', `Import run #${run.id}`)
+  console.log(
+    resume
+      ? `Resuming import run #${run.id} (${dataset}) after batch ${run.lastBatch}`
+      : `Import run #${run.id} (${dataset})`
+  )
+  return run
+}
+
+/**
+ * Run Finisher
+ * ============
+ * Marks the run as finished, with its errors grouped by code and model
+ * (printed, logged and stored on the ImportRun).
+ *
+ * @param {'completed'|'failed'} status - How the run ended
+ * @param {Error} [error] - What stopped a failed run
+ */
+async function finishRun(status, error = null) {
+  const run = currentRun
+  currentRun = null
+  const errors = errorSummary()
+  await prisma.importRun.update({
+    where: { id: run.id },
+    data: {
+      status,
+      error: error ? error.message : null,
+      finishedAt: new Date(),
+      lastBatch: run.lastBatch,
+      counts: run.counts,
+      errors,
+    },
+  })
+
+  log(
+    status === 'failed' ? 'error' : 'info',
+    'run-finished',
+    `Import run #${run.id} ${status}`,
+    {
+      status,
+      counts: run.counts,
+      errors,
+      error: error ? error.message : undefined,
+    }
+  )
+  setLogContext({})
+  printErrorSummary(errors)
+}
+
+/**
+ * Import Run Wrapper
+ * ==================
+ * Runs one dataset's seeding step as a tracked import run.
+ *
+ * @param {string} dataset - Dataset name (see lib/datasets.js)
+ * @param {string} filePath - The source file being imported
+ * @param {Function} operation - The seeding step (uses runBatches())
+ * @param {Object} [resume] - Failed ImportRun row to continue
+ * @returns {Promise<void>}
+ * @throws The error that stopped the run, after marking it "failed"
+ *
+ * - Dry runs are not tracked: nothing is written, so there is nothing to resume
+ */
+async function withImportRun(dataset, filePath, operation, resume = null) {
+  if (settings.dryRun) return operation()
+
+  await startRun(dataset, filePath, resume)
+  const runId = currentRun.id
+  try {
+    await operation()
+  } catch (error) {
+    await finishRun('failed', error)
+    console.error(
+      `\nImport run #${runId} failed: ${error.message}\n` +
+        `Fix the problem and run \`node index.js runs resume ${runId}\`, ` +
+        `or undo it with \`node index.js runs rollback ${runId}\``
+    )
+    throw error
+  }
+  await finishRun('completed')
+}
+
+/**
+ * Count Merger
+ * ============
+ * @param {Object} counts - Per-model counts, e.g. { outlook: { create: 40 } }
+ * @param {Object[]} changes - Journal entries of one batch
+ * @returns {Object} New counts with the changes added
+ */
+function mergeCounts(counts, changes) {
+  const merged = JSON.parse(JSON.stringify(counts))
+  for (const change of changes) {
+    merged[change.model] = merged[change.model] || {}
+    merged[change.model][change.action] =
+      (merged[change.model][change.action] || 0) + 1
+  }
+  return merged
+}
+
+/**
+ * Committed Batch Tracker
+ * =======================
+ * @param {Object} run - The current run
+ * @param {number} [index] - A batch about to commit, counted as committed
+ * @returns {number} The last batch before which every batch has committed
+ *   (what lastBatch may safely say)
+ */
+function committedThrough(run, index) {
+  let last = run.lastBatch
+  while (last + 1 === index || run.committed.has(last + 1)) last++
+  return last
+}
+
+/**
+ * Batch Committer
+ * ===============
+ * Runs one batch in a transaction and, in the same transaction, saves its
+ * journal entries and advances the run's lastBatch and counts.
+ *
+ * @param {number} index - The batch's position in the run
+ * @param {Function} operation - Async function doing the batch's writes
+ *
+ * - Batches committed side by side each keep their own journal; lastBatch
+ *   only moves past batches that have all committed
+ * - The run's row stays locked until the batch commits, so the next batch
+ *   to commit adds to counts that include this one
+ */
+async function commitBatch(index, operation) {
+  const run = currentRun
+  const journal = []
+
+  await runInTransaction(
+    async (tx) => {
+      await batchJournal.run(journal, operation)
+
+      if (journal.length > 0) {
+        await tx.importChange.createMany({
+          data: journal.map((change) => ({
+            runId: run.id,
+            batch: index,
+            ...change,
+          })),
+        })
+      }
+      // Lock the run's row and read what the batches committed so far have
+      // written; merging into our own snapshot instead would let side-by-side
+      // batches overwrite each other's counts
+      const [saved] = await tx.$queryRawUnsafe(
+        'SELECT "lastBatch", counts FROM "ImportRun" WHERE id = $1 FOR UPDATE',
+        run.id
+      )
+      await tx.importRun.update({
+        where: { id: run.id },
+        data: {
+          lastBatch: Math.max(saved.lastBatch, committedThrough(run, index)),
+          // Merge this batch's changes into the run's per-model counts
+          counts: mergeCounts(saved.counts, journal),
+        },
+      })
+    },
+    { timeout: settings.transactionTimeout, maxWait: 10000 }
+  )
+
+  // Kept in step in memory too, for finishRun()
+  run.counts = mergeCounts(run.counts, journal)
+  run.committed.add(index)
+  run.lastBatch = committedThrough(run)
+}
+
+/**
+ * Batched Import
+ * ==============
+ * The import-run version of processInChunks(): each chunk of records is
+ * committed atomically, and chunks committed by an earlier attempt of a
+ * resumed run are skipped.
+ *
+ * @param {Array} records - Items to import
+ * @param {Function} handler - Async function writing one item
+ *
+ * - Items within a batch are handled one at a time, because they share a
+ *   single transaction (and so a single database connection)
+ * - Outside an import run (dry runs) this is plain processInChunks()
+ */
+async function runBatches(records, handler) {
+  if (!currentRun) return processInChunks(records, handler)
+
+  for (let i = 0; i < records.length; i += settings.batchSize) {
+    const index = currentRun.nextBatch++
+    if (index <= currentRun.lastBatch) continue // Committed before the failure
+
+    const chunk = records.slice(i, i + settings.batchSize)
+    await commitBatch(index, async () => {
+      for (const item of chunk) await handler(item)
+    })
+  }
+}
+
+/**
+ * Chunked Import
+ * ==============
+ * Like runBatches(), but the handler writes a whole chunk of records at once
+ * (see lib/bulk.js), and up to `concurrency` chunks are committed side by
+ * side, each in its own transaction.
+ *
+ * @param {Array} records - Items to import
+ * @param {number} size - Items per chunk (one chunk is one batch)
+ * @param {Function} handler - Async function writing one chunk (an array)
+ * @param {number} [concurrency=1] - Chunks committed at the same time
+ * @throws The first error a chunk failed with, once the chunks already
+ *   started have finished (no new ones are started after a failure)
+ *
+ * - Every chunk committing at once needs its own database connection, so
+ *   keep concurrency below Prisma's connection_limit
+ */
+async function runChunks(records, size, handler, concurrency = 1) {
+  const chunks = []
+  for (let i = 0; i < records.length; i += size) {
+    chunks.push(records.slice(i, i + size))
+  }
+  if (!currentRun) return processInChunks(chunks, handler, concurrency)
+
+  // Numbered up front so batch indexes don't depend on commit order
+  const run = currentRun
+  const batches = chunks
+    .map((chunk) => ({ index: run.nextBatch++, chunk }))
+    .filter(({ index }) => index > run.lastBatch) // Committed before the failure
+
+  let next = 0
+  let failure = null
+  const worker = async () => {
+    while (!failure && next < batches.length) {
+      const { index, chunk } = batches[next++]
+      try {
+        await commitBatch(index, () => handler(chunk))
+      } catch (error) {
+        failure = failure || error
+      }
+    }
+  }
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, batches.length) }, worker)
+  )
+  if (failure) throw failure
+}
+
+/**
+ * Single Batch Import
+ * ===================
+ * Runs an operation that isn't per-record (e.g. pruning) as one batch of
+ * the current run. Outside an import run it simply runs.
+ *
+ * @param {Function} operation - Async function doing the writes
+ */
+async function runBatch(operation) {
+  if (!currentRun) return operation()
+
+  const index = currentRun.nextBatch++
+  if (index <= currentRun.lastBatch) return
+  await commitBatch(index, operation)
+}
+
+/**
+ * Run List Query
+ * ==============
+ * @param {number} [limit=20] - How many runs to return
+ * @returns {Promise<Object[]>} The most recent ImportRun rows, newest first
+ */
+async function listRuns(limit = 20) {
+  return prisma.importRun.findMany({ orderBy: { id: 'desc' }, take: limit })
+}
+
+/**
+ * Run Lookup
+ * ==========
+ * @param {number} id - ImportRun id
+ * @returns {Promise<Object|null>} The run, or null if it doesn't exist
+ */
+async function getRun(id) {
+  return prisma.importRun.findUnique({ where: { id } })
+}
+
+/**
+ * Journaled Row Data
+ * ==================
+ * @param {string} modelName - Prisma model the row belongs to
+ * @param {Object} before - The row as journaled (ImportChange.before)
+ * @returns {Object} The row, writable again: null Json columns are DbNull
+ */
+function restorableData(modelName, before) {
+  const data = { ...before }
+  for (const field of NULLABLE_JSON_FIELDS[modelName] || []) {
+    if (data[field] === null) data[field] = Prisma.DbNull
+  }
+  return data
+}
+
+/**
+ * Single Change Undo
+ * ==================
+ * @param {Object} tx - Transaction client
+ * @param {Object} change - ImportChange row
+ */
+async function undoChange(tx, change) {
+  const model = tx[change.model]
+  if (change.action === 'create') {
+    await model.deleteMany({ where: change.key })
+  } else if (change.action === 'update') {
+    await model.updateMany({
+      where: change.key,
+      data: restorableData(change.model, change.before),
+    })
+  } else if (change.action === 'delete') {
+    await model.create({ data: restorableData(change.model, change.before) })
+  }
+}
+
+/**
+ * Run Rollback
+ * ============
+ * Undoes everything an import run wrote, newest change first.
+ *
+ * @param {number} id - ImportRun id
+ * @returns {Promise<number>} Number of changes undone
+ * @throws {Error} If the run doesn't exist, was already rolled back, or a
+ *   later run hasn't been rolled back yet (its changes may depend on this one)
+ *
+ * - Changes are undone in chunks; each chunk removes its journal entries in
+ *   the same transaction, so an interrupted rollback can simply be re-run
+ */
+async function rollbackRun(id) {
+  const run = await getRun(id)
+  if (!run) throw new Error(`Import run #${id} does not exist`)
+  if (run.status === 'rolled_back') {
+    throw new Error(`Import run #${id} was already rolled back`)
+  }
+
+  const later = await prisma.importRun.findMany({
+    where: { id: { gt: id }, status: { not: 'rolled_back' } },
+    select: { id: true },
+  })
+  if (later.length > 0) {
+    throw new Error(
+      `Roll back the later run(s) first: ${later.map((r) => `#${r.id}`).join(', ')}`
+    )
+  }
+
+  let undone = 0
+  for (;;) {
+    const changes = await prisma.importChange.findMany({
+      where: { runId: id },
+      orderBy: { id: 'desc' },
+      take: ROLLBACK_CHUNK_SIZE,
+    })
+    if (changes.length === 0) break
+
+    await runInTransaction(
+      async (tx) => {
+        for (const change of changes) await undoChange(tx, change)
+        await tx.importChange.deleteMany({
+          where: { id: { in: changes.map((change) => change.id) } },
+        })
+      },
+      { timeout: settings.transactionTimeout, maxWait: 10000 }
+    )
+    undone += changes.length
+  }
+
+  await prisma.importRun.update({
+    where: { id },
+    data: { status: 'rolled_back', lastBatch: -1, finishedAt: new Date() },
+  })
+  return undone
+}
+
+module.exports = {
+  fileChecksum,
+  isRecording,
+  isResuming,
+  recordChange,
+  withImportRun,
+  runBatches,
+  runChunks,
+  runBatch,
+  listRuns,
+  getRun,
+  undoChange,
+  rollbackRun,
+}
@@ -0,0 +1,270 @@
+/*
+ * Outlook Scores
+ * ==============
+ *
+ * Aggregate queries over the numeric outlook scores (1 = very limited to
+ * 5 = very good, see lib/ratings.js):
+ *
+ * - averageOutlookScores() - the average score of every NOC across the
+ *   economic regions of a province ("which occupations have the best outlook
+ *   in BC?")
+ * - bestRegionsForNoc()    - the regions where one NOC's outlook is best
+ * - rollUpOutlooks()       - the average score of each TEER category or
+ *   broad occupational category (see lib/hierarchy.js)
+ *
+ * All look at one release and one language at a time, so a NOC isn't
+ * counted twice: by default the latest release, in English, in BC.
+ * Undetermined ratings have no score and are left out, and so are the
+ * outlooks of retired unit groups (see outlookWhere() in lib/queries.js).
+ */
+
+const { prisma } = require('./db')
+const {
+  ALL_PROVINCES,
+  resolveLang,
+  localizeUnitGroup,
+  outlookWhere,
+} = require('./queries')
+const {
+  BROAD_CATEGORIES,
+  TEER_CATEGORIES,
+  nocHierarchy,
+} = require('./hierarchy')
+
+// Province used when the caller doesn't name one (VIU is in BC)
+const DEFAULT_PROVINCE = 'BC'
+
+// Regions returned by bestRegionsForNoc() when the caller doesn't ask for a number
+const DEFAULT_REGION_LIMIT = 10
+
+// Levels rollUpOutlooks() can group by → the titles of their categories
+const ROLLUP_LEVELS = {
+  teer: TEER_CATEGORIES,
+  broadCategory: BROAD_CATEGORIES,
+}
+
+/**
+ * Release Resolver
+ * ================
+ * @param {string} [release] - Release label asked for (e.g. "2024-2026")
+ * @returns {Promise<string|undefined>} That label, or else the latest loaded
+ *   release's label (undefined if no release has been loaded)
+ */
+async function resolveScoreRelease(release) {
+  if (release) return release
+  const latest = await prisma.outlookRelease.findFirst({
+    orderBy: [
+      { startYear: { sort: 'desc', nulls: 'last' } },
+      { label: 'desc' },
+    ],
+  })
+  return latest ? latest.label : undefined
+}
+
+/**
+ * Score Filter Builder
+ * ====================
+ * @param {Object} filters - `{ noc, province, release, lang }`, already resolved
+ * @returns {Object} Prisma where clause for scored outlooks
+ */
+function scoreWhere({ noc, province, release, lang }) {
+  return {
+    ...outlookWhere({ noc, lang, province, release }),
+    ratingScore: { not: null }, // Undetermined or unknown ratings
+  }
+}
+
+/**
+ * Average Outlook Score Query
+ * ===========================
+ * Averages each NOC's outlook score over the regions of a province.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.province='BC'] - Province code or name, or 'all'
+ * @param {string} [options.release] - Release label (default: the latest)
+ * @param {string} [options.lang='EN'] - Language of the outlooks and titles
+ * @param {string} [options.noc] - Only this NOC code
+ * @returns {Promise<Object>} `{ province, release, lang, data }` where data
+ *   lists `{ noc, occupation, averageScore, regions, bestScore, worstScore }`,
+ *   best average first
+ *
+ * - averageScore is rounded to 2 decimals; regions is how many scored
+ *   regions it was averaged over
+ */
+async function averageOutlookScores({
+  province = DEFAULT_PROVINCE,
+  release,
+  lang,
+  noc,
+} = {}) {
+  lang = resolveLang(lang)
+  release = await resolveScoreRelease(release)
+
+  const groups = await prisma.outlook.groupBy({
+    by: ['noc'],
+    where: scoreWhere({ noc, province, release, lang }),
+    _avg: { ratingScore: true },
+    _count: { ratingScore: true },
+    _max: { ratingScore: true },
+    _min: { ratingScore: true },
+  })
+
+  // Occupation titles, in the requested language where translated
+  const unitGroups = await prisma.unitGroup.findMany({
+    where: { noc: { in: groups.map((group) => group.noc) } },
+    include: { translations: { where: { lang } } },
+  })
+  const titles = new Map(
+    unitGroups.map((unitGroup) => [
+      unitGroup.noc,
+      localizeUnitGroup(unitGroup, lang).occupation,
+    ])
+  )
+
+  const data = groups
+    .map((group) => ({
+      noc: group.noc,
+      occupation: titles.get(group.noc) || null,
+      averageScore: Math.round(group._avg.ratingScore * 100) / 100,
+      regions: group._count.ratingScore,
+      bestScore: group._max.ratingScore,
+      worstScore: group._min.ratingScore,
+    }))
+    .sort(
+      (a, b) => b.averageScore - a.averageScore || a.noc.localeCompare(b.noc)
+    )
+
+  return { province, release: release || null, lang, data }
+}
+
+/**
+ * Best Regions Query
+ * ==================
+ * Lists the economic regions where a NOC's outlook is best.
+ *
+ * @param {string} noc - 5-digit NOC code
+ * @param {Object} [options]
+ * @param {string} [options.province='BC'] - Province code or name, or 'all'
+ * @param {string} [options.release] - Release label (default: the latest)
+ * @param {string} [options.lang='EN'] - Language of the outlooks and title
+ * @param {number} [options.limit=10] - Regions returned
+ * @returns {Promise<Object|null>} `{ noc, occupation, province, release, lang,
+ *   regions }` where each region has its code, name, province, the rating as
+ *   published, the normalized rating and the score, best first; null if the
+ *   unit group doesn't exist (or is retired)
+ *
+ * - Regions with the same score are listed by region code
+ */
+async function bestRegionsForNoc(
+  noc,
+  {
+    province = DEFAULT_PROVINCE,
+    release,
+    lang,
+    limit = DEFAULT_REGION_LIMIT,
+  } = {}
+) {
+  lang = resolveLang(lang)
+  const unitGroup = await prisma.unitGroup.findUnique({
+    where: { noc },
+    include: { translations: { where: { lang } } },
+  })
+  if (!unitGroup || unitGroup.retiredAt) return null
+  release = await resolveScoreRelease(release)
+
+  const outlooks = await prisma.outlook.findMany({
+    where: scoreWhere({ noc, province, release, lang }),
+    include: { economicRegion: true },
+    orderBy: [{ ratingScore: 'desc' }, { economicRegionCode: 'asc' }],
+    take: limit,
+  })
+
+  return {
+    noc,
+    occupation: localizeUnitGroup(unitGroup, lang).occupation,
+    province,
+    release: release || null,
+    lang,
+    regions: outlooks.map((outlook) => ({
+      economicRegionCode: outlook.economicRegionCode,
+      economicRegionName: outlook.economicRegion.economicRegionName,
+      province: outlook.province,
+      outlook: outlook.outlook,
+      rating: outlook.rating,
+      ratingScore: outlook.ratingScore,
+    })),
+  }
+}
+
+/**
+ * Outlook Roll-Up Query
+ * =====================
+ * Averages the outlook scores of every occupation in each TEER category or
+ * broad occupational category, e.g. "how do TEER 1 jobs do in BC?".
+ *
+ * @param {Object} [options]
+ * @param {'teer'|'broadCategory'} [options.by='teer'] - What to group by
+ * @param {string} [options.province='BC'] - Province code or name, or 'all'
+ * @param {string} [options.release] - Release label (default: the latest)
+ * @param {string} [options.lang='EN'] - Language of the outlooks
+ * @returns {Promise<Object>} `{ by, province, release, lang, data }` where
+ *   data lists `{ teer|broadCategory, title, averageScore, occupations,
+ *   outlooks }` per category, in category order
+ *
+ * - averageScore is over every scored outlook (occupation and region) in
+ *   the category, rounded to 2 decimals
+ * - The category comes from the NOC code, so unit groups seeded before the
+ *   hierarchy are counted too
+ */
+async function rollUpOutlooks({
+  by = 'teer',
+  province = DEFAULT_PROVINCE,
+  release,
+  lang,
+} = {}) {
+  lang = resolveLang(lang)
+  release = await resolveScoreRelease(release)
+
+  const groups = await prisma.outlook.groupBy({
+    by: ['noc'],
+    where: scoreWhere({ province, release, lang }),
+    _sum: { ratingScore: true },
+    _count: { ratingScore: true },
+  })
+
+  // Fold the per-NOC totals into their categories
+  const categories = new Map()
+  for (const group of groups) {
+    const category = nocHierarchy(group.noc)[by]
+    if (category === null) continue
+    if (!categories.has(category)) {
+      categories.set(category, { sum: 0, outlooks: 0, occupations: 0 })
+    }
+    const totals = categories.get(category)
+    totals.sum += group._sum.ratingScore
+    totals.outlooks += group._count.ratingScore
+    totals.occupations++
+  }
+
+  const data = [...categories.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([category, totals]) => ({
+      [by]: category,
+      title: ROLLUP_LEVELS[by][category] || null,
+      averageScore: Math.round((totals.sum / totals.outlooks) * 100) / 100,
+      occupations: totals.occupations,
+      outlooks: totals.outlooks,
+    }))
+
+  return { by, province, release: release || null, lang, data }
+}
+
+module.exports = {
+  DEFAULT_PROVINCE,
+  ALL_PROVINCES,
+  DEFAULT_REGION_LIMIT,
+  ROLLUP_LEVELS,
+  averageOutlookScores,
+  bestRegionsForNoc,
+  rollUpOutlooks,
+}
@@ -0,0 +1,333 @@
+/*
+ * Full-Text Search
+ * ================
+ *
+ * Finds unit groups and programs by the words in their titles, section items
+ * and keywords. A query like "paramedic" or "baker" returns the occupations
+ * that mention it, ranked by where the word was found (title first, then
+ * illustrative examples, then duties), plus the programs (of every loaded
+ * institution) whose title or search keywords contain it.
+ *
+ * How it works:
+ * 1. After seeding, rebuildSearchIndex() splits every searchable field into
+ *    normalized words (normalizeText() from lib/matching.js, so "Bakers"
+ *    becomes "baker") and stores one SearchTerm row per word, document and field
+ * 2. search() normalizes the query the same way, looks its words up in
+ *    SearchTerm, and keeps documents that contain every word
+ * 3. Each query word scores the weight of the best field it was found in
+ *
+ * Only the English titles and sections are indexed.
+ *
+ * The index is derived data: it can always be rebuilt from the database with
+ * `node index.js reindex`.
+ */
+
+const { prisma } = require('./db')
+const { normalizeText } = require('./matching')
+const { sectionItems } = require('./sections')
+
+// Where a word was found → how much that hit is worth
+const SEARCH_WEIGHTS = {
+  unitGroup: {
+    title: 10,
+    examples: 6,
+    inclusions: 5,
+    requirements: 3,
+    duties: 2,
+  },
+  program: {
+    title: 10,
+    nocSearchKeywords: 6,
+    viuSearchKeywords: 4,
+  },
+}
+
+// Words too common to be worth indexing or searching for
+const STOP_WORDS = new Set([
+  'a',
+  'an',
+  'and',
+  'as',
+  'at',
+  'by',
+  'for',
+  'from',
+  'in',
+  'of',
+  'on',
+  'or',
+  'the',
+  'to',
+  'with',
+])
+
+// Results returned per kind when the caller doesn't ask for a number
+const DEFAULT_SEARCH_LIMIT = 20
+
+// Matching items shown with each result
+const HIGHLIGHT_LIMIT = 3
+
+// SearchTerm rows inserted per createMany() call
+const INDEX_CHUNK_SIZE = 1000
+
+/**
+ * Search Term Extractor
+ * =====================
+ * @param {string} text - Raw text (a title, a section item, a query, ...)
+ * @returns {string[]} Distinct normalized words, without stop words
+ */
+function searchTerms(text) {
+  const words = normalizeText(text).trim().split(' ')
+  return [...new Set(words.filter((word) => word && !STOP_WORDS.has(word)))]
+}
+
+/**
+ * Searchable Field Lookup
+ * =======================
+ * @param {string} kind - unitGroup or program
+ * @param {Object} record - Unit group (with sections) or program row
+ * @returns {Object} Field name → list of texts, for every SEARCH_WEIGHTS field
+ */
+function searchableFields(kind, record) {
+  if (kind === 'unitGroup') {
+    return {
+      title: [record.occupation],
+      examples: sectionItems(record, 'examples'),
+      inclusions: sectionItems(record, 'inclusions'),
+      requirements: sectionItems(record, 'requirements'),
+      duties: sectionItems(record, 'duties'),
+    }
+  }
+  return {
+    title: [record.title],
+    nocSearchKeywords: record.nocSearchKeywords || [],
+    viuSearchKeywords: (record.viuSearchKeywords || '').split(','),
+  }
+}
+
+/**
+ * Index Row Builder
+ * =================
+ * @param {string} kind - unitGroup or program
+ * @param {string} key - NOC code or program id
+ * @param {Object} record - Unit group (with sections) or program row
+ * @returns {Object[]} SearchTerm rows, one per distinct word and field
+ */
+function indexRows(kind, key, record) {
+  const rows = []
+  for (const [field, texts] of Object.entries(searchableFields(kind, record))) {
+    for (const term of searchTerms(texts.join(' | '))) {
+      rows.push({ term, kind, key, field, weight: SEARCH_WEIGHTS[kind][field] })
+    }
+  }
+  return rows
+}
+
+/**
+ * Search Index Builder
+ * ====================
+ * Replaces the whole SearchTerm table with a fresh index of every unit group
+ * and program that isn't retired (see lib/retire.js). Called at the end of
+ * `seed`, and by `reindex`.
+ *
+ * @returns {Promise<number>} Number of SearchTerm rows written
+ *
+ * - Rows are inserted in chunks so the 500-odd unit groups (with thousands of
+ *   section items) don't become one enormous insert
+ */
+async function rebuildSearchIndex() {
+  console.log('\nRebuilding search index...')
+
+  const [unitGroups, programs] = await Promise.all([
+    prisma.unitGroup.findMany({
+      where: { retiredAt: null },
+      include: { sections: { where: { lang: 'EN' } } },
+    }),
+    prisma.program.findMany({ where: { retiredAt: null } }),
+  ])
+  const rows = [
+    ...unitGroups.flatMap((unitGroup) =>
+      indexRows('unitGroup', unitGroup.noc, unitGroup)
+    ),
+    ...programs.flatMap((program) =>
+      indexRows('program', String(program.id), program)
+    ),
+  ]
+
+  await prisma.searchTerm.deleteMany({})
+  for (let i = 0; i < rows.length; i += INDEX_CHUNK_SIZE) {
+    await prisma.searchTerm.createMany({
+      data: rows.slice(i, i + INDEX_CHUNK_SIZE),
+    })
+  }
+
+  console.log(
+    `Indexed ${unitGroups.length} unit groups and ${programs.length} programs (${rows.length} terms)`
+  )
+  return rows.length
+}
+
+/**
+ * Hit Ranker
+ * ==========
+ * Turns SearchTerm rows into ranked documents.
+ *
+ * @param {Object[]} hits - SearchTerm rows for the query's words
+ * @param {string[]} terms - The query's words
+ * @returns {{ kind: string, key: string, score: number, matchedIn: string[] }[]}
+ *   Documents containing every query word, best first
+ *
+ * - `matchedIn` lists the fields that matched, strongest first
+ */
+function rankHits(hits, terms) {
+  const documents = new Map()
+
+  for (const hit of hits) {
+    const id = `${hit.kind}:${hit.key}`
+    if (!documents.has(id)) {
+      documents.set(id, {
+        kind: hit.kind,
+        key: hit.key,
+        terms: new Map(),
+        fields: new Map(),
+      })
+    }
+    const document = documents.get(id)
+    // Each query word counts once, with the weight of its best field
+    document.terms.set(
+      hit.term,
+      Math.max(document.terms.get(hit.term) || 0, hit.weight)
+    )
+    document.fields.set(hit.field, hit.weight)
+  }
+
+  return [...documents.values()]
+    .filter((document) => document.terms.size === terms.length)
+    .map((document) => ({
+      kind: document.kind,
+      key: document.key,
+      score: [...document.terms.values()].reduce((sum, w) => sum + w, 0),
+      matchedIn: [...document.fields.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .map(([field]) => field),
+    }))
+    .sort((a, b) => b.score - a.score || a.key.localeCompare(b.key))
+}
+
+/**
+ * Highlight Picker
+ * ================
+ * @param {Object} fields - Output of searchableFields()
+ * @param {string[]} matchedIn - Fields that matched, strongest first
+ * @param {string[]} terms - The query's words
+ * @returns {{ field: string, text: string }[]} A few of the texts that
+ *   contain a query word, from the strongest fields first
+ */
+function pickHighlights(fields, matchedIn, terms) {
+  const highlights = []
+  for (const field of matchedIn) {
+    for (const text of fields[field]) {
+      const words = searchTerms(text)
+      if (terms.some((term) => words.includes(term))) {
+        highlights.push({ field, text: text.trim() })
+        if (highlights.length === HIGHLIGHT_LIMIT) return highlights
+      }
+    }
+  }
+  return highlights
+}
+
+/**
+ * Search Query
+ * ============
+ * Searches unit groups and programs for every word of a query.
+ *
+ * @param {string} query - Free text, e.g. "paramedic" or "pastry baker"
+ * @param {Object} [options]
+ * @param {number} [options.limit=20] - Results returned per kind
+ * @returns {Promise<Object>} `{ query, terms, unitGroups, programs }` where
+ *   each result has `score`, `matchedIn` (fields, strongest first) and
+ *   `highlights` (matching items); unit groups also have `noc` and
+ *   `occupation`, programs `id`, `institutionCode`, `nid`, `title` and
+ *   `credential`
+ *
+ * - A query made only of stop words (or punctuation) returns no results
+ */
+async function search(query, { limit = DEFAULT_SEARCH_LIMIT } = {}) {
+  const terms = searchTerms(query)
+  const result = { query, terms, unitGroups: [], programs: [] }
+  if (terms.length === 0) return result
+
+  const hits = await prisma.searchTerm.findMany({
+    where: { term: { in: terms } },
+  })
+  const ranked = rankHits(hits, terms)
+  const top = (kind) =>
+    ranked.filter((doc) => doc.kind === kind).slice(0, limit)
+  const unitGroupHits = top('unitGroup')
+  const programHits = top('program')
+
+  // Load the full records of the results, to show what matched
+  const [unitGroups, programs] = await Promise.all([
+    prisma.unitGroup.findMany({
+      where: {
+        noc: { in: unitGroupHits.map((hit) => hit.key) },
+        retiredAt: null,
+      },
+      include: { sections: { where: { lang: 'EN' } } },
+    }),
+    prisma.program.findMany({
+      where: {
+        id: { in: programHits.map((hit) => Number(hit.key)) },
+        retiredAt: null,
+      },
+    }),
+  ])
+  const unitGroupsByNoc = new Map(unitGroups.map((u) => [u.noc, u]))
+  const programsById = new Map(programs.map((p) => [String(p.id), p]))
+
+  // A result whose record was deleted (or retired) since the last reindex is left out
+  for (const hit of unitGroupHits) {
+    const unitGroup = unitGroupsByNoc.get(hit.key)
+    if (!unitGroup) continue
+    result.unitGroups.push({
+      noc: unitGroup.noc,
+      occupation: unitGroup.occupation,
+      score: hit.score,
+      matchedIn: hit.matchedIn,
+      highlights: pickHighlights(
+        searchableFields('unitGroup', unitGroup),
+        hit.matchedIn,
+        terms
+      ),
+    })
+  }
+  for (const hit of programHits) {
+    const program = programsById.get(hit.key)
+    if (!program) continue
+    result.programs.push({
+      id: program.id,
+      institutionCode: program.institutionCode,
+      nid: program.nid,
+      title: program.title,
+      credential: program.credential,
+      score: hit.score,
+      matchedIn: hit.matchedIn,
+      highlights: pickHighlights(
+        searchableFields('program', program),
+        hit.matchedIn,
+        terms
+      ),
+    })
+  }
+
+  return result
+}
+
+module.exports = {
+  SEARCH_WEIGHTS,
+  DEFAULT_SEARCH_LIMIT,
+  searchTerms,
+  rebuildSearchIndex,
+  search,
+}
@@ -0,0 +1,76 @@
+/*
+ * NOC Section Titles
+ * ==================
+ *
+ * Every unit group in unit_groups.json carries the same handful of sections,
+ * identified only by their title. These constants give each one a short key
+ * so the rest of the code doesn't repeat the exact title strings.
+ *
+ * The French unit groups file uses the French NOC titles; sections are
+ * stored with their language (SectionsEntity.lang) and their own title.
+ */
+
+// Section key → exact title used in the source data and SectionsEntity.title
+const SECTION_TITLES = {
+  examples: 'Illustrative example(s)',
+  duties: 'Main duties',
+  requirements: 'Employment requirements',
+  exclusions: 'Exclusion(s)',
+  inclusions: 'Inclusion(s)',
+  additionalInfo: 'Additional information',
+}
+
+// The same sections in the French NOC ("Exclusion(s)" and "Inclusion(s)"
+// are spelled the same in both languages)
+const SECTION_TITLES_FR = {
+  examples: 'Exemple(s) illustratif(s)',
+  duties: 'Fonctions principales',
+  requirements: "Conditions d'accès à la profession",
+  exclusions: 'Exclusion(s)',
+  inclusions: 'Inclusion(s)',
+  additionalInfo: 'Renseignements supplémentaires',
+}
+
+// Language code → section titles in that language
+const SECTION_TITLES_BY_LANG = {
+  EN: SECTION_TITLES,
+  FR: SECTION_TITLES_FR,
+}
+
+/**
+ * Section Key Lookup
+ * ==================
+ * @param {string} title - A section title as stored
+ * @param {string} [lang='EN'] - The language the title is written in
+ * @returns {string|undefined} The SECTION_TITLES key (e.g. 'duties'), or
+ *   undefined for a title that isn't a known section
+ */
+function sectionKey(title, lang = 'EN') {
+  const titles = SECTION_TITLES_BY_LANG[lang] || SECTION_TITLES
+  return Object.keys(titles).find((key) => titles[key] === title)
+}
+
+/**
+ * Section Items Lookup
+ * ====================
+ * Returns the items of one section of a unit group.
+ *
+ * @param {Object} unitGroup - A unit group with its `sections` array loaded
+ * @param {string} key - One of the SECTION_TITLES keys (e.g. 'duties')
+ * @param {string} [lang='EN'] - Which language's section to read
+ * @returns {string[]} The section's items, or an empty array if it has none
+ */
+function sectionItems(unitGroup, key, lang = 'EN') {
+  const title = SECTION_TITLES_BY_LANG[lang][key]
+  const section = (unitGroup.sections || []).find(
+    (s) => s.title === title && (s.lang || 'EN') === lang
+  )
+  return section ? section.items : []
+}
+
+module.exports = {
+  SECTION_TITLES,
+  SECTION_TITLES_BY_LANG,
+  sectionKey,
+  sectionItems,
+}
@@ -0,0 +1,546 @@
+/*
+ * Data Seeding
+ * ============
+ *
+ * One seeding function per dataset. Each receives the records of its source
+ * file, already read and checked by its adapter (lib/datasets.js), and
+ * writes them to the database. seedDatabase() (lib/pipeline.js) runs them
+ * one at a time (`seed unit-groups`) or all together in dependency order
+ * (`seed all`).
+ *
+ * Every record goes through saveRecord() (lib/sync.js): a plain run only
+ * creates new rows, while `--sync` also updates changed rows and `--prune`
+ * removes rows that are no longer in the source files (`--retire` flags
+ * unit groups and programs as retired instead, see lib/retire.js). Records
+ * are written in transactional batches that belong to an import run
+ * (lib/runs.js).
+ *
+ * The seeders hand whole lists of records of one model to saveRecords()
+ * (lib/bulk.js), parents before children, so `--bulk` can insert each list
+ * in chunks instead of row by row.
+ */
+
+const { settings } = require('./config')
+const { prisma } = require('./db')
+const { logError } = require('./logging')
+const { saveRecord, pruneRecords } = require('./sync')
+const { saveRecords } = require('./bulk')
+const { isRetiring, retireRecords } = require('./retire')
+const { parseReleaseDate } = require('./validation')
+const {
+  initializeRegionsCache,
+  ensureRegionExists,
+  checkRegionReference,
+  reportRegionMismatches,
+} = require('./regions')
+const { loadConcordanceMap, translateNocGroups } = require('./concordance')
+const { runBatches, runBatch } = require('./runs')
+const { ensureRelease } = require('./releases')
+const { classifyRating } = require('./ratings')
+const { seedRelations } = require('./relations')
+const { nocHierarchy, seedNocGroups } = require('./hierarchy')
+const { VIU, seedInstitution } = require('./institutions')
+const { createHash } = require('./utils')
+
+/**
+ * Unit Group Seeder
+ * =================
+ * Inserts every NOC unit group and its sections from the unit groups JSON file.
+ * Unit Groups are the foundation - they must be created first because
+ * Outlook records reference them via foreign keys.
+ *
+ * With `--lang FR` the file is the French NOC: the occupation titles go to
+ * UnitGroupTranslation and the sections are stored as French sections, next
+ * to the English ones.
+ *
+ * The English file also builds the NOC hierarchy groups (broad category down
+ * to minor group) first (lib/hierarchy.js), and saves its Exclusion(s)
+ * "(See 00011 ...)" references as unit group relations once every unit group
+ * is in (lib/relations.js).
+ *
+ * @param {Object[]} unitGroupsData - Validated records from unit_groups.json
+ * @param {Object} [options]
+ * @param {boolean} [options.prune=true] - False to skip pruning (no --prune,
+ *   or invalid records were left out, so missing rows aren't really gone)
+ * @param {boolean} [options.retire=true] - False to skip --retire (same reasons)
+ * @param {Object[]} [options.groupTitles] - Validated records from the NOC
+ *   group titles file, if there is one
+ */
+async function seedUnitGroups(
+  unitGroupsData,
+  { prune = true, retire = true, groupTitles = [] } = {}
+) {
+  const { lang } = settings
+  console.log(`\n\nSeeding Unit Groups (${lang})...`)
+
+  // Major, sub-major and minor groups above the unit groups
+  if (lang === 'EN') await seedNocGroups(unitGroupsData, groupTitles, { prune })
+
+  // Keys of every row seen in the file (sync mode), used by --prune and --retire
+  let keptNocs = []
+  let keptTranslationIds = []
+
+  if (lang === 'EN') {
+    // The main UnitGroup records - the primary records other tables reference
+    keptNocs = await saveRecords(
+      'unitGroup',
+      unitGroupsData.map(({ noc_number, occupation }) => ({
+        noc: noc_number, // NOC code (National Occupational Classification)
+        occupation, // Human-readable occupation title
+        ...nocHierarchy(noc_number), // Broad category and TEER
+      })),
+      {
+        where: (unitGroup) => ({ noc: unitGroup.noc }),
+        label: (unitGroup) => `noc=${unitGroup.noc}`, // Identifier for error logging
+      }
+    )
+  } else {
+    // A translation needs its unit group. If the English file hasn't been
+    // seeded yet, a placeholder is created with the translated title
+    // (create-only, like the outlook seeder's placeholders).
+    const existing = new Set(
+      (await prisma.unitGroup.findMany({ select: { noc: true } })).map(
+        (unitGroup) => unitGroup.noc
+      )
+    )
+    await saveRecords(
+      'unitGroup',
+      unitGroupsData
+        .filter(({ noc_number }) => !existing.has(noc_number))
+        .map(({ noc_number, occupation }) => ({
+          noc: noc_number,
+          occupation,
+          ...nocHierarchy(noc_number),
+        })),
+      {
+        where: (unitGroup) => ({ noc: unitGroup.noc }),
+        label: (unitGroup) => `noc=${unitGroup.noc}`,
+        update: false,
+      }
+    )
+
+    keptTranslationIds = await saveRecords(
+      'unitGroupTranslation',
+      unitGroupsData.map(({ noc_number, occupation }) => ({
+        noc: noc_number,
+        lang,
+        occupation,
+      })),
+      {
+        where: ({ noc }) => ({ noc, lang }),
+        label: ({ noc }) => `${lang} title for noc=${noc}`,
+      }
+    )
+  }
+
+  // Sections contain detailed information about the occupation; they are
+  // saved once every unit group they link back to is in
+  const keptSectionIds = await saveRecords(
+    'sectionsEntity',
+    unitGroupsData.flatMap(({ noc_number, sections }) =>
+      (sections || []).map(({ title, items }) => ({
+        noc: noc_number, // Links back to the UnitGroup
+        lang, // Language of the title and items
+        title, // Section title (e.g., "Main duties", "Employment requirements")
+        items: items || [], // Array of items within this section
+      }))
+    ),
+    {
+      where: ({ noc, title }) => ({ noc, lang, title }),
+      label: ({ noc, title }) =>
+        `sectionTitle=${title} (${lang}) for noc=${noc}`,
+    }
+  )
+
+  // Cross-references between unit groups, now that they all exist
+  if (lang === 'EN') await seedRelations(unitGroupsData, { prune })
+
+  // --retire (English file only): unit groups missing from the file are
+  // retired rather than pruned, and keep their sections
+  const retiring = retire && lang === 'EN' && isRetiring('unitGroup')
+
+  // --prune: only rows in the file's language are candidates. Sections go
+  // first because they reference their unit group. Unit groups that still
+  // have outlooks are kept - the outlook workbook owns those.
+  if (prune || retiring) {
+    await runBatch(async () => {
+      if (retiring) await retireRecords('unitGroup', keptNocs)
+      if (!prune) return
+      await pruneRecords(
+        'sectionsEntity',
+        keptSectionIds,
+        retiring ? { lang, noc: { in: keptNocs.filter(Boolean) } } : { lang }
+      )
+      if (lang !== 'EN') {
+        await pruneRecords('unitGroupTranslation', keptTranslationIds, { lang })
+      } else if (!retiring) {
+        await pruneRecords('unitGroup', keptNocs, { outlook: { none: {} } })
+      }
+    })
+  }
+}
+
+/**
+ * Outlook Seeder
+ * ==============
+ * Inserts employment outlook rows from the outlook workbook (XLSX or CSV,
+ * one or more sheets). It also creates Economic Regions (and placeholder
+ * Unit Groups) as needed, because every outlook row references both.
+ *
+ * A streamed workbook is seeded a chunk of rows at a time: each chunk's new
+ * unit groups, regions and outlooks are saved before the next is read.
+ *
+ * Each workbook is one outlook release (lib/releases.js); its rows are
+ * linked to that release so other releases are never touched.
+ *
+ * The rating is stored as published and normalized (lib/ratings.js), with a
+ * 1-5 score for sorting and averaging (lib/scores.js).
+ *
+ * Rows whose region code, name or province disagree with the region
+ * reference data (`seed regions`) are still imported, and listed at the end.
+ *
+ * @param {Object[]|AsyncIterable<Object[]>} data - Validated rows of the
+ *   workbook, with the field names of OUTLOOK_COLUMNS (lib/datasets.js):
+ *   one array, or chunks of rows as the workbook is streamed in
+ *   (lib/sources.js)
+ * @param {Object} [options]
+ * @param {boolean} [options.prune=true] - False to skip --prune
+ * @param {string} [options.file] - The workbook, which names the release
+ *   (default: settings.files.outlooks)
+ */
+async function seedOutlooks(
+  data,
+  { prune = true, file = settings.files.outlooks } = {}
+) {
+  console.log('\n\nSeeding Outlooks...')
+
+  // Initialize the regions cache for performance optimization
+  await initializeRegionsCache()
+
+  // The release this workbook belongs to (e.g. "2024-2026")
+  const release = await ensureRelease(file)
+
+  // Outlook ids seen in the workbook and the releases it covers (used by --prune)
+  const keptOutlookIds = []
+  const releaseTimes = new Set()
+  // NOCs and regions saved by earlier chunks. Each appears on many rows, so
+  // each is only saved once.
+  const savedNocs = new Set()
+  const savedRegions = new Set()
+
+  // One array of rows, or a streamed workbook's rows a chunk at a time
+  const chunks = Array.isArray(data) ? [data] : data
+  for await (const rows of chunks) {
+    // New NOC → placeholder unit group, and region code → region, first row wins
+    const placeholders = new Map()
+    const regions = new Map()
+
+    // Turn each row of outlook data into an Outlook record
+    const outlooks = rows.map((row) => {
+      // 5-digit NOC code (the adapter removed the 'NOC_' prefix)
+      const { noc, economicRegionCode, economicRegionName, title } = row
+      const outlook = row.outlook // Employment outlook rating (e.g., "Fair", "Good")
+      // Normalized rating and score, e.g. GOOD and 4 (null for an unknown label)
+      const { rating = null, ratingScore = null } =
+        classifyRating(outlook) || {}
+      const trends = row.trends // Detailed trends description
+      const trendsHash = createHash(row.trends) // Hash for duplicate detection
+      const releaseDate = parseReleaseDate(row.releaseDate) // Data release date
+      const province = row.province // Canadian province
+      const lang = row.lang // Language (EN/FR)
+      releaseTimes.add(releaseDate.getTime())
+
+      if (!savedNocs.has(noc) && !placeholders.has(noc)) {
+        placeholders.set(noc, {
+          noc,
+          occupation: title, // Using the NOC Title as occupation name
+          ...nocHierarchy(noc), // Broad category and TEER
+        })
+      }
+      if (
+        !savedRegions.has(economicRegionCode) &&
+        !regions.has(economicRegionCode)
+      ) {
+        regions.set(economicRegionCode, {
+          economicRegionCode,
+          economicRegionName,
+        })
+      }
+
+      // Note rows that disagree with the region reference data
+      checkRegionReference({ economicRegionCode, economicRegionName, province })
+
+      // One outlook per occupation, region, language and release
+      return {
+        noc, // Links to UnitGroup
+        economicRegionCode, // Links to EconomicRegion
+        title,
+        outlook, // Kept as published
+        rating, // Normalized rating (lib/ratings.js)
+        ratingScore, // 1-5, used for sorting and averages
+        trends,
+        trendsHash, // Used for duplicate detection
+        releaseDate,
+        province,
+        lang,
+        releaseId: release.id, // Links to OutlookRelease
+      }
+    })
+
+    // First ensure the UnitGroups exist, because Outlook records reference
+    // them (create-only: the unit groups file owns the occupation title)
+    await saveRecords('unitGroup', [...placeholders.values()], {
+      where: ({ noc }) => ({ noc }),
+      label: ({ noc }) => `UnitGroup noc=${noc}`,
+      update: false,
+    })
+    for (const noc of placeholders.keys()) savedNocs.add(noc)
+
+    // Then the Economic Regions (using the regions cache)
+    await runBatches([...regions.values()], (region) =>
+      ensureRegionExists(region)
+    )
+    for (const code of regions.keys()) savedRegions.add(code)
+
+    const keys = await saveRecords('outlook', outlooks, {
+      where: ({ noc, economicRegionCode, lang, releaseDate, province }) => ({
+        noc,
+        economicRegionCode,
+        lang,
+        releaseDate,
+        province,
+      }),
+      label: ({ noc, economicRegionCode }) =>
+        `outlook=noc-${noc}-region-${economicRegionCode}`, // Unique identifier for logging
+    })
+    for (const key of keys) keptOutlookIds.push(key)
+  }
+
+  reportRegionMismatches()
+
+  // --prune: only outlooks of this release (or, for rows loaded before
+  // releases existed, with this workbook's release dates) are candidates,
+  // so loading a new release never deletes older ones
+  if (prune) {
+    await runBatch(async () => {
+      await pruneRecords('outlook', keptOutlookIds, {
+        OR: [
+          { releaseId: release.id },
+          {
+            releaseId: null,
+            releaseDate: {
+              in: [...releaseTimes].map((time) => new Date(time)),
+            },
+          },
+        ],
+      })
+      // Regions from the reference file (seed regions) are kept even with
+      // no outlooks; only the ones created from workbook rows go with them
+      await pruneRecords('economicRegion', [], {
+        regionType: null,
+        outlooks: { none: {} },
+      })
+    })
+  }
+}
+
+/**
+ * Program Seeder
+ * ==============
+ * Inserts one institution's program areas and programs from its programs
+ * JSON file (the viu_programs.json shape). Program Areas must be created
+ * before Programs (parent-child relationship).
+ *
+ * @param {Object[]} programsData - Validated records from the programs file
+ * @param {Object} [options]
+ * @param {boolean} [options.prune=true] - False to skip --prune
+ * @param {boolean} [options.retire=true] - False to skip --retire
+ * @param {Object} [options.institution] - Institution the catalogue belongs
+ *   to (default: VIU, see lib/institutions.js)
+ *
+ * - Areas and programs are looked up by their `nid` within the institution,
+ *   so two catalogues can use the same ids
+ * - --prune only removes the institution's own programs and areas, and
+ *   --retire only retires the institution's own programs
+ */
+async function seedPrograms(
+  programsData,
+  { prune = true, retire = true, institution = VIU } = {}
+) {
+  console.log(`\n\nSeeding Program Areas & Programs (${institution.code})...`)
+  const institutionCode = institution.code
+
+  // The institution row comes first: areas and programs reference it
+  await seedInstitution(institution)
+
+  // ========================================================================
+  // STEP A: EXTRACT AND CREATE PROGRAM AREAS
+  // ========================================================================
+  // Extract unique program areas from the programs data
+  // Each program belongs to a program area, but multiple programs can share the same area
+
+  const programAreas = programsData.reduce((acc, program) => {
+    const { nid, title } = program.program_area
+    // Only add if we haven't seen this program area before (avoid duplicates)
+    if (!acc.some((area) => area.nid === nid)) {
+      acc.push({ institutionCode, nid, title })
+    }
+    return acc
+  }, [])
+
+  // Insert all unique Program Areas first
+  await saveRecords('programArea', programAreas, {
+    where: ({ nid }) => ({ institutionCode, nid }),
+    label: ({ title }) => `ProgramArea: ${title} (${institutionCode})`,
+  })
+
+  // ========================================================================
+  // STEP B: CREATE PROGRAMS WITH PROPER FOREIGN KEY REFERENCES
+  // ========================================================================
+  // Fetch the institution's Program Areas from DB to ensure they exist and get their IDs
+  // This is necessary because we need the database-generated IDs for foreign keys
+
+  const existingProgramAreas = await prisma.programArea.findMany({
+    where: { institutionCode },
+  })
+  const programAreaMap = new Map(
+    existingProgramAreas.map((pa) => [pa.nid, pa.id]) // Map NID to database ID
+  )
+
+  // A dry run never creates the new areas, so stand in for their ids
+  if (settings.dryRun) {
+    for (const area of programAreas) {
+      if (!programAreaMap.has(area.nid)) {
+        programAreaMap.set(area.nid, `(new area ${area.nid})`)
+      }
+    }
+  }
+
+  // Known NOC groups in the source file are mostly NOC 2016 codes; the
+  // concordance translates them so they can join to UnitGroup.noc (and
+  // translation throws if it hasn't been seeded, before anything is saved)
+  const concordance = await loadConcordanceMap()
+  // Translated up front: the reviews are saved in batches of their own, and
+  // a resumed run must see the same list to skip the same batches
+  const translated = programsData.map((program) => ({
+    program,
+    ...translateNocGroups(program.known_noc_groups, concordance),
+  }))
+
+  // Programs with proper foreign key relationships
+  const programs = translated.flatMap(({ program, nocs }) => {
+    const programAreaNid = program.program_area.nid
+    const foundProgramAreaId = programAreaMap.get(programAreaNid)
+
+    // Validate that the Program Area exists before creating the Program
+    if (!foundProgramAreaId) {
+      console.error(
+        `Missing Program Area for: ${program.title} (NID: ${programAreaNid})`
+      )
+      logError(
+        `Missing Program Area for: ${program.title} (NID: ${programAreaNid})`,
+        {
+          model: 'program',
+          record: `Program: ${program.title} (${institutionCode})`,
+          code: 'MISSING_PROGRAM_AREA',
+        }
+      )
+      return [] // Skip this program if its Program Area doesn't exist
+    }
+
+    return [
+      {
+        institutionCode, // Institution whose catalogue lists the program
+        nid: program.nid, // Identifier from the institution's catalogue
+        title: program.title, // Program name
+        duration: program.duration || null, // Program length (optional)
+        credential: program.credential, // Type of credential earned
+        programAreaNid: foundProgramAreaId, // Foreign key to Program Area
+        viuSearchKeywords: program.viu_search_keywords || null, // Catalogue search terms
+        nocSearchKeywords: program.noc_search_keywords || [], // NOC-related search terms (array)
+        knownNocGroups: nocs, // Known related NOC 2021 groups (translated)
+        sourceNocGroups: program.known_noc_groups || [], // Codes exactly as in the source file
+      },
+    ]
+  })
+
+  const keptProgramIds = await saveRecords('program', programs, {
+    where: ({ nid }) => ({ institutionCode, nid }),
+    label: ({ title }) => `Program: ${title} (${institutionCode})`,
+  })
+
+  // ========================================================================
+  // STEP C: FLAG KNOWN NOC GROUPS FOR REVIEW
+  // ========================================================================
+  // Record splits and unmapped codes so someone can pick the right group.
+  // Reviews point at the program's database id, looked up like the areas'
+
+  const savedPrograms = await prisma.program.findMany({
+    where: { institutionCode },
+    select: { id: true, nid: true },
+  })
+  const programIdMap = new Map(savedPrograms.map((p) => [p.nid, p.id]))
+  const pendingReviews = translated.flatMap(({ program, reviews }) =>
+    reviews.map((review) => ({ program, review }))
+  )
+  // Review record → its program, for the log labels
+  const reviewPrograms = new Map()
+  for (const { program, review } of pendingReviews) {
+    const programId =
+      programIdMap.get(program.nid) ||
+      (settings.dryRun ? `(new program ${program.nid})` : null)
+    if (!programId) continue // The program itself wasn't saved (logged above)
+    reviewPrograms.set({ programId, ...review }, program)
+  }
+
+  const keptReviewIds = await saveRecords(
+    'programNocReview',
+    [...reviewPrograms.keys()],
+    {
+      where: ({ programId, legacyNoc }) => ({ programId, legacyNoc }),
+      label: (review) =>
+        `NOC review ${review.legacyNoc} for Program: ${reviewPrograms.get(review).title} (${institutionCode})`,
+    }
+  )
+
+  // --prune: removing a program also removes its matches and reviews.
+  // Resolved reviews are kept as a record of the decision; program areas
+  // are only removed once no program uses them. Other institutions'
+  // catalogues are never touched. With --retire, programs missing from the
+  // file are retired instead and keep their reviews (and so their area).
+  const retiring = retire && isRetiring('program')
+  if (prune || retiring) {
+    await runBatch(async () => {
+      if (retiring) {
+        await retireRecords('program', keptProgramIds, { institutionCode })
+      }
+      if (!prune) return
+      if (!retiring) {
+        await pruneRecords('program', keptProgramIds, { institutionCode })
+      }
+      await pruneRecords('programNocReview', keptReviewIds, {
+        resolved: false,
+        ...(retiring
+          ? { programId: { in: keptProgramIds.filter(Boolean) } }
+          : { program: { institutionCode } }),
+      })
+      await pruneRecords('programArea', [], {
+        institutionCode,
+        programs: { none: {} },
+      })
+    })
+  }
+
+  console.log('\nFinished seeding Programs & Program Areas.')
+  if (pendingReviews.length > 0) {
+    console.log(
+      `${pendingReviews.length} known NOC group(s) flagged for review (see ProgramNocReview)`
+    )
+  }
+}
+
+module.exports = {
+  seedUnitGroups,
+  seedOutlooks,
+  seedPrograms,
+}
@@ -0,0 +1,151 @@
+/*
+ * HTTP Server
+ * ===========
+ *
+ * The Express app (serving the REST API from lib/api.js) plus the
+ * port-detection helpers used to start it.
+ * Run it with `node index.js serve`.
+ */
+
+const express = require('express') // Web framework for Node.js
+const net = require('net') // Network utilities for port checking (built-in Node.js module)
+const { settings } = require('./config')
+const { prisma } = require('./db')
+const { router, notFoundHandler, errorHandler } = require('./api')
+
+// Initialize Express app - this will handle HTTP requests
+const app = express()
+
+// Read-only REST API over the seeded data (see lib/api.js for the endpoints)
+// The 404 and error handlers must be registered after every route
+app.use(router)
+app.use(notFoundHandler)
+app.use(errorHandler)
+
+/**
+ * Port Availability Checker
+ * =========================
+ * Checks if a specific port is available for use by attempting to bind to it.
+ * This prevents port conflicts when starting the server.
+ *
+ * How it works:
+ * 1. Create a temporary server
+ * 2. Try to bind to the specified port
+ * 3. If successful, the port is available (close server and return true)
+ * 4. If it fails, the port is in use (return false)
+ *
+ * @param {number} port - The port number to check (1-65535)
+ * @returns {Promise<boolean>} - True if port is available, false if in use
+ *
+ * This uses Node.js's built-in 'net' module to test network connections and temporary server creation.
+ */
+function isPortAvailable(port) {
+  return new Promise((resolve) => {
+    // Create a temporary TCP server to test the port
+    const server = net.createServer()
+
+    // Try to listen on the specified port
+    server.listen(port, () => {
+      // If we get here, the port is available
+      server.close(() => {
+        resolve(true) // Port is free to use
+      })
+    })
+
+    // If listening fails, the port is already in use
+    server.on('error', () => {
+      resolve(false) // Port is occupied
+    })
+  })
+}
+
+/**
+ * Available Port Finder
+ * =====================
+ * Gets an available port, checking the configured port first, then the
+ * fallback port, then searching for any available port if both are occupied.
+ *
+ * Port Selection Strategy:
+ * 1. Try the preferred port (from --port, the PORT environment variable, or 3000)
+ * 2. If occupied, try the fallback port (hardcoded backup)
+ * 3. If both are occupied, search incrementally starting from the fallback port + 1
+ * 4. Stop at port 65535 (maximum valid port number)
+ *
+ * @returns {Promise<number>} - An available port number
+ * @throws {Error} - If no ports are available (extremely unlikely)
+ */
+async function getAvailablePort() {
+  const { port: defaultPort, fallbackPort } = settings
+
+  // First choice: Try the default port
+  if (await isPortAvailable(defaultPort)) {
+    return defaultPort
+  }
+
+  // Second choice: Try the hardcoded fallback port
+  if (await isPortAvailable(fallbackPort)) {
+    console.log(
+      `Port ${defaultPort} is in use, switching to port ${fallbackPort}`
+    )
+    return fallbackPort
+  }
+
+  // Last resort: Find any available port starting from fallbackPort + 1
+  // This ensures we don't interfere with other common development ports
+  let port = fallbackPort + 1
+  while (port < 65535) {
+    // 65535 is the maximum valid port number
+    if (await isPortAvailable(port)) {
+      console.log(
+        `Ports ${defaultPort} and ${fallbackPort} are in use, using port ${port}`
+      )
+      return port
+    }
+    port++
+  }
+
+  // This should never happen unless the system is severely compromised
+  throw new Error('No available ports found')
+}
+
+/**
+ * Server Startup Function
+ * =======================
+ * Finds an available port and starts the HTTP server on it.
+ * The process keeps running until it receives SIGINT (Ctrl+C) or SIGTERM.
+ *
+ * @returns {Promise<import('http').Server>} The listening Node.js HTTP server
+ *
+ * - On shutdown the server stops accepting connections and the database
+ *   connection is closed before the process exits
+ */
+async function startServer() {
+  const port = await getAvailablePort()
+
+  const server = await new Promise((resolve, reject) => {
+    const listening = app.listen(port, () => resolve(listening))
+    listening.on('error', reject)
+  })
+  console.log(`🚀 Server running on port ${port}`)
+
+  // Graceful shutdown - finish in-flight requests, then release the database
+  const shutdown = (signal) => {
+    console.log(`\n${signal} received, shutting down...`)
+    server.close(async () => {
+      await prisma.$disconnect()
+      console.log('Database connection closed')
+      process.exit(0)
+    })
+  }
+  process.once('SIGINT', () => shutdown('SIGINT'))
+  process.once('SIGTERM', () => shutdown('SIGTERM'))
+
+  return server
+}
+
+module.exports = {
+  app,
+  isPortAvailable,
+  getAvailablePort,
+  startServer,
+}
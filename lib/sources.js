@@ -0,0 +1,396 @@
+/*
+ * Source Readers
+ * ==============
+ *
+ * Turns a dataset's input file into plain records, as its adapter declares
+ * (see lib/datasets.js):
+ *
+ * - format   json - the file is a JSON array of records
+ *            xlsx - rows of the selected sheets, keyed by header
+ *            csv  - like xlsx, with every cell read as text
+ *            (default: from the file extension)
+ * - sheets   xlsx: the sheets to read, by name (default: `sheet`, else the
+ *            first). A sheet can also be `{ name, fields }`, where `fields`
+ *            fills in record fields its rows don't have - for workbooks with
+ *            one sheet per province or language. `--sheet` overrides the list.
+ * - columns  Record field → source column, for sources whose headers don't
+ *            match the field names the seeder expects. A column can also be
+ *            `{ column, type }` to convert the value (see COLUMN_TYPES).
+ *            Without columns, records are used as they are.
+ *
+ * Spreadsheets are read a chunk of rows at a time (streamSource()): a CSV
+ * file is parsed as it streams in, and a workbook sheet as its XML is
+ * unzipped (lib/workbooks.js), so memory stays bounded by the chunk rather
+ * than the file or the sheet.
+ *
+ * Mapping happens before validation, so schemas and seeders only ever see
+ * the dataset's own field names.
+ */
+
+const fs = require('fs') // File system operations (built-in Node.js module)
+const path = require('path') // Path manipulation utilities (built-in Node.js module)
+const { settings } = require('./config')
+const { workbookSheetNames, sheetRowCells } = require('./workbooks')
+
+// Source formats streamSource() understands
+const SOURCE_FORMATS = ['json', 'xlsx', 'csv']
+
+// Column type → converter for text cells (CSV, or numbers typed as text).
+// Empty cells become undefined so "required" checks still catch them.
+const COLUMN_TYPES = {
+  string: (value) => String(value).trim(),
+  integer: (value) => Number(String(value).trim()),
+  number: (value) => Number(String(value).trim()),
+  // "a; b | c" → ["a", "b", "c"]
+  list: (value) =>
+    Array.isArray(value)
+      ? value
+      : String(value)
+          .split(/[;|]/)
+          .map((item) => item.trim())
+          .filter(Boolean),
+}
+
+/**
+ * Source File Resolver
+ * ====================
+ * @param {Object} adapter - Dataset adapter
+ * @returns {string} The file the dataset is read from: settings.files[name]
+ *   (set by --<dataset>-file options and run resumes), else the adapter's file
+ */
+function sourceFile(adapter) {
+  return settings.files[adapter.name] || adapter.file
+}
+
+/**
+ * Source Format Resolver
+ * ======================
+ * @param {Object} adapter - Dataset adapter
+ * @param {string} filePath - The file being read
+ * @returns {string} One of SOURCE_FORMATS
+ * @throws {Error} If the format isn't one of SOURCE_FORMATS
+ */
+function sourceFormat(adapter, filePath) {
+  const format =
+    adapter.format || path.extname(filePath).slice(1).toLowerCase() || 'json'
+  if (!SOURCE_FORMATS.includes(format)) {
+    throw new Error(
+      `unknown source format "${format}" (expected ${SOURCE_FORMATS.join(', ')})`
+    )
+  }
+  return format
+}
+
+/**
+ * Nested Field Setter
+ * ===================
+ * @param {Object} record - Record being built
+ * @param {string} field - Field name, dotted for nested values ("program_area.nid")
+ * @param {*} value - Value to set
+ */
+function setField(record, field, value) {
+  const keys = field.split('.')
+  let target = record
+  for (const key of keys.slice(0, -1)) {
+    if (!target[key] || typeof target[key] !== 'object') target[key] = {}
+    target = target[key]
+  }
+  target[keys[keys.length - 1]] = value
+}
+
+/**
+ * Column Mapper
+ * =============
+ * @param {Object} row - One source row, keyed by source column
+ * @param {Object} columns - Record field → source column (or `{ column, type }`)
+ * @returns {Object} The record, with only the mapped fields
+ *
+ * - Columns missing from the row (or empty) leave the field undefined
+ */
+function mapColumns(row, columns) {
+  const record = {}
+  for (const [field, spec] of Object.entries(columns)) {
+    const { column, type } = typeof spec === 'string' ? { column: spec } : spec
+    const value = row[column]
+    if (value === undefined || value === null || value === '') continue
+    setField(record, field, type ? COLUMN_TYPES[type](value) : value)
+  }
+  return record
+}
+
+/**
+ * CSV Parser
+ * ==========
+ * @returns {Object} `{ push(text), end() }`: push() takes the next piece of
+ *   the file and returns the rows it completed (arrays of cells); end()
+ *   returns the last row
+ *
+ * - Quoted cells can hold commas, newlines and doubled quotes ("")
+ * - A piece can end anywhere, even inside a quoted cell
+ * - Lines may end in \n or \r\n
+ */
+function createCsvParser() {
+  let rows = []
+  let row = []
+  let cell = ''
+  let quoted = false // Inside a quoted cell
+  let closing = false // Saw a quote in a quoted cell: ends it unless another quote follows
+
+  const endCell = () => {
+    row.push(cell)
+    cell = ''
+  }
+  const endRow = () => {
+    endCell()
+    rows.push(row)
+    row = []
+  }
+  const completed = () => {
+    const done = rows
+    rows = []
+    return done
+  }
+
+  return {
+    push(text) {
+      for (const char of text) {
+        if (closing) {
+          closing = false
+          if (char === '"') {
+            cell += '"' // "" inside quotes is one quote
+            continue
+          }
+          quoted = false
+        }
+        if (quoted) {
+          if (char === '"') closing = true
+          else cell += char
+        } else if (char === '"' && cell === '') {
+          quoted = true
+        } else if (char === ',') {
+          endCell()
+        } else if (char === '\n') {
+          endRow()
+        } else if (char !== '\r') {
+          cell += char
+        }
+      }
+      return completed()
+    },
+    end() {
+      if (cell !== '' || row.length > 0) endRow()
+      return completed()
+    },
+  }
+}
+
+/**
+ * CSV Row Reader
+ * ==============
+ * @param {string} filePath - CSV file
+ * @yields {Object} Each data row, keyed by the header row, as text
+ *
+ * - The file is streamed, so only one piece of it is in memory at a time
+ * - Empty cells and blank lines are left out, as for a workbook
+ */
+async function* csvRows(filePath) {
+  const parser = createCsvParser()
+  let header = null
+  const toRow = (cells) => {
+    const row = {}
+    cells.forEach((cell, index) => {
+      if (cell !== '' && header[index]) row[header[index]] = cell
+    })
+    return row
+  }
+
+  // Rows completed by each piece of the file, then the last row
+  async function* parsed() {
+    let first = true
+    for await (const text of fs.createReadStream(filePath, 'utf8')) {
+      // The byte order mark some spreadsheet programs write isn't part of the header
+      yield parser.push(first ? text.replace(/^\uFEFF/, '') : text)
+      first = false
+    }
+    yield parser.end()
+  }
+
+  for await (const rows of parsed()) {
+    for (const cells of rows) {
+      if (cells.every((cell) => cell === '')) continue // Blank line
+      if (!header) header = cells
+      else yield toRow(cells)
+    }
+  }
+}
+
+/**
+ * Sheet Row Reader
+ * ================
+ * @param {string} filePath - XLSX workbook
+ * @param {string} sheetName - Sheet to read
+ * @yields {Object} Each data row of the sheet, keyed by its header row
+ *   (the first row with any cells), with raw cell values
+ *
+ * - The sheet is streamed (see lib/workbooks.js), never loaded as a whole
+ * - Empty cells are left out, as for a CSV file
+ */
+async function* sheetRows(filePath, sheetName) {
+  let header = null
+  for await (const cells of sheetRowCells(filePath, sheetName)) {
+    if (!header) {
+      header = Array.from(cells, (cell) =>
+        cell === undefined ? undefined : String(cell)
+      )
+      continue
+    }
+    const row = {}
+    cells.forEach((cell, index) => {
+      if (cell !== '' && header[index]) row[header[index]] = cell
+    })
+    if (Object.keys(row).length > 0) yield row
+  }
+}
+
+/**
+ * Sheet Selection
+ * ===============
+ * @param {Object} adapter - Dataset adapter (sheet, sheets)
+ * @param {string[]} sheetNames - Sheets of the workbook, in order
+ * @returns {Object[]} `{ name, fields }` for each sheet to read
+ * @throws {Error} If a sheet asked for isn't in the workbook
+ *
+ * - `--sheet` names (settings.sheets) win over the adapter's, but keep the
+ *   adapter's `fields` for the sheets it declares
+ * - "*" stands for every sheet of the workbook
+ */
+function selectSheets(adapter, sheetNames) {
+  const declared = (adapter.sheets || (adapter.sheet ? [adapter.sheet] : []))
+    .map((spec) => (typeof spec === 'string' ? { name: spec } : spec))
+    .map(({ name, fields = {} }) => ({ name, fields }))
+  const names =
+    settings.sheets.length > 0
+      ? settings.sheets
+      : declared.length > 0
+        ? declared.map((sheet) => sheet.name)
+        : [sheetNames[0]]
+
+  return (names.includes('*') ? sheetNames : names).map((name) => {
+    if (!sheetNames.includes(name)) {
+      throw new Error(
+        `no sheet named "${name}" (the workbook has: ${sheetNames.join(', ')})`
+      )
+    }
+    return declared.find((sheet) => sheet.name === name) || { name, fields: {} }
+  })
+}
+
+/**
+ * Record Builder
+ * ==============
+ * @param {Object} row - One source row
+ * @param {Object} adapter - Dataset adapter (columns)
+ * @param {Object} fields - Values for fields the row leaves empty (its sheet's `fields`)
+ * @returns {Object} The record, with the dataset's field names
+ */
+function toRecord(row, adapter, fields) {
+  const record = adapter.columns ? mapColumns(row, adapter.columns) : row
+  for (const [field, value] of Object.entries(fields)) {
+    const current = field
+      .split('.')
+      .reduce(
+        (target, key) => (target == null ? undefined : target[key]),
+        record
+      )
+    if (current === undefined) setField(record, field, value)
+  }
+  return record
+}
+
+/**
+ * Source Streamer
+ * ===============
+ * Reads a dataset's input file into records with the dataset's field names,
+ * a chunk at a time.
+ *
+ * @param {Object} adapter - Dataset adapter (format, sheets, columns, read)
+ * @param {string} filePath - Path to the file
+ * @param {number} [size] - Records per chunk (default: settings.streamChunkSize)
+ * @yields {Object} `{ sheet, start, records }`: up to `size` records, the
+ *   index of the first one within its sheet, and the sheet's name when more
+ *   than one sheet is read (null otherwise)
+ * @throws {Error} If the file can't be parsed, a JSON file isn't an array or
+ *   a sheet is missing
+ *
+ * - JSON files, and adapters with their own `read(filePath)` (e.g. the
+ *   concordance, which finds its columns by pattern), come as one chunk
+ */
+async function* streamSource(
+  adapter,
+  filePath,
+  size = settings.streamChunkSize
+) {
+  if (adapter.read) {
+    yield { sheet: null, start: 0, records: adapter.read(filePath) }
+    return
+  }
+
+  const format = sourceFormat(adapter, filePath)
+  if (format === 'json') {
+    const rows = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+    if (!Array.isArray(rows))
+      throw new Error('expected a JSON array of records')
+    yield {
+      sheet: null,
+      start: 0,
+      records: rows.map((row) => toRecord(row, adapter, {})),
+    }
+    return
+  }
+
+  // A CSV file is a single, unnamed sheet
+  const sheets =
+    format === 'csv'
+      ? [{ name: null, fields: {} }]
+      : selectSheets(adapter, await workbookSheetNames(filePath))
+
+  for (const { name, fields } of sheets) {
+    const sheet = sheets.length > 1 ? name : null
+    const rows =
+      format === 'csv' ? csvRows(filePath) : sheetRows(filePath, name)
+    let start = 0
+    let records = []
+    for await (const row of rows) {
+      records.push(toRecord(row, adapter, fields))
+      if (records.length < size) continue
+      yield { sheet, start, records }
+      start += records.length
+      records = []
+    }
+    if (records.length > 0) yield { sheet, start, records }
+  }
+}
+
+/**
+ * Source Column Lookup
+ * ====================
+ * @param {Object} adapter - Dataset adapter
+ * @param {string} field - Record field name
+ * @returns {string} The source column the field is read from (the field
+ *   itself when the adapter has no mapping for it), for messages
+ */
+function sourceColumn(adapter, field) {
+  const spec = adapter.columns && adapter.columns[field]
+  if (!spec) return field
+  return typeof spec === 'string' ? spec : spec.column
+}
+
+module.exports = {
+  SOURCE_FORMATS,
+  COLUMN_TYPES,
+  sourceFile,
+  mapColumns,
+  createCsvParser,
+  streamSource,
+  sourceColumn,
+}
@@ -0,0 +1,444 @@
+/*
+ * Sync Mode (Idempotent Seeding)
+ * ==============================
+ *
+ * By default the seeders only ever create records: a row that already
+ * exists is counted as a duplicate and left alone, even if the source file
+ * has changed since. Sync mode (`--sync`) instead compares each incoming
+ * record with the row already in the database and:
+ *
+ * - creates it if it doesn't exist yet
+ * - updates only the fields that changed
+ * - leaves it untouched if nothing changed
+ * - optionally (`--prune`) removes rows the source file no longer contains
+ *   (or, with `--retire`, flags them as retired - see lib/retire.js)
+ *
+ * Results are counted per model so the end-of-run report shows exactly what
+ * each dataset did to the database.
+ *
+ * With `--dry-run` the same comparisons are made but nothing is written;
+ * the would-be changes are recorded in the dry-run plan (lib/plan.js).
+ *
+ * During an import run every write is also journaled (lib/runs.js) so the
+ * run can be rolled back, and record failures are isolated with savepoints
+ * so they don't abort the batch transaction.
+ */
+
+const { settings } = require('./config')
+const { client, safeCreate, withSavepoint } = require('./db')
+const { counters, logError, logProgress } = require('./logging')
+const { recordPlanned, alreadyPlanned } = require('./plan')
+const { recordChange, isRecording, isResuming } = require('./runs')
+
+// Primary key of each model; models not listed use an autoincrement `id`
+const PRIMARY_KEYS = {
+  unitGroup: 'noc',
+  nocGroup: 'code',
+  economicRegion: 'economicRegionCode',
+  institution: 'code',
+}
+
+// Ids per deleteMany call when pruning - keeps us well below Postgres'
+// limit on bind parameters for very large tables such as Outlook
+const PRUNE_CHUNK_SIZE = 1000
+
+// Per-model results: { [modelName]: { created, updated, unchanged, removed, retired, errors } }
+const syncStats = {}
+
+// Records per model that failed to save since the last resetSaveFailures().
+// Their keys never reach the kept keys, so pruning or retiring the model
+// would remove rows the source file still has
+let saveFailures = {}
+
+/**
+ * Primary Key Lookup
+ * ==================
+ * @param {string} modelName - Prisma model name in camelCase (e.g. 'unitGroup')
+ * @returns {string} The name of the model's primary key field
+ */
+function primaryKey(modelName) {
+  return PRIMARY_KEYS[modelName] || 'id'
+}
+
+/**
+ * Sync Result Counter
+ * ===================
+ * Adds one outcome to the per-model statistics.
+ *
+ * @param {string} modelName - Prisma model name in camelCase
+ * @param {'created'|'updated'|'unchanged'|'removed'|'retired'|'errors'} outcome - What happened
+ * @param {number} [amount=1] - How many records had this outcome
+ */
+function countResult(modelName, outcome, amount = 1) {
+  if (!syncStats[modelName]) {
+    syncStats[modelName] = {
+      created: 0,
+      updated: 0,
+      unchanged: 0,
+      removed: 0,
+      retired: 0,
+      errors: 0,
+    }
+  }
+  syncStats[modelName][outcome] += amount
+}
+
+/**
+ * Save Failure Tracking
+ * =====================
+ * recordSaveFailure() notes a record of a model that could not be saved (or
+ * planned); a non-zero saveFailureCount() makes pruneRecords() and
+ * retireRecords() leave that model alone. The pipeline resets the counts
+ * before each dataset.
+ *
+ * @param {string} modelName - Prisma model name in camelCase
+ */
+function recordSaveFailure(modelName) {
+  saveFailures[modelName] = (saveFailures[modelName] || 0) + 1
+}
+
+/**
+ * @param {string} modelName - Prisma model name in camelCase
+ * @returns {number} Records of the model that failed to save since the last reset
+ */
+function saveFailureCount(modelName) {
+  return saveFailures[modelName] || 0
+}
+
+function resetSaveFailures() {
+  saveFailures = {}
+}
+
+/**
+ * Value Comparison
+ * ================
+ * Compares a database value with an incoming value the way Prisma returns
+ * them: Dates by timestamp, arrays element by element, JSON objects key by
+ * key, everything else with strict equality (undefined and null count as
+ * the same).
+ *
+ * @param {any} current - Value currently stored in the database
+ * @param {any} incoming - Value from the source file
+ * @returns {boolean} True if the two values are the same
+ */
+function valuesEqual(current, incoming) {
+  if (current instanceof Date || incoming instanceof Date) {
+    return (
+      current instanceof Date &&
+      incoming instanceof Date &&
+      current.getTime() === incoming.getTime()
+    )
+  }
+  if (Array.isArray(current) || Array.isArray(incoming)) {
+    return (
+      Array.isArray(current) &&
+      Array.isArray(incoming) &&
+      current.length === incoming.length &&
+      current.every((value, i) => valuesEqual(value, incoming[i]))
+    )
+  }
+  if (isPlainObject(current) || isPlainObject(incoming)) {
+    if (!isPlainObject(current) || !isPlainObject(incoming)) return false
+    const keys = Object.keys(current)
+    return (
+      keys.length === Object.keys(incoming).length &&
+      keys.every((key) => valuesEqual(current[key], incoming[key]))
+    )
+  }
+  return (current ?? null) === (incoming ?? null)
+}
+
+/**
+ * Plain Object Check
+ * ==================
+ * @param {any} value - Any value
+ * @returns {boolean} True for JSON-style objects (not null, arrays or Dates)
+ */
+function isPlainObject(value) {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    !Array.isArray(value) &&
+    !(value instanceof Date)
+  )
+}
+
+/**
+ * Changed Fields Detector
+ * =======================
+ * @param {Object} existing - Row currently in the database
+ * @param {Object} data - Incoming record
+ * @returns {Object} Only the fields of `data` whose values differ from `existing`
+ */
+function changedFields(existing, data) {
+  const changes = {}
+  for (const [field, value] of Object.entries(data)) {
+    if (!valuesEqual(existing[field], value)) changes[field] = value
+  }
+  return changes
+}
+
+/**
+ * Safe Upsert Function
+ * ====================
+ * Creates, updates or leaves alone a single record depending on what is
+ * already in the database. Like safeCreate(), it never throws.
+ *
+ * @param {string} modelName - Prisma model name in camelCase (e.g. 'program')
+ * @param {Object} where - Natural key used to find the existing row (need not be unique in the schema)
+ * @param {Object} data - The full incoming record
+ * @param {string} idLabel - Identifier label for logging purposes
+ * @param {Object} [options]
+ * @param {boolean} [options.update=true] - False to only create missing rows
+ *   (used for placeholder rows that another dataset owns)
+ * @returns {Promise<any>} Primary key of the synced row, or null on error
+ */
+async function safeUpsert(
+  modelName,
+  where,
+  data,
+  idLabel,
+  { update = true } = {}
+) {
+  const model = client()[modelName]
+  const key = primaryKey(modelName)
+
+  try {
+    const existing = await model.findFirst({ where })
+
+    if (!existing) {
+      const created = await withSavepoint(() => model.create({ data }))
+      counters.created++
+      countResult(modelName, 'created')
+      recordChange(modelName, 'create', { [key]: created[key] })
+      return created[key]
+    }
+
+    const changes = update ? changedFields(existing, data) : {}
+    if (Object.keys(changes).length === 0) {
+      counters.unchanged++
+      countResult(modelName, 'unchanged')
+      return existing[key]
+    }
+
+    const id = { [key]: existing[key] }
+    await withSavepoint(() => model.update({ where: id, data: changes }))
+    counters.updated++
+    countResult(modelName, 'updated')
+    // Keep the old values of the changed fields so a rollback can restore them
+    const before = {}
+    for (const field of Object.keys(changes)) before[field] = existing[field]
+    recordChange(modelName, 'update', id, before)
+    return existing[key]
+  } catch (error) {
+    countResult(modelName, 'errors')
+    recordSaveFailure(modelName)
+    logError(`Error syncing ${idLabel}: ${error.message}`, {
+      model: modelName,
+      record: idLabel,
+      error,
+    })
+    return null
+  } finally {
+    logProgress()
+  }
+}
+
+/**
+ * Dry-Run Record Planner
+ * ======================
+ * Works out what saveRecord() would do with a record, without writing.
+ *
+ * @param {string} modelName - Prisma model name in camelCase
+ * @param {Object} where - Natural key used to find the existing row
+ * @param {Object} data - The full incoming record
+ * @param {string} idLabel - Identifier label for the plan and for logging
+ * @param {Object} [options]
+ * @param {boolean} [options.update=true] - False if the record is create-only
+ * @returns {Promise<any>} Primary key of the existing row, or null if it
+ *   would be created (or the lookup failed)
+ *
+ * - Outside sync mode an existing row is planned as "skip", because a
+ *   plain seed reports it as a duplicate and leaves it alone
+ */
+async function planRecord(
+  modelName,
+  where,
+  data,
+  idLabel,
+  { update = true } = {}
+) {
+  try {
+    const existing = await client()[modelName].findFirst({ where })
+
+    if (!existing) {
+      const action = alreadyPlanned(modelName, where) ? 'skip' : 'create'
+      recordPlanned(modelName, action, idLabel)
+      return null
+    }
+
+    if (!settings.sync || !update) {
+      recordPlanned(modelName, 'skip', idLabel)
+    } else {
+      const fields = Object.keys(changedFields(existing, data))
+      if (fields.length === 0) {
+        recordPlanned(modelName, 'unchanged', idLabel)
+      } else {
+        recordPlanned(modelName, 'update', `${idLabel} (${fields.join(', ')})`)
+      }
+    }
+    return existing[primaryKey(modelName)]
+  } catch (error) {
+    recordSaveFailure(modelName)
+    logError(`Error planning ${idLabel}: ${error.message}`, {
+      model: modelName,
+      record: idLabel,
+      error,
+    })
+    return null
+  }
+}
+
+/**
+ * Record Saver
+ * ============
+ * The single write path used by the seeders. Creates the record with
+ * safeCreate() in the default mode, or syncs it with safeUpsert() when the
+ * run uses --sync. With --dry-run it only plans the change (planRecord()).
+ *
+ * @param {string} modelName - Prisma model name in camelCase
+ * @param {Object} where - Natural key of the record (used in sync mode)
+ * @param {Object} data - The full record
+ * @param {string} idLabel - Identifier label for logging purposes
+ * @param {Object} [options] - Passed through to safeUpsert()
+ * @returns {Promise<any>} Primary key of the synced row in sync or dry-run mode, otherwise undefined
+ */
+async function saveRecord(modelName, where, data, idLabel, options) {
+  if (settings.dryRun) {
+    return planRecord(modelName, where, data, idLabel, options)
+  }
+  if (settings.sync) {
+    return safeUpsert(modelName, where, data, idLabel, options)
+  }
+
+  const created = await safeCreate(
+    client()[modelName],
+    data,
+    idLabel,
+    modelName
+  )
+  if (created) {
+    const key = primaryKey(modelName)
+    recordChange(modelName, 'create', { [key]: created[key] })
+  }
+}
+
+/**
+ * Missing Record Pruner
+ * =====================
+ * Deletes rows that are in scope but were not seen in the source file.
+ * Only runs in sync mode with --prune; otherwise it does nothing.
+ *
+ * @param {string} modelName - Prisma model name in camelCase
+ * @param {Iterable<any>} keptKeys - Primary keys returned by saveRecord() for this run
+ * @param {Object} [scope={}] - Prisma where clause limiting which rows may be removed
+ *   (e.g. only outlooks from the releases in this workbook)
+ * @returns {Promise<number>} Number of rows removed
+ *
+ * - Candidates are fetched first and deleted in chunks, so huge tables
+ *   don't produce one enormous NOT IN query
+ * - A failed chunk is logged and the remaining chunks still run
+ * - With --dry-run the rows are only recorded in the plan
+ * - A resumed import run never prunes (see lib/runs.js)
+ * - Nor does a model with records that failed to save in this dataset:
+ *   their rows would look removed from the file
+ */
+async function pruneRecords(modelName, keptKeys, scope = {}) {
+  if (!settings.sync || !settings.prune) return 0
+  if (isResuming()) {
+    console.log(`Not pruning ${modelName}: resumed runs skip pruning`)
+    return 0
+  }
+  const failures = saveFailureCount(modelName)
+  if (failures > 0) {
+    console.log(
+      `Not pruning ${modelName}: ${failures} record(s) failed to save`
+    )
+    return 0
+  }
+
+  const model = client()[modelName]
+  const key = primaryKey(modelName)
+  const kept = new Set(keptKeys)
+
+  // Whole rows are only needed when the deletes are journaled for rollback
+  const rows = await model.findMany({
+    where: scope,
+    select: isRecording() ? undefined : { [key]: true },
+  })
+  const missingRows = rows.filter((row) => !kept.has(row[key]))
+  const missing = missingRows.map((row) => row[key])
+
+  if (settings.dryRun) {
+    for (const id of missing) recordPlanned(modelName, 'delete', `${key}=${id}`)
+    return missing.length
+  }
+
+  let removed = 0
+  for (let i = 0; i < missing.length; i += PRUNE_CHUNK_SIZE) {
+    const chunk = missing.slice(i, i + PRUNE_CHUNK_SIZE)
+    try {
+      const result = await withSavepoint(() =>
+        model.deleteMany({ where: { [key]: { in: chunk } } })
+      )
+      removed += result.count
+      for (const row of missingRows.slice(i, i + PRUNE_CHUNK_SIZE)) {
+        recordChange(modelName, 'delete', { [key]: row[key] }, row)
+      }
+    } catch (error) {
+      countResult(modelName, 'errors', chunk.length)
+      logError(`Error pruning ${modelName}: ${error.message}`, {
+        model: modelName,
+        error,
+      })
+    }
+  }
+
+  if (removed > 0) countResult(modelName, 'removed', removed)
+  return removed
+}
+
+/**
+ * Sync Report Printer
+ * ===================
+ * Prints one line per model with its created/updated/unchanged/removed/
+ * retired/error counts. Does nothing outside sync mode, or in a dry run (which prints its
+ * plan instead).
+ */
+function printSyncReport() {
+  if (!settings.sync || settings.dryRun) return
+
+  console.log('\nSync results by model:')
+  console.log(
+    `  ${'model'.padEnd(18)} ${'created'.padStart(8)} ${'updated'.padStart(8)} ${'unchanged'.padStart(10)} ${'removed'.padStart(8)} ${'retired'.padStart(8)} ${'errors'.padStart(7)}`
+  )
+  for (const [modelName, stats] of Object.entries(syncStats)) {
+    console.log(
+      `  ${modelName.padEnd(18)} ${String(stats.created).padStart(8)} ${String(stats.updated).padStart(8)} ${String(stats.unchanged).padStart(10)} ${String(stats.removed).padStart(8)} ${String(stats.retired).padStart(8)} ${String(stats.errors).padStart(7)}`
+    )
+  }
+}
+
+module.exports = {
+  syncStats,
+  primaryKey,
+  countResult,
+  valuesEqual,
+  changedFields,
+  safeUpsert,
+  saveRecord,
+  saveFailureCount,
+  resetSaveFailures,
+  pruneRecords,
+  printSyncReport,
+}
@@ -0,0 +1,70 @@
+/*
+ * General Utility Functions
+ * =========================
+ *
+ * Small helpers that are shared by the seeding, cleanup and server code.
+ */
+
+const crypto = require('crypto') // Cryptographic functionality for hashing (built-in Node.js module)
+const { settings } = require('./config')
+
+/**
+ * Batch Processing Function
+ * ========================
+ * Processes an array of data in chunks to prevent overwhelming the database.
+ * This is a critical performance optimization for large datasets.
+ *
+ * Why batch processing?
+ * - Processing thousands of records simultaneously can overwhelm the database
+ * - It can cause memory issues and connection timeouts
+ * - Batching allows for better error recovery and progress tracking
+ *
+ * @param {Array} dataArray - Array of items to process
+ * @param {Function} handler - Async function to process each item
+ * @param {number} [batchSize] - Items per chunk (defaults to settings.batchSize)
+ *
+ * - Promise.all() runs operations in parallel within each batch for speed
+ * - await ensures each batch completes before starting the next
+ * - The handler function receives each individual item from the array
+ */
+async function processInChunks(
+  dataArray,
+  handler,
+  batchSize = settings.batchSize
+) {
+  // Process the array in chunks of batchSize
+  for (let i = 0; i < dataArray.length; i += batchSize) {
+    const chunk = dataArray.slice(i, i + batchSize)
+
+    // Process all items in the current chunk simultaneously
+    // This balances performance (parallel processing) with database safety (limited concurrency)
+    await Promise.all(chunk.map((item) => handler(item)))
+  }
+}
+
+/**
+ * Hash Generation Function
+ * =======================
+ * Generates a MD5 hash of the given value.
+ * Used to create unique identifiers for duplicate detection.
+ *
+ * Why hashing?
+ * - Creates consistent, unique identifiers from text content
+ * - Helps detect when the same content is being inserted multiple times
+ * - MD5 is fast and sufficient for this use case (not cryptographic security)
+ *
+ * @param {string} value - The input string to hash
+ * @returns {string} The hashed output in hexadecimal format
+ *
+ * - MD5 is not cryptographically secure but fine for duplicate detection
+ * - 'hex' format creates a readable string of letters and numbers
+ * - crypto.createHash() is a Node.js built-in function
+ */
+function createHash(value) {
+  return crypto.createHash('md5').update(value).digest('hex')
+}
+
+module.exports = {
+  processInChunks,
+  createHash,
+}
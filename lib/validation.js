@@ -0,0 +1,649 @@
+/*
+ * Input Validation
+ * ================
+ *
+ * Checks every input file against a declared schema before any of it is
+ * written to the database. Without this a malformed row either throws in the
+ * middle of a batch (e.g. `row.noc.replace` on a number) or is
+ * silently stored with garbage values (e.g. an Excel date serial read as a
+ * 1970 timestamp).
+ *
+ * Files are read by their dataset adapter (lib/datasets.js, lib/sources.js),
+ * so schemas use the dataset's field names; issues name the source column.
+ * Spreadsheets are checked a chunk of rows at a time, so a large workbook is
+ * never held in memory as a whole.
+ *
+ * Each problem found is an "issue" with a severity:
+ * - error   - the record is skipped when seeding
+ * - warning - the record is seeded anyway, but the data looks wrong
+ *
+ * The result is a JSON report (written to settings.logs.validation) plus a
+ * short human summary on the console. `seed <target> --validate-only` stops
+ * after this step.
+ */
+
+const fs = require('fs') // File system operations (built-in Node.js module)
+const xlsx = require('xlsx') // Excel date serial conversion (xlsx.SSF)
+const { settings } = require('./config')
+const { sourceFile, streamSource, sourceColumn } = require('./sources')
+const { SECTION_TITLES_BY_LANG } = require('./sections')
+const { classifyRating } = require('./ratings')
+
+// ============================================================================
+// ALLOWED VALUES
+// ============================================================================
+
+const NOC_2021_PATTERN = /^\d{5}$/ // Unit groups use 5-digit NOC 2021 codes
+const OUTLOOK_NOC_PATTERN = /^(NOC_)?\d{1,5}$/ // e.g. "NOC_21231", "21231" or 21231
+const NOC_GROUP_PATTERN = /^\d{1,4}$/ // Broad category to minor group, e.g. "2123"
+const KNOWN_NOC_PATTERN = /^\d{4,5}$/ // NOC 2016 (4 digits) or 2021 (5 digits)
+const CREDENTIALS = ['Certificate', 'Diploma', 'Degree'] // VIU credential types
+const LANGUAGES = ['EN', 'FR'] // Languages the NOC and Job Bank publish in
+const REGION_CODE_PATTERN = /^\d{4}$/ // Statistics Canada economic region codes, e.g. "5910"
+
+// Province/territory code → English name
+const PROVINCES = {
+  NL: 'Newfoundland and Labrador',
+  PE: 'Prince Edward Island',
+  NS: 'Nova Scotia',
+  NB: 'New Brunswick',
+  QC: 'Quebec',
+  ON: 'Ontario',
+  MB: 'Manitoba',
+  SK: 'Saskatchewan',
+  AB: 'Alberta',
+  BC: 'British Columbia',
+  YT: 'Yukon',
+  NT: 'Northwest Territories',
+  NU: 'Nunavut',
+}
+
+// Kinds of economic region: most provinces are split into several regions,
+// while PEI and the territories are a single region each
+const REGION_TYPES = ['economic-region', 'province', 'territory']
+
+// GeoJSON types accepted as a region boundary
+const BOUNDARY_TYPES = ['Polygon', 'MultiPolygon', 'Feature']
+
+// Sections every NOC unit group is expected to have (SECTION_TITLES keys)
+const REQUIRED_SECTIONS = ['examples', 'duties', 'requirements']
+
+// How many issues the console summary shows before pointing at the report
+const SUMMARY_ISSUE_LIMIT = 10
+
+// ============================================================================
+// FIELD CHECKS
+// ============================================================================
+
+// Excel date serials accepted as release dates: day 1 (1900-01-01) up to
+// the last day Excel can show (9999-12-31)
+const EXCEL_SERIAL_RANGE = [1, 2958465]
+
+// YYYY-MM-DD, alone or at the start of an ISO 8601 timestamp
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:$|T)/
+
+/**
+ * UTC Day Builder
+ * ===============
+ * @param {number} year - Full year
+ * @param {number} month - Month, 1-12
+ * @param {number} day - Day of the month
+ * @returns {Date|null} Midnight UTC of that day, or null if there is no
+ *   such day (e.g. 2025-02-30, which Date.UTC would roll into March)
+ */
+function utcDay(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day))
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+    ? date
+    : null
+}
+
+/**
+ * Release Date Parser
+ * ===================
+ * Converts an outlook "Release Date" cell to a Date.
+ *
+ * @param {any} value - Raw cell value
+ * @returns {Date|null} The date, or null if it can't be read safely
+ *
+ * - A number is an Excel date serial (a date-formatted cell read raw, e.g.
+ *   45627 for 2024-12-01); it is converted with xlsx.SSF rather than
+ *   `new Date(45627)`, which would quietly become a date in 1970
+ * - Text is split into its year, month and day and rebuilt with Date.UTC:
+ *   an ISO date directly, anything else (e.g. "December 1, 2024") through
+ *   `new Date()`, which reads it in local time, so the local calendar day
+ *   is the one written. A time of day in the text is dropped
+ * - Serial and text dates both come out as midnight UTC, so the same release
+ *   date typed either way is the same Date, whatever the server's time zone
+ */
+function parseReleaseDate(value) {
+  if (value instanceof Date) return isNaN(value) ? null : value
+  if (typeof value === 'number') {
+    const [first, last] = EXCEL_SERIAL_RANGE
+    if (!Number.isFinite(value) || value < first || value > last) return null
+    const { y, m, d, H, M, S } = xlsx.SSF.parse_date_code(value)
+    return new Date(Date.UTC(y, m - 1, d, H, M, S))
+  }
+  if (typeof value !== 'string' || value.trim() === '') return null
+
+  const iso = value.trim().match(ISO_DATE_PATTERN)
+  if (iso) return utcDay(Number(iso[1]), Number(iso[2]), Number(iso[3]))
+
+  const local = new Date(value)
+  if (isNaN(local)) return null
+  return utcDay(local.getFullYear(), local.getMonth() + 1, local.getDate())
+}
+
+// Type name → test used by the schemas below
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string' && value.trim() !== '',
+  integer: (value) => Number.isInteger(value),
+  array: (value) => Array.isArray(value),
+  object: (value) =>
+    value !== null && typeof value === 'object' && !Array.isArray(value),
+  date: (value) => parseReleaseDate(value) !== null,
+}
+
+// ============================================================================
+// SCHEMAS
+// ============================================================================
+// Each schema declares its fields (dotted paths for nested values) and any
+// record-level checks that need more than one field.
+//
+// Field rule options:
+// - type      one of TYPE_CHECKS, or a list of accepted types
+// - required  missing/null is an issue (otherwise null is allowed)
+// - pattern   regex the value must match
+// - enum      list of allowed values
+// - severity  'warning' to report without skipping the record (default 'error')
+// - hint      how to describe a valid value in messages
+// - missing   message used instead of "is required"
+
+const SCHEMAS = {
+  unitGroups: {
+    label: (record) => `noc=${record.noc_number}`,
+    key: (record) => record.noc_number,
+    fields: {
+      noc_number: {
+        type: 'string',
+        required: true,
+        pattern: NOC_2021_PATTERN,
+        hint: 'a 5-digit NOC 2021 code',
+      },
+      occupation: { type: 'string', required: true },
+      sections: { type: 'array', required: true },
+    },
+    checks: [checkSections],
+  },
+
+  // Optional titles of the groups above the unit groups (lib/hierarchy.js)
+  nocGroups: {
+    label: (record) => `code=${record.code}`,
+    key: (record) => record.code,
+    fields: {
+      code: {
+        type: 'string',
+        required: true,
+        pattern: NOC_GROUP_PATTERN,
+        hint: 'a 1- to 4-digit NOC 2021 group code',
+      },
+      title: { type: 'string', required: true },
+    },
+    checks: [],
+  },
+
+  programs: {
+    label: (record) => `Program: ${record.title} (nid ${record.nid})`,
+    key: (record) => record.nid,
+    fields: {
+      nid: { type: 'integer', required: true },
+      title: { type: 'string', required: true },
+      credential: { type: 'string', required: true, enum: CREDENTIALS },
+      duration: { type: 'string' },
+      'program_area.nid': { type: 'integer', required: true },
+      'program_area.title': { type: 'string', required: true },
+      viu_search_keywords: { type: 'string' },
+      noc_search_keywords: {
+        type: 'array',
+        required: true,
+        severity: 'warning',
+        missing: 'is missing - matching will rely on viu_search_keywords only',
+      },
+      known_noc_groups: { type: 'array' },
+    },
+    checks: [checkKnownNocGroups],
+  },
+
+  regions: {
+    label: (record) => `code=${record.code}`,
+    key: (record) => record.code,
+    fields: {
+      code: {
+        type: 'string',
+        required: true,
+        pattern: REGION_CODE_PATTERN,
+        hint: 'a 4-digit economic region code',
+      },
+      name: { type: 'string', required: true },
+      province: {
+        type: 'string',
+        required: true,
+        enum: Object.keys(PROVINCES),
+      },
+      type: { type: 'string', required: true, enum: REGION_TYPES },
+      aliases: { type: 'array' },
+      boundary: { type: 'object' },
+    },
+    checks: [checkBoundary],
+  },
+
+  outlooks: {
+    // Header is spreadsheet row 1, so data row 0 is row 2
+    label: (record, index) => `row ${index + 2}`,
+    // Field names of OUTLOOK_COLUMNS (lib/datasets.js)
+    fields: {
+      // A NOC typed as a number loses its leading zeros; the adapter's
+      // transform pads it again (lib/datasets.js)
+      noc: {
+        type: ['string', 'integer'],
+        required: true,
+        pattern: OUTLOOK_NOC_PATTERN,
+        hint: 'a NOC code like "NOC_21231"',
+      },
+      title: { type: 'string', required: true },
+      economicRegionCode: { type: ['string', 'integer'], required: true },
+      economicRegionName: { type: 'string', required: true },
+      outlook: { type: 'string', required: true },
+      trends: { type: 'string', required: true },
+      releaseDate: {
+        type: 'date',
+        required: true,
+        hint: 'a date cell, or a date written as text (e.g. "2024-12-01")',
+      },
+      province: { type: 'string', required: true },
+      lang: { type: 'string', required: true, enum: LANGUAGES },
+    },
+    checks: [checkRating],
+  },
+}
+
+/**
+ * Unit Group Section Check
+ * ========================
+ * @param {Object} record - One unit group from unit_groups.json
+ * @returns {Object[]} Issues for missing required sections, unknown section
+ *   titles and sections whose items aren't a list
+ *
+ * - Titles are checked in the language being seeded (settings.lang)
+ */
+function checkSections(record) {
+  if (!Array.isArray(record.sections)) return []
+
+  const issues = []
+  const sectionTitles = SECTION_TITLES_BY_LANG[settings.lang]
+  const known = Object.values(sectionTitles)
+  const titles = record.sections.map((section) => section && section.title)
+
+  for (const key of REQUIRED_SECTIONS) {
+    const required = sectionTitles[key]
+    if (!titles.includes(required)) {
+      issues.push({
+        field: 'sections',
+        severity: 'warning',
+        message: `missing required section "${required}"`,
+      })
+    }
+  }
+  record.sections.forEach((section, i) => {
+    if (!section || !known.includes(section.title)) {
+      issues.push({
+        field: `sections[${i}].title`,
+        severity: 'warning',
+        message: `unknown section title "${section && section.title}"`,
+      })
+    } else if (section.items != null && !Array.isArray(section.items)) {
+      issues.push({
+        field: `sections[${i}].items`,
+        severity: 'error',
+        message: 'must be a list of strings',
+      })
+    }
+  })
+  return issues
+}
+
+/**
+ * Known NOC Group Check
+ * =====================
+ * @param {Object} record - One program from viu_programs.json
+ * @returns {Object[]} Warnings for codes that aren't 4- or 5-digit NOC codes
+ *   (they are flagged for review rather than stored, see lib/concordance.js)
+ */
+function checkKnownNocGroups(record) {
+  if (!Array.isArray(record.known_noc_groups)) return []
+  return record.known_noc_groups
+    .filter((code) => !KNOWN_NOC_PATTERN.test(String(code).trim()))
+    .map((code) => ({
+      field: 'known_noc_groups',
+      severity: 'warning',
+      message: `"${code}" is not a 4- or 5-digit NOC code`,
+    }))
+}
+
+/**
+ * Outlook Rating Check
+ * ====================
+ * @param {Object} record - One row of the outlook workbook
+ * @returns {Object[]} A warning if the rating isn't one lib/ratings.js knows
+ *   (the row is still seeded, without a normalized rating or score)
+ */
+function checkRating(record) {
+  if (typeof record.outlook !== 'string') return []
+  if (classifyRating(record.outlook)) return []
+  return [
+    {
+      field: 'outlook',
+      severity: 'warning',
+      message: `unknown outlook rating "${record.outlook}"; it is stored without a score`,
+    },
+  ]
+}
+
+/**
+ * Region Boundary Check
+ * =====================
+ * @param {Object} record - One region from economic_regions.json
+ * @returns {Object[]} An error if the boundary isn't a GeoJSON polygon,
+ *   multipolygon or feature
+ */
+function checkBoundary(record) {
+  const { boundary } = record
+  if (!TYPE_CHECKS.object(boundary)) return []
+  if (BOUNDARY_TYPES.includes(boundary.type)) return []
+  return [
+    {
+      field: 'boundary.type',
+      severity: 'error',
+      message: `must be one of ${BOUNDARY_TYPES.join(', ')}, got ${JSON.stringify(boundary.type)}`,
+    },
+  ]
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Dotted Path Reader
+ * ==================
+ * @param {Object} record - Source record
+ * @param {string} path - Field name, or dotted path such as 'program_area.nid'
+ * @returns {any} The value, or undefined if any part of the path is missing
+ */
+function getField(record, path) {
+  return path
+    .split('.')
+    .reduce((value, part) => (value == null ? undefined : value[part]), record)
+}
+
+/**
+ * Field Rule Checker
+ * ==================
+ * @param {any} value - The field's value
+ * @param {Object} rule - The field's rule from SCHEMAS
+ * @returns {string|null} What is wrong with the value, or null if it is fine
+ */
+function checkField(value, rule) {
+  if (value === undefined || value === null) {
+    if (!rule.required) return null
+    return rule.missing || `is required${rule.hint ? ` (${rule.hint})` : ''}`
+  }
+
+  const types = [].concat(rule.type)
+  if (!types.some((type) => TYPE_CHECKS[type](value))) {
+    return `must be ${rule.hint || types.join(' or ')}, got ${JSON.stringify(value)}`
+  }
+  if (rule.pattern && !rule.pattern.test(String(value))) {
+    return `must be ${rule.hint || rule.pattern}, got ${JSON.stringify(value)}`
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `must be one of ${rule.enum.join(', ')}, got ${JSON.stringify(value)}`
+  }
+  return null
+}
+
+/**
+ * Dataset Validator
+ * =================
+ * Checks every record of one dataset against its schema.
+ *
+ * @param {string} dataset - Which schema to use (a key of SCHEMAS)
+ * @param {Object[]} records - Parsed records from the input file
+ * @param {Object} [options] - For a file checked a chunk at a time:
+ * @param {number} [options.start=0] - Index of the first record in the file
+ * @param {Set} [options.seenKeys] - Keys of the earlier chunks' records
+ * @returns {{ records: Object[], invalid: number, issues: Object[] }}
+ *   The records without errors (safe to seed), how many were rejected, and
+ *   every issue found as `{ index, record, field, severity, message }`
+ *
+ * - Records whose key (NOC code, program nid) repeats an earlier one get a
+ *   warning; the database keeps the first one
+ */
+function validateRecords(
+  dataset,
+  records,
+  { start = 0, seenKeys = new Set() } = {}
+) {
+  const schema = SCHEMAS[dataset]
+  const issues = []
+  const valid = []
+
+  records.forEach((record, position) => {
+    const index = start + position
+    const label = schema.label(record, index)
+    const recordIssues = []
+
+    if (!TYPE_CHECKS.object(record)) {
+      recordIssues.push({
+        field: '',
+        severity: 'error',
+        message: 'not an object',
+      })
+    } else {
+      for (const [field, rule] of Object.entries(schema.fields)) {
+        const message = checkField(getField(record, field), rule)
+        if (message) {
+          recordIssues.push({
+            field,
+            severity: rule.severity || 'error',
+            message,
+          })
+        }
+      }
+      for (const check of schema.checks) recordIssues.push(...check(record))
+
+      const key = schema.key && schema.key(record)
+      if (key != null && seenKeys.has(key)) {
+        recordIssues.push({
+          field: '',
+          severity: 'warning',
+          message: `duplicate of an earlier record (${label})`,
+        })
+      }
+      seenKeys.add(key)
+    }
+
+    for (const issue of recordIssues)
+      issues.push({ index, record: label, ...issue })
+    if (!recordIssues.some((issue) => issue.severity === 'error')) {
+      valid.push(record)
+    }
+  })
+
+  return { records: valid, invalid: records.length - valid.length, issues }
+}
+
+/**
+ * Input Validator
+ * ===============
+ * Reads and validates the input file of each dataset.
+ *
+ * @param {Object[]} datasets - Dataset adapters (lib/datasets.js) to check
+ * @returns {Promise<Object>} `{ valid, datasets }` where each dataset (by
+ *   name) is `{ file, missing, total, invalid, warnings, records, issues }`
+ *
+ * - `valid` is false if any required file is missing or unreadable, or any
+ *   record has an error. An optional dataset's missing file is left out
+ * - A file that can't be parsed at all counts as one error with no records
+ * - A dataset without a schema has all of its records accepted
+ * - Files are checked a chunk at a time (see streamSource()). The valid
+ *   records of a `stream` dataset aren't kept (`records` is empty): its
+ *   seeder reads the file again, see validRecordChunks()
+ * - Issue fields name the source column ("Economic Region Code"), not the
+ *   record field it was mapped to; records of a multi-sheet workbook are
+ *   labelled with their sheet
+ */
+async function validateInputs(datasets) {
+  const results = {}
+
+  for (const dataset of datasets) {
+    const file = sourceFile(dataset)
+    const missing = !file || !fs.existsSync(file)
+    if (missing && dataset.optional) continue
+
+    const result = {
+      file,
+      missing,
+      total: 0,
+      invalid: 0,
+      warnings: 0,
+      records: [],
+      issues: [],
+    }
+    results[dataset.name] = result
+    if (result.missing) continue
+
+    const seenKeys = new Set()
+    try {
+      for await (const { sheet, start, records } of streamSource(
+        dataset,
+        file
+      )) {
+        result.total += records.length
+        const checked = dataset.schema
+          ? validateRecords(dataset.schema, records, { start, seenKeys })
+          : { records, invalid: 0, issues: [] }
+
+        result.invalid += checked.invalid
+        if (!dataset.stream)
+          result.records = result.records.concat(checked.records)
+        for (const issue of checked.issues) {
+          result.issues.push({
+            ...issue,
+            record: sheet ? `sheet "${sheet}" ${issue.record}` : issue.record,
+            field: issue.field && sourceColumn(dataset, issue.field),
+          })
+          if (issue.severity === 'warning') result.warnings++
+        }
+      }
+    } catch (error) {
+      result.invalid += 1
+      result.records = []
+      result.issues.push({
+        record: file,
+        field: '',
+        severity: 'error',
+        message: `could not be read: ${error.message}`,
+      })
+    }
+  }
+
+  const valid = Object.values(results).every(
+    (result) => !result.missing && result.invalid === 0
+  )
+  return { valid, datasets: results }
+}
+
+/**
+ * Valid Record Stream
+ * ===================
+ * Reads a `stream` dataset's file again after validateInputs(), for its
+ * seeder.
+ *
+ * @param {Object} dataset - Dataset adapter
+ * @param {string} file - The validated input file
+ * @yields {Object[]} The valid records of each chunk, transformed by the
+ *   adapter's `transform`
+ *
+ * - Records with errors are left out again, exactly as validateInputs()
+ *   reported them
+ */
+async function* validRecordChunks(dataset, file) {
+  for await (const { start, records } of streamSource(dataset, file)) {
+    const valid = dataset.schema
+      ? validateRecords(dataset.schema, records, { start }).records
+      : records
+    yield dataset.transform ? valid.map(dataset.transform) : valid
+  }
+}
+
+/**
+ * Validation Report Writer
+ * ========================
+ * Writes the machine-readable report and prints a human summary.
+ *
+ * @param {Object} validation - Output of validateInputs()
+ * @param {string|null} [reportPath] - Where to write the JSON report (null = don't)
+ */
+function reportValidation(validation, reportPath = settings.logs.validation) {
+  console.log('\nInput validation:')
+  for (const [dataset, result] of Object.entries(validation.datasets)) {
+    if (result.missing) {
+      console.log(`  ${dataset.padEnd(12)} MISSING ${result.file}`)
+      continue
+    }
+    console.log(
+      `  ${dataset.padEnd(12)} ${result.total} records, ${result.invalid} invalid, ${result.warnings} warning(s)`
+    )
+    for (const issue of result.issues.slice(0, SUMMARY_ISSUE_LIMIT)) {
+      const field = issue.field ? ` ${issue.field}` : ''
+      console.log(
+        `    ${issue.severity}: ${issue.record}${field} ${issue.message}`
+      )
+    }
+    if (result.issues.length > SUMMARY_ISSUE_LIMIT) {
+      console.log(
+        `    ... and ${result.issues.length - SUMMARY_ISSUE_LIMIT} more`
+      )
+    }
+  }
+
+  if (!reportPath) return
+
+  // The report leaves out the validated records themselves - only the findings
+  const report = {
+    generatedAt: new Date().toISOString(),
+    valid: validation.valid,
+    datasets: Object.fromEntries(
+      Object.entries(validation.datasets).map(
+        ([dataset, { records, ...result }]) => [dataset, result]
+      )
+    ),
+  }
+  fs.writeFileSync(reportPath, `${JSON.stringify(report, null, 2)}\n`)
+  console.log(`Validation report written to ${reportPath}`)
+}
+
+module.exports = {
+  CREDENTIALS,
+  LANGUAGES,
+  PROVINCES,
+  REGION_TYPES,
+  REQUIRED_SECTIONS,
+  SCHEMAS,
+  parseReleaseDate,
+  validateRecords,
+  validateInputs,
+  validRecordChunks,
+  reportValidation,
+}
@@ -0,0 +1,367 @@
+/*
+ * Streaming Workbook Reader
+ * =========================
+ *
+ * Reads the rows of one .xlsx sheet as the sheet's XML is unzipped, instead
+ * of parsing the whole sheet (as xlsx.readFile() does) before the first row
+ * can be used. lib/sources.js turns the rows into records a chunk at a time,
+ * so a large outlook workbook never has more than one chunk of rows in
+ * memory.
+ *
+ * An .xlsx file is a zip archive of XML files:
+ * - xl/workbook.xml lists the sheets by name, each pointing (through
+ *   xl/_rels/workbook.xml.rels) at its own XML file
+ * - xl/sharedStrings.xml holds the text of the cells, each distinct text
+ *   once; cells of type "s" refer to it by index. It is the only part held
+ *   in memory as a whole, and it only grows with the number of distinct
+ *   texts, not with the number of rows
+ *
+ * Only the zip's directory is read up front; each file inside it is
+ * streamed when it's needed (node-stream-zip), and its XML is parsed as it
+ * streams (sax).
+ *
+ * Cell values are returned raw, like xlsx's `raw: true`: numbers as numbers
+ * (dates too - Excel stores them as serial day numbers), text as text and
+ * booleans as booleans. Error cells (#N/A, ...) are left empty.
+ */
+
+const path = require('path') // Path manipulation utilities (built-in Node.js module)
+const { StringDecoder } = require('string_decoder') // Decodes UTF-8 split across chunks (built-in Node.js module)
+const sax = require('sax') // Streaming XML parser
+const StreamZip = require('node-stream-zip') // Reads single files out of a zip archive
+
+// Relationship types of the parts read from a workbook
+const RELATIONSHIP_TYPES = {
+  officeDocument: /\/officeDocument$/,
+  worksheet: /\/worksheet$/,
+  sharedStrings: /\/sharedStrings$/,
+}
+
+/**
+ * Element Name Helper
+ * ===================
+ * @param {string} name - XML element name, possibly prefixed ("x:row")
+ * @returns {string} The name without its namespace prefix ("row")
+ */
+function localName(name) {
+  return name.slice(name.indexOf(':') + 1)
+}
+
+/**
+ * Zip Entry Parser
+ * ================
+ * Streams one XML file out of the archive through a sax parser.
+ *
+ * @param {Object} zip - Open node-stream-zip archive
+ * @param {string} entry - Path of the XML file inside the archive
+ * @param {Object} handlers - `{ open(name, attributes), text(text),
+ *   close(name) }`, each optional; names are without namespace prefixes
+ * @yields {undefined} After each chunk of the file has been parsed, so the
+ *   caller can hand on what the handlers collected before the next one
+ */
+async function* parseEntry(zip, entry, { open, text, close }) {
+  const parser = sax.parser(true)
+  let error = null
+  parser.onerror = (parseError) => {
+    error = parseError
+  }
+  if (open) {
+    parser.onopentag = (node) => open(localName(node.name), node.attributes)
+  }
+  if (text) parser.ontext = parser.oncdata = text
+  if (close) parser.onclosetag = (name) => close(localName(name))
+
+  const decoder = new StringDecoder('utf8')
+  for await (const chunk of await zip.stream(entry)) {
+    parser.write(decoder.write(chunk))
+    if (error) throw new Error(`${entry}: ${error.message.split('\n')[0]}`)
+    yield
+  }
+  parser.write(decoder.end()).close()
+  if (error) throw new Error(`${entry}: ${error.message.split('\n')[0]}`)
+}
+
+/**
+ * Whole Entry Parser
+ * ==================
+ * parseEntry() for the small files that are read completely (workbook.xml,
+ * relationships, shared strings).
+ *
+ * @param {Object} zip - Open node-stream-zip archive
+ * @param {string} entry - Path of the XML file inside the archive
+ * @param {Object} handlers - See parseEntry()
+ * @returns {Promise<void>}
+ */
+async function readEntry(zip, entry, handlers) {
+  const parsing = parseEntry(zip, entry, handlers)
+  while (!(await parsing.next()).done) {
+    // The handlers collect what the caller needs
+  }
+}
+
+/**
+ * Relationships Reader
+ * ====================
+ * @param {Object} zip - Open node-stream-zip archive
+ * @param {string} part - The part whose relationships are read ("" for the
+ *   package itself, "xl/workbook.xml" for the workbook)
+ * @returns {Promise<Object[]>} `{ id, type, target }` per relationship, the
+ *   target resolved to a path inside the archive
+ */
+async function readRelationships(zip, part) {
+  const dir = path.posix.dirname(part)
+  const entry = path.posix.join(
+    dir,
+    '_rels',
+    `${path.posix.basename(part)}.rels`
+  )
+  if (!(await zip.entry(entry))) return []
+
+  const relationships = []
+  await readEntry(zip, entry, {
+    open(name, attributes) {
+      if (name !== 'Relationship') return
+      const target = attributes.Target
+      relationships.push({
+        id: attributes.Id,
+        type: attributes.Type,
+        // Targets are relative to the part's folder, or absolute from the root
+        target: target.startsWith('/')
+          ? target.slice(1)
+          : path.posix.join(dir, target),
+      })
+    },
+  })
+  return relationships
+}
+
+/**
+ * Workbook Opener
+ * ===============
+ * @param {string} filePath - XLSX workbook
+ * @returns {Promise<Object>} `{ zip, sheets, sharedStrings }`: the open
+ *   archive (close it when done), `{ name, entry }` for each sheet in
+ *   workbook order, and the path of the shared strings (null if none)
+ * @throws {Error} If the file isn't a zip archive with a workbook in it
+ *   (or can't be read)
+ */
+async function openWorkbook(filePath) {
+  const zip = new StreamZip.async({ file: filePath })
+  try {
+    const document = (await readRelationships(zip, '')).find((rel) =>
+      RELATIONSHIP_TYPES.officeDocument.test(rel.type)
+    )
+    const workbookEntry = document ? document.target : 'xl/workbook.xml'
+    if (!(await zip.entry(workbookEntry))) {
+      throw new Error('not an .xlsx workbook (no workbook part found)')
+    }
+
+    const relationships = await readRelationships(zip, workbookEntry)
+    const targets = new Map(relationships.map((rel) => [rel.id, rel]))
+    const sheets = []
+    await readEntry(zip, workbookEntry, {
+      open(name, attributes) {
+        if (name !== 'sheet') return
+        const id = Object.keys(attributes).find(
+          (key) => localName(key) === 'id'
+        )
+        const rel = targets.get(attributes[id])
+        if (rel && RELATIONSHIP_TYPES.worksheet.test(rel.type)) {
+          sheets.push({ name: attributes.name, entry: rel.target })
+        }
+      },
+    })
+    const strings = relationships.find((rel) =>
+      RELATIONSHIP_TYPES.sharedStrings.test(rel.type)
+    )
+    return { zip, sheets, sharedStrings: strings ? strings.target : null }
+  } catch (error) {
+    // Closing an archive that never opened fails with the same error
+    await zip.close().catch(() => {})
+    throw new Error(`can't read the workbook: ${error.message}`)
+  }
+}
+
+/**
+ * Shared Strings Reader
+ * =====================
+ * @param {Object} zip - Open node-stream-zip archive
+ * @param {string|null} entry - Path of xl/sharedStrings.xml (null if none)
+ * @returns {Promise<string[]>} The text of each shared string, by index
+ *
+ * - Rich text runs are joined; phonetic hints (rPh) are left out
+ * - `_xHHHH_` escapes are decoded, as xlsx does
+ */
+async function readSharedStrings(zip, entry) {
+  const strings = []
+  if (!entry) return strings
+  let current = null
+  let inText = false
+  let phonetic = 0
+  await readEntry(zip, entry, {
+    open(name) {
+      if (name === 'si') current = ''
+      else if (name === 'rPh') phonetic++
+      else if (name === 't' && !phonetic) inText = true
+    },
+    text(text) {
+      if (inText) current += text
+    },
+    close(name) {
+      if (name === 'si') strings.push(decodeEscapes(current))
+      else if (name === 'rPh') phonetic--
+      else if (name === 't') inText = false
+    },
+  })
+  return strings
+}
+
+/**
+ * Escaped Character Decoder
+ * =========================
+ * Excel writes characters XML can't hold (control characters such as a
+ * carriage return) as `_xHHHH_`, and a literal "_x" sequence as `_x005F_x`.
+ *
+ * @param {string} text - Text of a shared string or inline string cell
+ * @returns {string} The text with the escapes replaced by their characters
+ */
+function decodeEscapes(text) {
+  return text.replace(/_x([0-9A-Fa-f]{4})_/g, (match, code) =>
+    String.fromCharCode(parseInt(code, 16))
+  )
+}
+
+/**
+ * Column Index Lookup
+ * ===================
+ * @param {string} ref - Cell reference, e.g. "C12"
+ * @returns {number} 0-based column index (A = 0)
+ */
+function columnIndex(ref) {
+  let index = 0
+  for (const char of ref) {
+    if (char < 'A' || char > 'Z') break
+    index = index * 26 + char.charCodeAt(0) - 64
+  }
+  return index - 1
+}
+
+/**
+ * Cell Value Converter
+ * ====================
+ * @param {string} type - The cell's `t` attribute (n when missing)
+ * @param {string} value - Text of its <v> (or inline string)
+ * @param {string[]} strings - The workbook's shared strings
+ * @returns {*} The raw value, or undefined for an empty or error cell
+ */
+function cellValue(type, value, strings) {
+  if (value === '') return undefined
+  switch (type) {
+    case 's':
+      return strings[Number(value)]
+    case 'str': // Text result of a formula
+    case 'inlineStr':
+      return decodeEscapes(value)
+    case 'b':
+      return value === '1'
+    case 'e':
+      return undefined
+    case 'd': // ISO 8601 date, written by some tools instead of a serial
+      return new Date(value)
+    default:
+      return Number(value)
+  }
+}
+
+/**
+ * Workbook Sheet Names
+ * ====================
+ * @param {string} filePath - XLSX workbook
+ * @returns {Promise<string[]>} The names of its sheets, in workbook order
+ *
+ * - Only the workbook part is read, not the sheets
+ */
+async function workbookSheetNames(filePath) {
+  const { zip, sheets } = await openWorkbook(filePath)
+  await zip.close()
+  return sheets.map((sheet) => sheet.name)
+}
+
+/**
+ * Sheet Row Streamer
+ * ==================
+ * @param {string} filePath - XLSX workbook
+ * @param {string} sheetName - Sheet to read
+ * @yields {Array} The cells of each row, by column index (empty cells are
+ *   undefined), in sheet order; rows with no cells are left out
+ * @throws {Error} If the sheet isn't in the workbook or its XML is broken
+ *
+ * - Rows are handed on as each piece of the sheet is parsed, so only that
+ *   piece and the shared strings are in memory
+ */
+async function* sheetRowCells(filePath, sheetName) {
+  const { zip, sheets, sharedStrings } = await openWorkbook(filePath)
+  let parsing = null
+  try {
+    const sheet = sheets.find((candidate) => candidate.name === sheetName)
+    if (!sheet) throw new Error(`no sheet named "${sheetName}"`)
+    const strings = await readSharedStrings(zip, sharedStrings)
+
+    let rows = []
+    let row = null
+    let cell = null // { index, type, value } of the cell being read
+    let column = -1 // Index of the row's previous cell, empty or not
+    let inValue = false // Inside <v>, or <t> of an inline string
+    let phonetic = 0
+
+    parsing = parseEntry(zip, sheet.entry, {
+      open(name, attributes) {
+        if (name === 'row') {
+          row = []
+          column = -1
+        } else if (name === 'c' && row) {
+          // Cells without a reference follow the previous one
+          column = attributes.r ? columnIndex(attributes.r) : column + 1
+          cell = { index: column, type: attributes.t || 'n', value: '' }
+        } else if (name === 'rPh') {
+          phonetic++
+        } else if (cell && (name === 'v' || (name === 't' && !phonetic))) {
+          inValue = true
+        }
+      },
+      text(text) {
+        if (inValue) cell.value += text
+      },
+      close(name) {
+        if (name === 'v' || name === 't') {
+          inValue = false
+        } else if (name === 'rPh') {
+          phonetic--
+        } else if (name === 'c' && cell) {
+          const value = cellValue(cell.type, cell.value, strings)
+          if (value !== undefined) row[cell.index] = value
+          cell = null
+        } else if (name === 'row') {
+          if (row.length > 0) rows.push(row)
+          row = null
+        }
+      },
+    })
+
+    // Hand on the rows each piece of the sheet completed
+    while (!(await parsing.next()).done) {
+      const completed = rows
+      rows = []
+      yield* completed
+    }
+  } finally {
+    // A caller that stops early leaves the sheet's stream half read
+    if (parsing) await parsing.return()
+    await zip.close()
+  }
+}
+
+module.exports = {
+  workbookSheetNames,
+  sheetRowCells,
+}
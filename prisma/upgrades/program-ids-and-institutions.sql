@@ -0,0 +1,105 @@
+-- Upgrades a database pushed from the schema before institutions existed.
+-- Run it with `prisma db execute`, before `prisma db push` (see "Upgrading a
+-- Database Seeded Before Institutions" in the README); it is not a Prisma
+-- migration.
+--
+-- Programs are keyed by an autoincrement id instead of VIU's nid, and the
+-- tables pointing at them switch from programNid to programId. Every
+-- existing program and program area is VIU's.
+
+-- CreateTable
+CREATE TABLE "Institution" (
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "province" TEXT,
+    "website" TEXT,
+
+    CONSTRAINT "Institution_pkey" PRIMARY KEY ("code")
+);
+
+-- Backfill (same values as VIU in lib/institutions.js)
+INSERT INTO "Institution" ("code", "name", "province", "website")
+VALUES ('VIU', 'Vancouver Island University', 'BC', 'https://www.viu.ca');
+
+-- DropForeignKey
+ALTER TABLE "Outlook" DROP CONSTRAINT "Outlook_programNid_fkey";
+
+-- DropForeignKey
+ALTER TABLE "ProgramNocMatch" DROP CONSTRAINT "ProgramNocMatch_programNid_fkey";
+
+-- DropForeignKey
+ALTER TABLE "ProgramNocReview" DROP CONSTRAINT "ProgramNocReview_programNid_fkey";
+
+-- DropIndex
+DROP INDEX "ProgramArea_title_key";
+
+-- DropIndex
+DROP INDEX "ProgramNocMatch_programNid_noc_key";
+
+-- DropIndex
+DROP INDEX "ProgramNocReview_programNid_legacyNoc_key";
+
+-- AlterTable: adding the SERIAL column numbers the existing programs
+ALTER TABLE "Program" DROP CONSTRAINT "Program_pkey",
+ADD COLUMN "id" SERIAL NOT NULL,
+ADD COLUMN "institutionCode" TEXT NOT NULL DEFAULT 'VIU',
+ADD CONSTRAINT "Program_pkey" PRIMARY KEY ("id");
+ALTER TABLE "Program" ALTER COLUMN "institutionCode" DROP DEFAULT;
+
+-- AlterTable
+ALTER TABLE "ProgramArea" ADD COLUMN "institutionCode" TEXT NOT NULL DEFAULT 'VIU';
+ALTER TABLE "ProgramArea" ALTER COLUMN "institutionCode" DROP DEFAULT;
+
+-- AlterTable: backfill programId from programNid
+ALTER TABLE "Outlook" ADD COLUMN "programId" INTEGER;
+UPDATE "Outlook" SET "programId" = "Program"."id"
+FROM "Program" WHERE "Program"."nid" = "Outlook"."programNid";
+ALTER TABLE "Outlook" DROP COLUMN "programNid";
+
+-- AlterTable: backfill programId from programNid
+ALTER TABLE "ProgramNocMatch" ADD COLUMN "programId" INTEGER;
+UPDATE "ProgramNocMatch" SET "programId" = "Program"."id"
+FROM "Program" WHERE "Program"."nid" = "ProgramNocMatch"."programNid";
+ALTER TABLE "ProgramNocMatch" ALTER COLUMN "programId" SET NOT NULL,
+DROP COLUMN "programNid";
+
+-- AlterTable: backfill programId from programNid
+ALTER TABLE "ProgramNocReview" ADD COLUMN "programId" INTEGER;
+UPDATE "ProgramNocReview" SET "programId" = "Program"."id"
+FROM "Program" WHERE "Program"."nid" = "ProgramNocReview"."programNid";
+ALTER TABLE "ProgramNocReview" ALTER COLUMN "programId" SET NOT NULL,
+DROP COLUMN "programNid";
+
+-- The search index keys programs by nid; `node index.js reindex` rebuilds
+-- their entries keyed by id
+DELETE FROM "SearchTerm" WHERE "kind" = 'program';
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Program_institutionCode_nid_key" ON "Program"("institutionCode", "nid");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProgramArea_institutionCode_nid_key" ON "ProgramArea"("institutionCode", "nid");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProgramArea_institutionCode_title_key" ON "ProgramArea"("institutionCode", "title");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProgramNocMatch_programId_noc_key" ON "ProgramNocMatch"("programId", "noc");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProgramNocReview_programId_legacyNoc_key" ON "ProgramNocReview"("programId", "legacyNoc");
+
+-- AddForeignKey
+ALTER TABLE "Outlook" ADD CONSTRAINT "Outlook_programId_fkey" FOREIGN KEY ("programId") REFERENCES "Program"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Program" ADD CONSTRAINT "Program_institutionCode_fkey" FOREIGN KEY ("institutionCode") REFERENCES "Institution"("code") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ProgramArea" ADD CONSTRAINT "ProgramArea_institutionCode_fkey" FOREIGN KEY ("institutionCode") REFERENCES "Institution"("code") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ProgramNocMatch" ADD CONSTRAINT "ProgramNocMatch_programId_fkey" FOREIGN KEY ("programId") REFERENCES "Program"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ProgramNocReview" ADD CONSTRAINT "ProgramNocReview_programId_fkey" FOREIGN KEY ("programId") REFERENCES "Program"("id") ON DELETE CASCADE ON UPDATE CASCADE;
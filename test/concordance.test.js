@@ -0,0 +1,41 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { REVIEW_REASONS, translateNocGroups } = require('../lib/concordance')
+
+const CONCORDANCE = new Map([
+  ['2171', ['21211']],
+  ['0213', ['20012', '21311']],
+])
+
+test('NOC 2016 groups are translated, and splits flagged for review', () => {
+  const { nocs, reviews } = translateNocGroups(
+    ['2171', '0213', '31301'],
+    CONCORDANCE
+  )
+  assert.deepEqual(nocs, ['21211', '20012', '21311', '31301'])
+  assert.deepEqual(reviews, [
+    {
+      legacyNoc: '0213',
+      candidates: ['20012', '21311'],
+      reason: REVIEW_REASONS.split,
+    },
+  ])
+})
+
+test('codes missing from the concordance are dropped and flagged', () => {
+  const { nocs, reviews } = translateNocGroups(['9999', 'abc'], CONCORDANCE)
+  assert.deepEqual(nocs, [])
+  assert.deepEqual(
+    reviews.map((review) => review.reason),
+    [REVIEW_REASONS.unmapped, REVIEW_REASONS.invalid]
+  )
+})
+
+test('NOC 2016 groups are refused when no concordance is loaded', () => {
+  assert.throws(
+    () => translateNocGroups(['2171'], new Map()),
+    /NOC concordance is empty/
+  )
+  // NOC 2021 codes need no concordance
+  assert.deepEqual(translateNocGroups(['21211'], new Map()).nocs, ['21211'])
+})
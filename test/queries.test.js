@@ -0,0 +1,26 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { outlookWhere, provinceCode, provinceWhere } = require('../lib/queries')
+
+test('outlooks are filtered by province code or name in any case', () => {
+  const bc = provinceWhere('BC')
+  assert.deepEqual(outlookWhere({ province: 'bc' }).OR, bc.OR)
+  assert.deepEqual(outlookWhere({ province: 'British Columbia' }).OR, bc.OR)
+  assert.deepEqual(bc.OR, [
+    { province: { in: ['BC', 'British Columbia'] } },
+    { economicRegion: { province: 'BC' } },
+  ])
+})
+
+test('no province, or "all", leaves outlooks unfiltered by province', () => {
+  assert.equal(outlookWhere().OR, undefined)
+  assert.equal(outlookWhere({ province: 'ALL' }).OR, undefined)
+})
+
+test('provinceCode normalizes a province code or name to its code', () => {
+  assert.equal(provinceCode('bc'), 'BC')
+  assert.equal(provinceCode('british columbia'), 'BC')
+  assert.equal(provinceCode('All'), null)
+  assert.equal(provinceCode(undefined), null)
+  assert.equal(provinceCode('Atlantis'), 'Atlantis')
+})
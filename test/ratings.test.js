@@ -0,0 +1,52 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const {
+  classifyRating,
+  normalizeRatingLabel,
+  ratingScore,
+} = require('../lib/ratings')
+
+test('classifyRating maps English labels onto the scale', () => {
+  assert.deepEqual(classifyRating('Very good'), {
+    rating: 'VERY_GOOD',
+    ratingScore: 5,
+  })
+  assert.deepEqual(classifyRating('Limited'), {
+    rating: 'LIMITED',
+    ratingScore: 2,
+  })
+})
+
+test('classifyRating treats Fair as the older name for Moderate', () => {
+  assert.deepEqual(classifyRating('Fair'), classifyRating('Moderate'))
+})
+
+test('classifyRating reads French labels with or without accents', () => {
+  assert.equal(classifyRating('Très bonnes').rating, 'VERY_GOOD')
+  assert.equal(classifyRating('Modérées').rating, 'MODERATE')
+  assert.equal(classifyRating('moderee').rating, 'MODERATE')
+  assert.equal(classifyRating('Indéterminées').rating, 'UNDETERMINED')
+})
+
+test('classifyRating ignores case and stray spaces', () => {
+  assert.equal(classifyRating('  VERY   good ').rating, 'VERY_GOOD')
+})
+
+test('Undetermined is a rating without a score', () => {
+  assert.deepEqual(classifyRating('Undetermined'), {
+    rating: 'UNDETERMINED',
+    ratingScore: null,
+  })
+  assert.equal(ratingScore('Undetermined'), null)
+})
+
+test('unknown or empty labels are not classified', () => {
+  assert.equal(classifyRating('Excellent'), null)
+  assert.equal(classifyRating(''), null)
+  assert.equal(classifyRating(undefined), null)
+  assert.equal(ratingScore('Excellent'), null)
+})
+
+test('normalizeRatingLabel strips accents and doubled spaces', () => {
+  assert.equal(normalizeRatingLabel('Très  Bonnes '), 'tres bonnes')
+})
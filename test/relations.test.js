@@ -0,0 +1,68 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { parseReference, unitGroupReferences } = require('../lib/relations')
+
+test('parseReference splits an item into title, NOC code and occupation', () => {
+  assert.deepEqual(
+    parseReference(
+      'Commissioner - government services (See 00011 Senior government managers and officials)'
+    ),
+    {
+      title: 'Commissioner - government services',
+      referencedNoc: '00011',
+      referencedTitle: 'Senior government managers and officials',
+    }
+  )
+})
+
+test('parseReference keeps 4-digit NOC 2016 codes', () => {
+  assert.equal(parseReference('Chefs (See 6321 Chefs)').referencedNoc, '6321')
+})
+
+test('parseReference reads references that wrap onto a new line', () => {
+  assert.deepEqual(parseReference('  Mayors (See 00010\nLegislators)  '), {
+    title: 'Mayors',
+    referencedNoc: '00010',
+    referencedTitle: 'Legislators',
+  })
+})
+
+test('items without a reference are not parsed', () => {
+  assert.equal(parseReference('Managers in agriculture'), null)
+  assert.equal(parseReference('Cooks (see the Chefs unit group)'), null)
+})
+
+test('unitGroupReferences reads Exclusion(s) and Inclusion(s) items once', () => {
+  const item = 'Mayors (See 00010 Legislators)'
+  const references = unitGroupReferences({
+    noc_number: '00011',
+    sections: [
+      { title: 'Illustrative example(s)', items: [item] },
+      { title: 'Exclusion(s)', items: [item, item, 'No reference here'] },
+      {
+        title: 'Inclusion(s)',
+        items: ['Deputy ministers (See 00012 Managers)'],
+      },
+    ],
+  })
+  assert.deepEqual(references, [
+    {
+      noc: '00011',
+      type: 'exclusion',
+      title: 'Mayors',
+      referencedNoc: '00010',
+      referencedTitle: 'Legislators',
+    },
+    {
+      noc: '00011',
+      type: 'inclusion',
+      title: 'Deputy ministers',
+      referencedNoc: '00012',
+      referencedTitle: 'Managers',
+    },
+  ])
+})
+
+test('a unit group without sections has no references', () => {
+  assert.deepEqual(unitGroupReferences({ noc_number: '00011' }), [])
+})
@@ -0,0 +1,132 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const {
+  parseRequirements,
+  educationLevelsUpTo,
+  checkCredential,
+} = require('../lib/requirements')
+
+test('parseRequirements finds nothing in an empty section', () => {
+  assert.deepEqual(parseRequirements([]), {
+    educationLevel: null,
+    educationStrength: null,
+    regulated: false,
+    tradeCertification: null,
+    apprenticeship: false,
+    redSeal: false,
+    experience: false,
+    experienceYears: null,
+    evidence: {},
+  })
+})
+
+test('the highest level among required items is the minimum education', () => {
+  const items = [
+    'Completion of secondary school is required.',
+    "A bachelor's degree in nursing is required.",
+  ]
+  const result = parseRequirements(items)
+  assert.equal(result.educationLevel, 'BACHELOR')
+  assert.equal(result.educationStrength, 'required')
+  assert.equal(result.evidence.educationLevel, items[1])
+})
+
+test('alternatives joined by "or" count for the lowest level', () => {
+  const result = parseRequirements([
+    'A university degree or college diploma in computer science is usually required.',
+  ])
+  assert.equal(result.educationLevel, 'COLLEGE_DIPLOMA')
+  assert.equal(result.educationStrength, 'usually')
+})
+
+test('"may be required" items only count when nothing is firmly required', () => {
+  const mba = "A master's degree in business administration may be required."
+  const withFirm = parseRequirements([
+    mba,
+    'A college diploma in office administration is usually required.',
+  ])
+  assert.equal(withFirm.educationLevel, 'COLLEGE_DIPLOMA')
+  assert.equal(withFirm.educationStrength, 'usually')
+
+  const alone = parseRequirements([mba])
+  assert.equal(alone.educationLevel, 'GRADUATE')
+  assert.equal(alone.educationStrength, 'may')
+})
+
+test('licensing with a regulatory body marks the occupation regulated', () => {
+  const result = parseRequirements([
+    'Licensing by a provincial or territorial regulatory body is required.',
+  ])
+  assert.equal(result.regulated, true)
+})
+
+test("a driver's licence doesn't make an occupation regulated", () => {
+  const result = parseRequirements(["A driver's licence is usually required."])
+  assert.equal(result.regulated, false)
+})
+
+test('trade certification, apprenticeship and Red Seal are read', () => {
+  const items = [
+    'Completion of a four-year apprenticeship program is usually required.',
+    'Trade certification is compulsory in Quebec and Alberta and available, but voluntary, in all other provinces.',
+    'Red Seal endorsement is also available to qualified electricians.',
+  ]
+  const result = parseRequirements(items)
+  assert.equal(result.apprenticeship, true)
+  assert.equal(result.tradeCertification, 'COMPULSORY')
+  assert.equal(result.redSeal, true)
+  assert.equal(result.evidence.redSeal, items[2])
+})
+
+test('voluntary trade certification is read as VOLUNTARY', () => {
+  const result = parseRequirements([
+    'Trade certification is available, but voluntary, in Ontario.',
+  ])
+  assert.equal(result.tradeCertification, 'VOLUNTARY')
+})
+
+test('the fewest years of required experience are kept', () => {
+  const items = [
+    'Several years of experience in sales are required.',
+    'Five years of experience as a chef are usually required.',
+    '2 to 3 years of related work experience are required.',
+  ]
+  const result = parseRequirements(items)
+  assert.equal(result.experience, true)
+  assert.equal(result.experienceYears, 2)
+  assert.equal(result.evidence.experience, items[2])
+})
+
+test('experience that is only an asset is not required', () => {
+  const result = parseRequirements(['Experience in retail may be an asset.'])
+  assert.equal(result.experience, false)
+})
+
+test('educationLevelsUpTo lists a level and everything below it', () => {
+  assert.deepEqual(educationLevelsUpTo('COLLEGE_DIPLOMA'), [
+    'SECONDARY',
+    'POST_SECONDARY_CERTIFICATE',
+    'COLLEGE_DIPLOMA',
+  ])
+})
+
+test('checkCredential compares the credential with the minimum education', () => {
+  const requirement = {
+    educationLevel: 'COLLEGE_DIPLOMA',
+    educationStrength: 'usually',
+    regulated: true,
+  }
+  assert.deepEqual(checkCredential('Degree', requirement), {
+    meets: true,
+    credentialLevel: 'BACHELOR',
+    requiredLevel: 'COLLEGE_DIPLOMA',
+    strength: 'usually',
+    regulated: true,
+  })
+  assert.equal(checkCredential('Certificate', requirement).meets, false)
+})
+
+test('checkCredential is undecided without a known education level', () => {
+  assert.equal(checkCredential('Diploma', null).meets, null)
+  assert.equal(checkCredential('Diploma', { educationLevel: null }).meets, null)
+})
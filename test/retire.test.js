@@ -0,0 +1,95 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { settings } = require('../lib/config')
+const { prisma } = require('../lib/db')
+const { saveRecord, resetSaveFailures } = require('../lib/sync')
+const { isRetiring, retirementDiff, retireRecords } = require('../lib/retire')
+
+const RETIRED_AT = new Date('2025-01-31T00:00:00Z')
+
+test('rows missing from the file are retired, returning ones reinstated', () => {
+  const rows = [
+    { id: 1, retiredAt: null }, // Still in the file
+    { id: 2, retiredAt: null }, // Gone from the file
+    { id: 3, retiredAt: RETIRED_AT }, // Back in the file
+    { id: 4, retiredAt: RETIRED_AT }, // Still gone
+  ]
+  assert.deepEqual(retirementDiff(rows, [1, 3], 'id'), {
+    missing: [{ id: 2, retiredAt: null }],
+    returning: [{ id: 3, retiredAt: RETIRED_AT }],
+  })
+})
+
+test('retirementDiff matches keys of any type, from any iterable', () => {
+  const rows = [
+    { noc: '00010', retiredAt: null },
+    { noc: '00011', retiredAt: null },
+  ]
+  const { missing, returning } = retirementDiff(rows, new Set(['00010']), 'noc')
+  assert.deepEqual(
+    missing.map((row) => row.noc),
+    ['00011']
+  )
+  assert.deepEqual(returning, [])
+})
+
+test('an empty file retires every current row', () => {
+  const rows = [
+    { id: 1, retiredAt: null },
+    { id: 2, retiredAt: RETIRED_AT },
+  ]
+  assert.deepEqual(retirementDiff(rows, [], 'id'), {
+    missing: [{ id: 1, retiredAt: null }],
+    returning: [],
+  })
+})
+
+test('only retirable models are retired, and only with --sync --retire', (t) => {
+  const { sync, retire } = settings
+  t.after(() => Object.assign(settings, { sync, retire }))
+
+  Object.assign(settings, { sync: true, retire: true })
+  assert.equal(isRetiring('program'), true)
+  assert.equal(isRetiring('unitGroup'), true)
+  assert.equal(isRetiring('outlook'), false)
+
+  Object.assign(settings, { sync: false, retire: true })
+  assert.equal(isRetiring('program'), false)
+})
+
+test('a model with a record that failed to save is not retired', async (t) => {
+  const { sync, retire, dryRun } = settings
+  const { program } = prisma
+  t.after(() => {
+    Object.assign(settings, { sync, retire, dryRun })
+    prisma.program = program
+    resetSaveFailures()
+  })
+  Object.assign(settings, { sync: true, retire: true, dryRun: false })
+
+  // The lookup fails, so the program's key never reaches the kept keys
+  const queries = []
+  prisma.program = {
+    findFirst: async () => {
+      throw new Error('Connection lost')
+    },
+    findMany: async (args) => {
+      queries.push(args)
+      return [{ id: 1, retiredAt: null }]
+    },
+  }
+  resetSaveFailures()
+  const key = await saveRecord(
+    'program',
+    { nid: '101' },
+    { nid: '101', title: 'Nursing' },
+    'program 101'
+  )
+  assert.equal(key, null)
+
+  assert.deepEqual(await retireRecords('program', [key]), {
+    retired: 0,
+    reinstated: 0,
+  })
+  assert.deepEqual(queries, [])
+})
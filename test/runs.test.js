@@ -0,0 +1,93 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { Prisma } = require('@prisma/client')
+const { undoChange } = require('../lib/runs')
+
+// Transaction client stand-in that records the calls made to each model
+function fakeTransaction() {
+  const calls = []
+  const model = (name) =>
+    new Proxy(
+      {},
+      {
+        get: (target, method) => async (args) => {
+          calls.push({ model: name, method, args })
+        },
+      }
+    )
+  return {
+    calls,
+    tx: { economicRegion: model('economicRegion'), program: model('program') },
+  }
+}
+
+test('undoChange deletes a created row by its key', async () => {
+  const { calls, tx } = fakeTransaction()
+  await undoChange(tx, { model: 'program', action: 'create', key: { id: 7 } })
+  assert.deepEqual(calls, [
+    { model: 'program', method: 'deleteMany', args: { where: { id: 7 } } },
+  ])
+})
+
+test('undoChange writes the old values of an updated row back', async () => {
+  const { calls, tx } = fakeTransaction()
+  await undoChange(tx, {
+    model: 'program',
+    action: 'update',
+    key: { id: 7 },
+    before: { title: 'Nursing', retiredAt: null },
+  })
+  assert.deepEqual(calls, [
+    {
+      model: 'program',
+      method: 'updateMany',
+      args: { where: { id: 7 }, data: { title: 'Nursing', retiredAt: null } },
+    },
+  ])
+})
+
+test('undoChange re-creates a deleted row', async () => {
+  const { calls, tx } = fakeTransaction()
+  const before = { id: 7, title: 'Nursing' }
+  await undoChange(tx, {
+    model: 'program',
+    action: 'delete',
+    key: { id: 7 },
+    before,
+  })
+  assert.deepEqual(calls, [
+    { model: 'program', method: 'create', args: { data: before } },
+  ])
+})
+
+test('undoChange restores null Json columns as DbNull', async () => {
+  const { calls, tx } = fakeTransaction()
+  const key = { economicRegionCode: '5910' }
+  await undoChange(tx, {
+    model: 'economicRegion',
+    action: 'update',
+    key,
+    before: { boundary: null },
+  })
+  await undoChange(tx, {
+    model: 'economicRegion',
+    action: 'delete',
+    key,
+    before: { ...key, economicRegionName: 'Vancouver Island', boundary: null },
+  })
+  assert.equal(calls[0].args.data.boundary, Prisma.DbNull)
+  assert.equal(calls[1].args.data.boundary, Prisma.DbNull)
+  assert.equal(calls[1].args.data.economicRegionName, 'Vancouver Island')
+})
+
+test('undoChange leaves a journaled boundary as it was', async () => {
+  const { calls, tx } = fakeTransaction()
+  const boundary = { type: 'Polygon', coordinates: [] }
+  await undoChange(tx, {
+    model: 'economicRegion',
+    action: 'update',
+    key: { economicRegionCode: '5910' },
+    before: { boundary },
+  })
+  assert.deepEqual(calls[0].args.data, { boundary })
+})
@@ -0,0 +1,90 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { createCsvParser, mapColumns, streamSource } = require('../lib/sources')
+
+// Feeds the pieces to a new parser and returns every row it completed
+function parseCsv(...pieces) {
+  const parser = createCsvParser()
+  return [...pieces.flatMap((piece) => parser.push(piece)), ...parser.end()]
+}
+
+test('createCsvParser splits lines into cells', () => {
+  assert.deepEqual(parseCsv('noc,title\n21231,Software engineers\n'), [
+    ['noc', 'title'],
+    ['21231', 'Software engineers'],
+  ])
+})
+
+test('quoted cells can hold commas, newlines and doubled quotes', () => {
+  assert.deepEqual(parseCsv('"a, b","line 1\nline 2","say ""hi"""\n'), [
+    ['a, b', 'line 1\nline 2', 'say "hi"'],
+  ])
+})
+
+test('a piece can end anywhere, even inside a quoted cell', () => {
+  const text = 'x,"a ""quoted"", cell"\r\ny,z\r\n'
+  const whole = parseCsv(text)
+  assert.deepEqual(whole, [
+    ['x', 'a "quoted", cell'],
+    ['y', 'z'],
+  ])
+  for (let i = 1; i < text.length; i++) {
+    assert.deepEqual(parseCsv(text.slice(0, i), text.slice(i)), whole)
+  }
+})
+
+test('push() returns only the rows it completed; end() returns the last', () => {
+  const parser = createCsvParser()
+  assert.deepEqual(parser.push('a,b\nc'), [['a', 'b']])
+  assert.deepEqual(parser.push(',d'), [])
+  assert.deepEqual(parser.end(), [['c', 'd']])
+})
+
+test('empty cells are kept in place', () => {
+  assert.deepEqual(parseCsv('a,,c\n,,\n'), [
+    ['a', '', 'c'],
+    ['', '', ''],
+  ])
+})
+
+test('mapColumns renames, converts and nests fields', () => {
+  const row = { NID: ' 42 ', Area: '7', Keywords: 'a; b | c', Blank: '' }
+  assert.deepEqual(
+    mapColumns(row, {
+      nid: { column: 'NID', type: 'integer' },
+      'program_area.nid': { column: 'Area', type: 'integer' },
+      keywords: { column: 'Keywords', type: 'list' },
+      title: 'Blank',
+      missing: 'Not a column',
+    }),
+    { nid: 42, program_area: { nid: 7 }, keywords: ['a', 'b', 'c'] }
+  )
+})
+
+test('streamSource reads a CSV file in chunks, past its BOM and blank lines', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sources-test-'))
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  const file = path.join(dir, 'outlooks.csv')
+  fs.writeFileSync(
+    file,
+    '\uFEFFNOC_Code,Outlook\r\nNOC_00010,Good\r\n\r\nNOC_00011,\r\nNOC_00012,Fair\r\n'
+  )
+
+  const adapter = {
+    name: 'test',
+    columns: { noc: 'NOC_Code', outlook: 'Outlook' },
+  }
+  const chunks = []
+  for await (const chunk of streamSource(adapter, file, 2)) chunks.push(chunk)
+  assert.deepEqual(chunks, [
+    {
+      sheet: null,
+      start: 0,
+      records: [{ noc: 'NOC_00010', outlook: 'Good' }, { noc: 'NOC_00011' }],
+    },
+    { sheet: null, start: 2, records: [{ noc: 'NOC_00012', outlook: 'Fair' }] },
+  ])
+})
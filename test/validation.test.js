@@ -0,0 +1,76 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { parseReleaseDate, validateRecords } = require('../lib/validation')
+
+// A valid outlook row, as mapped from the workbook's columns
+const outlook = (fields = {}) => ({
+  noc: 'NOC_21231',
+  title: 'Software engineers and designers',
+  economicRegionCode: '5910',
+  economicRegionName: 'Vancouver Island and Coast',
+  outlook: 'Good',
+  trends: 'Employment is expected to grow.',
+  releaseDate: '2024-12-01',
+  province: 'BC',
+  lang: 'EN',
+  ...fields,
+})
+
+test('parseReleaseDate converts Excel date serials, not Unix times', () => {
+  assert.deepEqual(parseReleaseDate(45627), new Date(Date.UTC(2024, 11, 1)))
+})
+
+test('a serial and a text date of the same day are the same Date', () => {
+  assert.deepEqual(parseReleaseDate(45627), parseReleaseDate('2024-12-01'))
+})
+
+test('text dates come out as midnight UTC in any time zone', (t) => {
+  const { TZ } = process.env
+  t.after(() => {
+    if (TZ === undefined) delete process.env.TZ
+    else process.env.TZ = TZ
+  })
+  process.env.TZ = 'America/Vancouver'
+
+  const day = new Date(Date.UTC(2024, 11, 1))
+  assert.deepEqual(parseReleaseDate('December 1, 2024'), day)
+  assert.deepEqual(parseReleaseDate('2024/12/01'), day)
+  assert.deepEqual(parseReleaseDate('2024-12-01T00:00:00Z'), day)
+})
+
+test('parseReleaseDate rejects what it can not read safely', () => {
+  assert.equal(parseReleaseDate(0), null)
+  assert.equal(parseReleaseDate(1e9), null)
+  assert.equal(parseReleaseDate('next year'), null)
+  assert.equal(parseReleaseDate('2025-02-30'), null)
+  assert.equal(parseReleaseDate(''), null)
+  assert.equal(parseReleaseDate(new Date('nope')), null)
+  assert.equal(parseReleaseDate(true), null)
+})
+
+test('outlook rows with a date cell or a numeric NOC are valid', () => {
+  const checked = validateRecords('outlooks', [
+    outlook({ releaseDate: 45627 }),
+    outlook({ noc: 21232, economicRegionCode: 5910 }),
+  ])
+  assert.equal(checked.invalid, 0)
+  assert.equal(checked.records.length, 2)
+})
+
+test('outlook rows with a missing or unreadable field are rejected', () => {
+  const checked = validateRecords(
+    'outlooks',
+    [outlook({ releaseDate: 'soon' }), outlook({ noc: undefined })],
+    { start: 10 }
+  )
+  assert.equal(checked.invalid, 2)
+  assert.deepEqual(
+    checked.issues
+      .filter((issue) => issue.severity === 'error')
+      .map(({ record, field }) => [record, field]),
+    [
+      ['row 12', 'releaseDate'],
+      ['row 13', 'noc'],
+    ]
+  )
+})
@@ -0,0 +1,130 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const xlsx = require('xlsx')
+const { workbookSheetNames, sheetRowCells } = require('../lib/workbooks')
+
+// Writes a workbook with one sheet per entry of `sheets` (name → rows)
+function writeWorkbook(dir, sheets) {
+  const workbook = xlsx.utils.book_new()
+  for (const [name, rows] of Object.entries(sheets)) {
+    xlsx.utils.book_append_sheet(workbook, xlsx.utils.aoa_to_sheet(rows), name)
+  }
+  const file = path.join(dir, 'test.xlsx')
+  xlsx.writeFile(workbook, file)
+  return file
+}
+
+// Replaces the rows of a workbook's first sheet with hand-written XML, for
+// what xlsx.writeFile() never writes itself
+function replaceSheetData(file, sheetData) {
+  const archive = xlsx.CFB.read(fs.readFileSync(file), { type: 'buffer' })
+  const index = archive.FullPaths.findIndex((name) =>
+    name.endsWith('/sheet1.xml')
+  )
+  const entry = archive.FileIndex[index]
+  entry.content = Buffer.from(
+    Buffer.from(entry.content)
+      .toString()
+      .replace(
+        /<sheetData>.*<\/sheetData>/s,
+        `<sheetData>${sheetData}</sheetData>`
+      )
+  )
+  fs.writeFileSync(
+    file,
+    xlsx.CFB.write(archive, { fileType: 'zip', type: 'buffer' })
+  )
+}
+
+async function readRows(file, sheet) {
+  const rows = []
+  for await (const cells of sheetRowCells(file, sheet)) rows.push(cells)
+  return rows
+}
+
+test('workbook sheets are read in order, with raw cell values', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'workbooks-test-'))
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  const file = writeWorkbook(dir, {
+    Outlooks: [
+      ['NOC_Code', 'Score', 'Current'],
+      ['00010', 4, true],
+      ['Très bonnes', 2.5, false],
+    ],
+    'Other sheet': [['x']],
+  })
+
+  assert.deepEqual(await workbookSheetNames(file), ['Outlooks', 'Other sheet'])
+  assert.deepEqual(await readRows(file, 'Outlooks'), [
+    ['NOC_Code', 'Score', 'Current'],
+    ['00010', 4, true], // Text stays text: the leading zeros are kept
+    ['Très bonnes', 2.5, false],
+  ])
+  assert.deepEqual(await readRows(file, 'Other sheet'), [['x']])
+})
+
+test('empty cells are left undefined and empty rows left out', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'workbooks-test-'))
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  const file = writeWorkbook(dir, {
+    Sheet1: [['a', null, 'c'], [], [null, 'b']],
+  })
+
+  const rows = await readRows(file, 'Sheet1')
+  assert.equal(rows.length, 2)
+  assert.equal(rows[0][1], undefined)
+  assert.equal(rows[0][2], 'c')
+  assert.equal(rows[1][0], undefined)
+  assert.equal(rows[1][1], 'b')
+})
+
+test('cells without a reference follow the previous cell, even an empty one', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'workbooks-test-'))
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  const file = writeWorkbook(dir, { Sheet1: [['a']] })
+  replaceSheetData(
+    file,
+    '<row><c t="inlineStr"><is><t>a</t></is></c><c/><c><v>3</v></c></row>' +
+      '<row><c r="B2"><v>1</v></c><c><v>2</v></c></row>'
+  )
+
+  // Empty cells are holes; Array.from() turns them into undefined
+  const rows = await readRows(file, 'Sheet1')
+  assert.deepEqual(
+    rows.map((row) => Array.from(row)),
+    [
+      ['a', undefined, 3],
+      [undefined, 1, 2],
+    ]
+  )
+})
+
+test('escaped characters in cell text are decoded', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'workbooks-test-'))
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  const file = writeWorkbook(dir, { Sheet1: [['a']] })
+  replaceSheetData(
+    file,
+    '<row><c r="A1" t="inlineStr"><is><t>Line_x000D_break</t></is></c>' +
+      '<c r="B1" t="str"><f>A1</f><v>Tab_x0009_here</v></c>' +
+      '<c r="C1" t="inlineStr"><is><t>Not_x005F_x0041_</t></is></c></row>'
+  )
+
+  assert.deepEqual(await readRows(file, 'Sheet1'), [
+    ['Line\rbreak', 'Tab\there', 'Not_x0041_'],
+  ])
+})
+
+test('a missing sheet or a file that is not a workbook is an error', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'workbooks-test-'))
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  const file = writeWorkbook(dir, { Sheet1: [['a']] })
+  await assert.rejects(readRows(file, 'Nope'), /no sheet named "Nope"/)
+
+  const text = path.join(dir, 'not-a-workbook.xlsx')
+  fs.writeFileSync(text, 'noc,title\n')
+  await assert.rejects(workbookSheetNames(text), /can't read the workbook/)
+})